@@ -0,0 +1,200 @@
+const Ajv = require('ajv');
+const dotenv = require('dotenv');
+const schemas = require('./report-schemas');
+const { completeReport } = require('./llm-provider');
+const { recordLlmAudit } = require('./llm-audit');
+const { renderPrompt } = require('./prompt-templates');
+
+dotenv.config();
+
+const MAX_REPAIR_ATTEMPTS = Number(process.env.AI_MAX_REPAIR_ATTEMPTS ?? 2);
+// Models rarely hit an exact word range, so bounds are widened by this fraction.
+const WORD_COUNT_TOLERANCE = Number(process.env.AI_WORD_COUNT_TOLERANCE ?? 0.25);
+
+const AI_ANALYSIS_STATUS = {
+  GENERATED: 'generated',
+  REPAIRED: 'repaired',
+  FALLBACK: 'fallback'
+};
+
+function countWords(text) {
+  return String(text).trim().split(/\s+/).filter(Boolean).length;
+}
+
+const ajv = new Ajv({ allErrors: true });
+
+ajv.addKeyword({
+  keyword: 'wordCount',
+  type: 'string',
+  schemaType: 'object',
+  errors: true,
+  validate: function validateWordCount({ min, max }, text) {
+    const words = countWords(text);
+    const lower = Math.floor(min * (1 - WORD_COUNT_TOLERANCE));
+    const upper = Math.ceil(max * (1 + WORD_COUNT_TOLERANCE));
+    if (words >= lower && words <= upper) return true;
+    validateWordCount.errors = [{
+      keyword: 'wordCount',
+      message: `must be ${min}-${max} words, got ${words}`,
+      params: { min, max, words }
+    }];
+    return false;
+  }
+});
+
+const validators = Object.fromEntries(
+  Object.entries(schemas).map(([report, schema]) => [report, ajv.compile(schema)])
+);
+const scaledValidators = new Map();
+
+// Copies a schema with every wordCount range multiplied by `scale`, for
+// languages that need fewer words than English to say the same thing.
+function scaleWordCounts(schema, scale) {
+  if (Array.isArray(schema)) return schema.map(item => scaleWordCounts(item, scale));
+  if (!schema || typeof schema !== 'object') return schema;
+  return Object.fromEntries(Object.entries(schema).map(([key, value]) => [
+    key,
+    key === 'wordCount'
+      ? { min: Math.max(1, Math.floor(value.min * scale)), max: Math.ceil(value.max * scale) }
+      : scaleWordCounts(value, scale)
+  ]));
+}
+
+function getValidator(report, wordScale = 1) {
+  if (!validators[report] || wordScale === 1) return validators[report];
+  const key = `${report}@${wordScale}`;
+  if (!scaledValidators.has(key)) {
+    scaledValidators.set(key, ajv.compile(scaleWordCounts(schemas[report], wordScale)));
+  }
+  return scaledValidators.get(key);
+}
+
+function parseModelJson(text) {
+  const unfenced = String(text).replace(/```(?:json)?/gi, '').trim();
+  try {
+    return JSON.parse(unfenced);
+  } catch (parseError) {
+    const jsonMatch = unfenced.match(/\{[\s\S]*\}/);
+    if (!jsonMatch) {
+      throw new Error('Response does not contain a JSON object');
+    }
+    return JSON.parse(jsonMatch[0]);
+  }
+}
+
+function formatErrors(errors) {
+  return (errors || []).map(error => {
+    const field = error.instancePath || '(root)';
+    if (error.keyword === 'additionalProperties') {
+      return `${field}: unexpected property "${error.params.additionalProperty}"`;
+    }
+    return `${field}: ${error.message}`;
+  });
+}
+
+function validateReport(report, analysis, { wordScale = 1 } = {}) {
+  const validate = getValidator(report, wordScale);
+  if (!validate) {
+    throw new Error(`No schema declared for report "${report}"`);
+  }
+  const valid = validate(analysis);
+  return {
+    valid,
+    errors: valid ? [] : formatErrors(validate.errors),
+    lengthErrors: valid ? 0 : validate.errors.filter(error => error.keyword === 'wordCount').length
+  };
+}
+
+function buildRepairMessage(errors) {
+  return `Your previous reply did not match the required format:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Fix every issue listed above and respond again with the complete JSON object only, no other text.`;
+}
+
+// `redactor` (see redaction.js) masks personal data in the prompt and
+// restores it in the validated analysis; every call is written to the LLM
+// audit log with the redacted messages. `schema` selects a schema other
+// than the one named after the report; `wordScale` shrinks or stretches its
+// word ranges for non-English output. `promptInput` (see prompt-templates.js)
+// is audited with redacted variables so prompt versions can be replayed.
+async function generateValidatedReport(report, { prompt, promptInput, data, fallback, redactor, contestId, schema = report, wordScale = 1 }) {
+  const redact = text => (redactor ? redactor.redactText(text) : text);
+  const variables = promptInput &&
+    Object.fromEntries(Object.entries(promptInput.variables).map(([name, value]) => [name, redact(value)]));
+  // A templated prompt is re-rendered from its redacted variables, so the
+  // template text (instructions and JSON keys) is never masked.
+  const content = promptInput?.report && redactor
+    ? renderPrompt(promptInput.report, promptInput.version, variables).prompt
+    : redact(prompt);
+  const messages = [{ role: 'user', content }];
+  const auditedInput = promptInput && {
+    version: promptInput.version,
+    variables,
+    schema,
+    wordScale
+  };
+  let errors = [];
+  let provider;
+  let model;
+
+  const finish = async result => {
+    await recordLlmAudit({ report, contestId, provider, model, status: result.status, messages, redactor, promptInput: auditedInput });
+    const tagged = promptInput ? { ...result, promptVersion: promptInput.version } : result;
+    return redactor && result.status !== AI_ANALYSIS_STATUS.FALLBACK
+      ? { ...tagged, analysis: redactor.restore(result.analysis) }
+      : tagged;
+  };
+
+  for (let attempt = 1; attempt <= MAX_REPAIR_ATTEMPTS + 1; attempt++) {
+    let content;
+    try {
+      const completion = await completeReport(report, { messages, data });
+      ({ content, provider, model } = completion);
+    } catch (error) {
+      console.error(`LLM request for ${report} failed:`, error.message);
+      errors = [`LLM request failed: ${error.message}`];
+      break;
+    }
+
+    let analysis;
+    try {
+      analysis = parseModelJson(content);
+      ({ errors } = validateReport(schema, analysis, { wordScale }));
+    } catch (parseError) {
+      errors = [`Response is not valid JSON: ${parseError.message}`];
+    }
+
+    if (!errors.length) {
+      return finish({
+        analysis,
+        status: attempt === 1 ? AI_ANALYSIS_STATUS.GENERATED : AI_ANALYSIS_STATUS.REPAIRED,
+        attempts: attempt,
+        errors: [],
+        provider,
+        model
+      });
+    }
+
+    console.error(`AI ${report} attempt ${attempt} failed validation:`, errors);
+    messages.push({ role: 'assistant', content });
+    messages.push({ role: 'user', content: buildRepairMessage(errors) });
+  }
+
+  return finish({
+    analysis: fallback,
+    status: AI_ANALYSIS_STATUS.FALLBACK,
+    attempts: messages.filter(message => message.role === 'assistant').length,
+    errors,
+    provider,
+    model
+  });
+}
+
+module.exports = {
+  AI_ANALYSIS_STATUS,
+  countWords,
+  parseModelJson,
+  validateReport,
+  generateValidatedReport
+};
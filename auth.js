@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const jwt = require('jsonwebtoken');
+const { ObjectId } = require('mongodb');
+const dotenv = require('dotenv');
+const { isContestOwnedBy, hasRecruiterSubmissions } = require('./contests');
+
+dotenv.config();
+
+// Mirrors the `userRole` values recorded in contestLifeCycle.
+const ROLES = {
+  ADMIN: 'admin',
+  EMPLOYER: 'employer',
+  RECRUITER: 'recruiter'
+};
+
+const JWT_SECRET = process.env.JWT_SECRET;
+const AUTH_DISABLED = process.env.AUTH_MODE === 'disabled';
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// API keys are read from a JSON file of
+// `{ name, keyHash, role, employerId?, recruiterId? }` entries, where
+// `keyHash` is the SHA-256 hex digest of the key handed to the client.
+function loadApiKeys() {
+  const keysPath = process.env.API_KEYS_PATH;
+  if (!keysPath) return [];
+  try {
+    const keys = JSON.parse(fs.readFileSync(keysPath, 'utf8'));
+    return keys.filter(entry => entry.keyHash && Object.values(ROLES).includes(entry.role));
+  } catch (error) {
+    console.error(`Could not load API keys from ${keysPath}:`, error.message);
+    return [];
+  }
+}
+
+const apiKeys = loadApiKeys();
+
+function toUser(claims, method) {
+  return {
+    id: claims.sub || claims.name || null,
+    role: claims.role,
+    employerId: claims.employerId ? String(claims.employerId) : null,
+    recruiterId: claims.recruiterId ? String(claims.recruiterId) : null,
+    authMethod: method
+  };
+}
+
+function authenticateApiKey(key) {
+  const digest = Buffer.from(sha256(key), 'hex');
+  const entry = apiKeys.find(item => {
+    const expected = Buffer.from(item.keyHash, 'hex');
+    return expected.length === digest.length && crypto.timingSafeEqual(expected, digest);
+  });
+  return entry ? toUser(entry, 'api-key') : null;
+}
+
+function authenticateJwt(token) {
+  if (!JWT_SECRET) return null;
+  try {
+    const claims = jwt.verify(token, JWT_SECRET, { algorithms: ['HS256'] });
+    return Object.values(ROLES).includes(claims.role) ? toUser(claims, 'jwt') : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function authenticate(req, res, next) {
+  if (AUTH_DISABLED) {
+    req.user = { id: 'local', role: ROLES.ADMIN, employerId: null, recruiterId: null, authMethod: 'disabled' };
+    return next();
+  }
+
+  const apiKey = req.get('X-API-Key');
+  const bearer = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i)?.[1];
+  const user = apiKey ? authenticateApiKey(apiKey) : bearer ? authenticateJwt(bearer) : null;
+
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: apiKey || bearer ? 'Invalid or expired credentials' : 'Authentication required'
+    });
+  }
+  req.user = user;
+  next();
+}
+
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.role)) {
+      return res.status(403).json({ success: false, error: 'You do not have access to this resource' });
+    }
+    next();
+  };
+}
+
+async function canAccessContest(user, contestId) {
+  if (user.role === ROLES.ADMIN) return true;
+  if (user.role === ROLES.EMPLOYER) return isContestOwnedBy(contestId, user.employerId);
+  if (user.role === ROLES.RECRUITER) return hasRecruiterSubmissions(contestId, user.recruiterId);
+  return false;
+}
+
+// Checks the contest named in the route params or request body. Malformed
+// ids are passed through so the route can answer with its own 400.
+async function authorizeContest(req, res, next) {
+  const contestId = req.params.contestId || req.body?.contestId;
+  if (!contestId || !ObjectId.isValid(contestId)) return next();
+  try {
+    if (await canAccessContest(req.user, contestId)) return next();
+    res.status(403).json({ success: false, error: 'You do not have access to this contest' });
+  } catch (error) {
+    console.error('Contest authorization error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+}
+
+// Narrows cross-contest filters to what the caller may see.
+async function scopeContestFilters(user, filters) {
+  if (user.role === ROLES.ADMIN) return filters;
+  if (user.role === ROLES.EMPLOYER && !user.employerId) {
+    const error = new Error('Employer credentials do not carry an employerId');
+    error.statusCode = 403;
+    throw error;
+  }
+  if (user.role === ROLES.EMPLOYER && filters.contestIds?.length) {
+    for (const contestId of filters.contestIds) {
+      if (!(await isContestOwnedBy(contestId, user.employerId))) {
+        const error = new Error('You do not have access to one or more of the requested contests');
+        error.statusCode = 403;
+        throw error;
+      }
+    }
+    return filters;
+  }
+  if (user.role === ROLES.EMPLOYER) {
+    return { ...filters, employerId: user.employerId };
+  }
+  return filters;
+}
+
+function signToken(claims, options = { expiresIn: '12h' }) {
+  if (!JWT_SECRET) throw new Error('JWT_SECRET is not configured');
+  return jwt.sign(claims, JWT_SECRET, { algorithm: 'HS256', ...options });
+}
+
+module.exports = {
+  ROLES,
+  AUTH_DISABLED,
+  authenticate,
+  requireRole,
+  authorizeContest,
+  canAccessContest,
+  scopeContestFilters,
+  signToken
+};
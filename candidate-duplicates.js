@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const dotenv = require('dotenv');
+const { getDb } = require('./db');
+const { CANONICAL_STATUSES, normalizeStatus } = require('./status-normalization');
+const { ROLES, requireRole, authorizeContest } = require('./auth');
+
+dotenv.config();
+
+const router = express.Router();
+
+// Jaro-Winkler similarity above which two names count as the same person.
+const NAME_THRESHOLD = Number(process.env.DUPLICATE_NAME_THRESHOLD || 0.92);
+
+// `high`: a shared email, phone, resume fingerprint or jobseeker id.
+// `medium`: matching names without conflicting contact details.
+const CONFIDENCE = ['medium', 'high'];
+const PROGRESS_STAGES = CANONICAL_STATUSES.filter(status => status !== 'rejected');
+
+function normalizeEmail(value) {
+  if (!value) return null;
+  const email = String(value).trim().toLowerCase();
+  const [local, domain] = email.split('@');
+  if (!local || !domain) return null;
+  const bare = local.split('+')[0];
+  return ['gmail.com', 'googlemail.com'].includes(domain)
+    ? `${bare.replace(/\./g, '')}@gmail.com`
+    : `${bare}@${domain}`;
+}
+
+function normalizePhone(value) {
+  const digits = String(value || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : null;
+}
+
+function normalizeName(value) {
+  return String(value || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[^\p{L}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+}
+
+// A stored hash wins; otherwise the resume text, or the full storage URL of
+// the uploaded file. Bare file names such as "resume.pdf" are too common to use.
+function resumeFingerprint(jobseeker) {
+  const stored = jobseeker.resumeHash || jobseeker.resumeFingerprint;
+  if (stored) return String(stored);
+  if (jobseeker.resumeText) {
+    const text = String(jobseeker.resumeText).toLowerCase().replace(/\s+/g, ' ').trim();
+    return text.length >= 200 ? hash(text) : null;
+  }
+  const url = jobseeker.resumeUrl || jobseeker.resumeLink || (typeof jobseeker.resume === 'string' ? jobseeker.resume : null);
+  if (!url || !String(url).includes('/')) return null;
+  return hash(String(url).split('?')[0].trim().toLowerCase());
+}
+
+function submittedAt(jobseeker, doc) {
+  const value = jobseeker.submittedAt || jobseeker.createdAt || jobseeker.createdDate || jobseeker.addedDate || doc.createdAt;
+  if (value) {
+    const date = new Date(value);
+    if (!Number.isNaN(date.getTime())) return date;
+  }
+  return doc._id instanceof ObjectId ? doc._id.getTimestamp() : null;
+}
+
+// Furthest stage reached; rejected candidates rank below every open stage.
+function progressRank(status) {
+  const index = PROGRESS_STAGES.indexOf(normalizeStatus(status));
+  return index === -1 ? -1 : index;
+}
+
+function extractCandidates(recruiterDocs) {
+  const records = [];
+  recruiterDocs.forEach(doc => {
+    (doc.jobseekerDetails || []).forEach((jobseeker, index) => {
+      const name = [jobseeker.firstName, jobseeker.lastName].filter(Boolean).join(' ') || jobseeker.name || jobseeker.fullName || '';
+      records.push({
+        ref: `${doc._id}:${index}`,
+        jobseeker,
+        contestId: doc.contestId ? String(doc.contestId) : null,
+        recruiterId: doc.recruiterId ? String(doc.recruiterId) : null,
+        jobseekerId: jobseeker.jobseekerId ? String(jobseeker.jobseekerId) : null,
+        name: normalizeName(name),
+        email: normalizeEmail(jobseeker.email || jobseeker.emailId),
+        phone: normalizePhone(jobseeker.phone || jobseeker.mobile || jobseeker.phoneNumber || jobseeker.mobileNumber || jobseeker.contactNumber),
+        resume: resumeFingerprint(jobseeker),
+        submittedAt: submittedAt(jobseeker, doc),
+        status: normalizeStatus(jobseeker.empStatus) || 'submitted'
+      });
+    });
+  });
+  return records;
+}
+
+function jaroWinkler(a, b) {
+  if (a === b) return 1;
+  if (!a || !b) return 0;
+  const window = Math.max(0, Math.floor(Math.max(a.length, b.length) / 2) - 1);
+  const matchedA = new Array(a.length).fill(false);
+  const matchedB = new Array(b.length).fill(false);
+  let matches = 0;
+  for (let i = 0; i < a.length; i++) {
+    for (let j = Math.max(0, i - window); j < Math.min(b.length, i + window + 1); j++) {
+      if (matchedB[j] || a[i] !== b[j]) continue;
+      matchedA[i] = matchedB[j] = true;
+      matches++;
+      break;
+    }
+  }
+  if (!matches) return 0;
+  let transpositions = 0;
+  let k = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (!matchedA[i]) continue;
+    while (!matchedB[k]) k++;
+    if (a[i] !== b[k]) transpositions++;
+    k++;
+  }
+  const jaro = (matches / a.length + matches / b.length + (matches - transpositions / 2) / matches) / 3;
+  let prefix = 0;
+  while (prefix < 4 && a[prefix] && a[prefix] === b[prefix]) prefix++;
+  return jaro + prefix * 0.1 * (1 - jaro);
+}
+
+const STRONG_KEYS = ['email', 'phone', 'resume', 'jobseekerId'];
+
+function compareRecords(a, b) {
+  const shared = STRONG_KEYS.filter(key => a[key] && a[key] === b[key]);
+  if (shared.length) return { confidence: 'high', matchedOn: shared };
+  const conflicting = ['email', 'phone'].every(key => a[key] && b[key] && a[key] !== b[key]);
+  if (conflicting || !a.name || !b.name) return null;
+  const similarity = jaroWinkler(a.name, b.name);
+  return similarity >= NAME_THRESHOLD
+    ? { confidence: 'medium', matchedOn: ['name'], similarity: Number(similarity.toFixed(3)) }
+    : null;
+}
+
+// Candidate pairs come from shared identifiers plus names with the same
+// initials, so records are not compared with every other record.
+function candidatePairs(records) {
+  const blocks = new Map();
+  const add = (key, index) => {
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(index);
+  };
+  records.forEach((record, index) => {
+    STRONG_KEYS.forEach(key => record[key] && add(`${key}:${record[key]}`, index));
+    if (record.name) add(`name:${record.name.split(' ').map(token => token[0]).join('')}`, index);
+  });
+  const pairs = new Set();
+  blocks.forEach(indexes => {
+    for (let i = 0; i < indexes.length; i++) {
+      for (let j = i + 1; j < indexes.length; j++) pairs.add(`${indexes[i]}:${indexes[j]}`);
+    }
+  });
+  return [...pairs].map(pair => pair.split(':').map(Number));
+}
+
+function submittedTime(record) {
+  return record.submittedAt ? record.submittedAt.getTime() : Number.MAX_SAFE_INTEGER;
+}
+
+function findDuplicateClusters(records, { minConfidence = 'medium' } = {}) {
+  const minimum = CONFIDENCE.indexOf(minConfidence);
+  const parent = records.map((record, index) => index);
+  const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+  const links = [];
+
+  candidatePairs(records).forEach(([i, j]) => {
+    const match = compareRecords(records[i], records[j]);
+    if (!match || CONFIDENCE.indexOf(match.confidence) < minimum) return;
+    links.push({ i, j, ...match });
+    parent[find(i)] = find(j);
+  });
+
+  const groups = new Map();
+  records.forEach((record, index) => {
+    const root = find(index);
+    if (!groups.has(root)) groups.set(root, { members: [], links: [] });
+    groups.get(root).members.push(record);
+  });
+  links.forEach(link => groups.get(find(link.i)).links.push(link));
+
+  return [...groups.values()]
+    .filter(group => group.members.length > 1)
+    .map(group => {
+      const members = [...group.members].sort((a, b) => submittedTime(a) - submittedTime(b));
+      const owner = members[0];
+      const lead = members.reduce((best, record) => (progressRank(record.status) > progressRank(best.status) ? record : best), owner);
+      const confidence = group.links.some(link => link.confidence === 'high') ? 'high' : 'medium';
+      return {
+        confidence,
+        matchedOn: [...new Set(group.links.flatMap(link => link.matchedOn))],
+        crossRecruiter: new Set(members.map(record => record.recruiterId)).size > 1,
+        crossContest: new Set(members.map(record => record.contestId)).size > 1,
+        owner,
+        lead,
+        members
+      };
+    })
+    .sort((a, b) => b.members.length - a.members.length);
+}
+
+// Within one contest, which submissions repeat an earlier submission of the
+// same person (`repeats`), and which records are represented by another
+// record of the cluster that got further in the funnel (`merged`). Only
+// high-confidence clusters change the stats.
+function resolveContestDuplicates(recruiterDocs) {
+  const clusters = findDuplicateClusters(extractCandidates(recruiterDocs), { minConfidence: 'high' });
+  const repeats = new Set();
+  const merged = new Set();
+  const leads = new Map();
+  clusters.forEach(cluster => {
+    cluster.members.forEach(record => {
+      if (record !== cluster.owner) repeats.add(record.jobseeker);
+      if (record !== cluster.lead) merged.add(record.jobseeker);
+    });
+    leads.set(cluster.owner.jobseeker, cluster.lead.jobseeker);
+  });
+  const leadOf = jobseeker => leads.get(jobseeker) || jobseeker;
+  return {
+    clusters,
+    repeats,
+    merged,
+    leadOf,
+    statusOf: jobseeker => leadOf(jobseeker).empStatus
+  };
+}
+
+function describeMember(record, cluster) {
+  return {
+    ref: record.ref,
+    contestId: record.contestId,
+    recruiterId: record.recruiterId,
+    jobseekerId: record.jobseekerId,
+    submittedAt: record.submittedAt,
+    status: record.status,
+    owner: record === cluster.owner
+  };
+}
+
+function describeClusters(clusters) {
+  return clusters.map((cluster, index) => ({
+    clusterId: index + 1,
+    confidence: cluster.confidence,
+    matchedOn: cluster.matchedOn,
+    crossRecruiter: cluster.crossRecruiter,
+    crossContest: cluster.crossContest,
+    size: cluster.members.length,
+    ownerRecruiterId: cluster.owner.recruiterId,
+    ownedSince: cluster.owner.submittedAt,
+    furthestStatus: cluster.lead.status,
+    members: cluster.members.map(record => describeMember(record, cluster))
+  }));
+}
+
+function summarizeClusters(clusters, totalSubmissions) {
+  const repeatSubmissions = clusters.reduce((sum, cluster) => sum + cluster.members.length - 1, 0);
+  const byRecruiter = new Map();
+  clusters.forEach(cluster => cluster.members.forEach(record => {
+    const entry = byRecruiter.get(record.recruiterId) || { recruiterId: record.recruiterId, owned: 0, repeats: 0 };
+    if (record === cluster.owner) entry.owned += 1;
+    else entry.repeats += 1;
+    byRecruiter.set(record.recruiterId, entry);
+  }));
+  return {
+    totalSubmissions,
+    uniqueCandidates: totalSubmissions - repeatSubmissions,
+    duplicateClusters: clusters.length,
+    repeatSubmissions,
+    crossRecruiterClusters: clusters.filter(cluster => cluster.crossRecruiter).length,
+    byRecruiter: [...byRecruiter.values()].sort((a, b) => b.repeats - a.repeats)
+  };
+}
+
+function parseMinConfidence(value) {
+  if (value === undefined) return 'medium';
+  if (!CONFIDENCE.includes(value)) {
+    const error = new Error(`minConfidence must be one of ${CONFIDENCE.join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return value;
+}
+
+async function detectContestDuplicates(contestId, { minConfidence = 'medium' } = {}) {
+  const recruiterDocs = await getDb().collection('recruiterAddProfiles')
+    .find({ contestId: new ObjectId(contestId) })
+    .toArray();
+  const records = extractCandidates(recruiterDocs);
+  const clusters = findDuplicateClusters(records, { minConfidence });
+  return {
+    contestId,
+    minConfidence,
+    summary: summarizeClusters(clusters, records.length),
+    clusters: describeClusters(clusters)
+  };
+}
+
+router.get('/contests/:contestId/duplicates', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), authorizeContest, async (req, res) => {
+  const { contestId } = req.params;
+  if (!ObjectId.isValid(contestId)) {
+    return res.status(400).json({ error: 'Invalid Contest ID format.' });
+  }
+  try {
+    const minConfidence = parseMinConfidence(req.query.minConfidence);
+    res.status(200).json(await detectContestDuplicates(contestId, { minConfidence }));
+  } catch (error) {
+    console.error('Error during duplicate detection:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  extractCandidates,
+  findDuplicateClusters,
+  resolveContestDuplicates,
+  describeClusters,
+  summarizeClusters,
+  parseMinConfidence,
+  detectContestDuplicates,
+  endpoints: {
+    main: 'GET /contests/:contestId/duplicates?minConfidence=medium|high'
+  }
+};
@@ -0,0 +1,483 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { registerTemplate } = require('./llm-provider');
+const { generateValidatedReport, countWords, AI_ANALYSIS_STATUS } = require('./ai-report');
+const { extractRejectionReason, classifyReason, getCategoryLabel, UNSPECIFIED_CATEGORY } = require('./rejection-taxonomy');
+const { isRejectedStatus } = require('./status-normalization');
+const { candidateKey } = require('./funnel');
+const { normalizeScores } = require('./score-analytics');
+const { createRedactor } = require('./redaction');
+const { ROLES, requireRole, authorizeContest, canAccessContest } = require('./auth');
+
+const router = express.Router();
+
+const REPORT_NAME = 'candidateFeedbackLetter';
+const LETTERS_COLLECTION = 'candidateFeedbackLetters';
+const JOBS_COLLECTION = 'feedbackJobs';
+
+const TONES = {
+  warm: 'warm, encouraging and personal',
+  neutral: 'clear, polite and neutral',
+  formal: 'formal, respectful and concise'
+};
+const LENGTHS = {
+  short: '70-100 words',
+  medium: '130-170 words',
+  long: '200-260 words'
+};
+const MIN_WORDS = { short: 70, medium: 130, long: 200 };
+
+const LETTER_STATUS = {
+  DRAFT: 'draft',
+  APPROVED: 'approved',
+  REJECTED: 'rejected',
+  RELEASED: 'released'
+};
+
+function remarksText(remarks) {
+  if (!remarks) return '';
+  if (typeof remarks === 'string') return remarks;
+  return Object.entries(remarks)
+    .filter(([key, value]) => key !== 'rejectedReason' && typeof value === 'string' && value.trim())
+    .map(([, value]) => value.trim())
+    .join(' ');
+}
+
+const CATEGORY_ADVICE = {
+  skills: 'Strengthening hands-on practice with the core technologies named in the job description, for example through focused personal or open-source projects, would make future applications considerably stronger.',
+  experience: 'Gaining a little more depth of experience in comparable roles, or highlighting the relevant projects you have already delivered more clearly, would help future panels see your fit.',
+  compensation: 'The difference came down to compensation expectations that we could not meet within the budget for this role, which is not a reflection of your abilities.',
+  noticePeriod: 'The timeline for this role required someone who could join sooner, so availability played a part that was outside your control.',
+  location: 'The location and working arrangement for this role did not match your preferences, which limited our ability to move forward.',
+  communication: 'Practising how you explain your work, for example by walking a friend through a recent project in a few clear steps, can make a real difference in interviews.',
+  cultureFit: 'The panel felt the working style of this particular team differed from your preferences, which is often a matter of fit rather than ability.',
+  qualification: 'Some of the formal qualifications listed for this role were not yet in place, and completing them would open more opportunities like this one.'
+};
+
+const GENERAL_ADVICE = [
+  'We encourage you to keep an eye on future openings that match your profile, as requirements change from role to role.',
+  'Tailoring your resume to highlight the outcomes of your recent work, with concrete numbers where possible, helps reviewers see your impact quickly.',
+  'Preparing two or three short stories about challenges you solved, what you did and what changed as a result, is a reliable way to stand out in interviews.',
+  'Asking for informal feedback from peers on mock interviews can also reveal small improvements that add up.',
+  'Keeping your profile up to date with new certifications, projects and responsibilities makes it easier for us to match you with the right role next time.',
+  'If a similar position opens up in the future, we would welcome a new application that reflects how your experience has grown since.',
+  'Many strong candidates are not selected for one role and succeed in another shortly afterwards, so please do not be discouraged.'
+];
+
+function renderFeedbackLetterTemplate({ firstName, categories = [], reason, strengths = [], improvements = [], tone = 'neutral', length = 'medium' }) {
+  const name = firstName || 'Candidate';
+  const openings = {
+    warm: `Dear ${name}, thank you so much for the time and energy you put into your application and interviews with us.`,
+    neutral: `Dear ${name}, thank you for applying and for taking part in our selection process.`,
+    formal: `Dear ${name}, we appreciate your interest in the position and your participation in our selection process.`
+  };
+  const closings = {
+    warm: 'We truly enjoyed getting to know you and wish you every success in your search. Warm regards, the hiring team.',
+    neutral: 'Thank you again for your interest, and we wish you the best in your job search. Regards, the hiring team.',
+    formal: 'We thank you once again for your interest and wish you success in your future endeavours. Sincerely, the hiring team.'
+  };
+  const labels = categories
+    .filter(category => category !== UNSPECIFIED_CATEGORY)
+    .map(category => getCategoryLabel(category).toLowerCase());
+
+  const sentences = [
+    openings[tone] || openings.neutral,
+    'After careful consideration, we have decided not to move forward with your application at this stage.',
+    labels.length
+      ? `The main factor in this decision was ${labels.join(' and ')}${reason ? `, with the panel noting: "${reason}".` : '.'}`
+      : 'The panel compared all applicants closely against the requirements of the role before reaching this decision.'
+  ];
+  if (strengths.length) {
+    sentences.push(`Your assessment showed clear strengths in ${strengths.join(' and ')}, which the panel noted positively.`);
+  }
+  if (improvements.length) {
+    sentences.push(`The areas with the most room for growth were ${improvements.join(' and ')}.`);
+  }
+
+  const closing = closings[tone] || closings.neutral;
+  const extras = [
+    ...categories.map(category => CATEGORY_ADVICE[category]).filter(Boolean),
+    ...GENERAL_ADVICE
+  ];
+  const target = MIN_WORDS[length] || MIN_WORDS.medium;
+  while (extras.length && countWords([...sentences, closing].join(' ')) < target) {
+    sentences.push(extras.shift());
+  }
+  sentences.push(closing);
+
+  return {
+    subject: 'Feedback on your recent application',
+    body: sentences.join(' ')
+  };
+}
+
+registerTemplate(REPORT_NAME, renderFeedbackLetterTemplate);
+
+function buildLetterInput(jobseeker, recruiterDoc) {
+  const reason = extractRejectionReason(jobseeker, recruiterDoc);
+  const scores = normalizeScores(jobseeker.scores);
+  const ranked = [...scores].sort((a, b) => b.ratio - a.ratio);
+  return {
+    firstName: jobseeker.firstName || null,
+    reason,
+    remarks: remarksText(jobseeker.remarks),
+    categories: classifyReason(reason),
+    scores,
+    strengths: ranked.filter(item => item.ratio >= 0.7).slice(0, 2).map(item => item.name),
+    improvements: ranked.reverse().filter(item => item.ratio < 0.6).slice(0, 2).map(item => item.name)
+  };
+}
+
+function buildLetterPrompt(input, { tone, length }) {
+  const scoresText = input.scores.length
+    ? input.scores.map(item => `${item.name}: ${item.score}/${item.outOf}`).join('; ')
+    : 'No scores recorded';
+  return `
+You are writing a constructive rejection feedback letter to a job candidate on behalf of a hiring team.
+
+CANDIDATE FIRST NAME: ${input.firstName || 'Candidate'}
+REJECTION CATEGORIES: ${input.categories.map(getCategoryLabel).join(', ')}
+REJECTION REASON RECORDED BY THE PANEL: ${input.reason || 'Not recorded'}
+PANEL REMARKS: ${input.remarks || 'None'}
+ASSESSMENT SCORES: ${scoresText}
+
+REQUIREMENTS:
+- Tone: ${TONES[tone]}
+- Length of the body: ${LENGTHS[length]}
+- Ground every statement in the reason, remarks and scores above; do not invent facts
+- Mention at least one strength and one specific, actionable improvement where the data supports it
+- Never disclose internal scores as raw numbers, other candidates, or recruiter details
+- Write in flowing paragraphs, no bullet points
+
+Return ONLY this JSON object, no other text:
+{"subject": "[4-12 word subject line]", "body": "[letter body]"}
+`;
+}
+
+async function generateLetter(input, options, contestId) {
+  const redactor = createRedactor();
+  if (input.firstName) redactor.registerName(input.firstName, 'CANDIDATE');
+  return generateValidatedReport(REPORT_NAME, {
+    prompt: buildLetterPrompt(input, options),
+    data: { ...input, ...options },
+    fallback: renderFeedbackLetterTemplate({ ...input, ...options }),
+    schema: `${REPORT_NAME}.${options.length}`,
+    redactor,
+    contestId
+  });
+}
+
+async function loadRejectedJobseekers(contestId, jobseekerIds) {
+  const docs = await getDb().collection('recruiterAddProfiles')
+    .find({ contestId: new ObjectId(contestId) })
+    .toArray();
+  const wanted = jobseekerIds?.length ? new Set(jobseekerIds.map(String)) : null;
+  const rejected = [];
+  docs.forEach(doc => (doc.jobseekerDetails || []).forEach((jobseeker, index) => {
+    if (!isRejectedStatus(jobseeker.empStatus)) return;
+    const key = candidateKey(jobseeker, doc, index);
+    if (wanted && !wanted.has(key)) return;
+    rejected.push({ key, jobseeker, doc });
+  }));
+  return rejected;
+}
+
+async function runFeedbackJob(jobId) {
+  const db = getDb();
+  const jobs = db.collection(JOBS_COLLECTION);
+  const letters = db.collection(LETTERS_COLLECTION);
+
+  try {
+    const job = await jobs.findOne({ _id: jobId });
+    if (!job) throw new Error(`Feedback job ${jobId} not found`);
+    const { contestId, options } = job;
+    await jobs.updateOne({ _id: jobId }, { $set: { status: 'running', startedAt: new Date() } });
+    const candidates = await loadRejectedJobseekers(contestId, options.jobseekerIds);
+    await jobs.updateOne({ _id: jobId }, { $set: { total: candidates.length } });
+
+    for (const { key, jobseeker, doc } of candidates) {
+      const existing = await letters.findOne({ contestId, jobseekerKey: key });
+      const keep = existing && (
+        existing.status === LETTER_STATUS.RELEASED ||
+        (!options.regenerate && existing.status !== LETTER_STATUS.REJECTED)
+      );
+      if (keep) {
+        await jobs.updateOne({ _id: jobId }, { $inc: { processed: 1, skipped: 1 } });
+        continue;
+      }
+
+      try {
+        const input = buildLetterInput(jobseeker, doc);
+        const generation = await generateLetter(input, options, String(contestId));
+        const now = new Date();
+        await letters.updateOne(
+          { contestId, jobseekerKey: key },
+          {
+            $set: {
+              recruiterId: doc.recruiterId || null,
+              candidateName: `${jobseeker.firstName || ''} ${jobseeker.lastName || ''}`.trim() || null,
+              tone: options.tone,
+              length: options.length,
+              status: LETTER_STATUS.DRAFT,
+              letter: generation.analysis,
+              grounding: { reason: input.reason, categories: input.categories },
+              aiAnalysisStatus: generation.status,
+              jobId,
+              reviewedBy: null,
+              reviewedAt: null,
+              updatedAt: now
+            },
+            $setOnInsert: { createdAt: now }
+          },
+          { upsert: true }
+        );
+        await jobs.updateOne({ _id: jobId }, {
+          $inc: {
+            processed: 1,
+            succeeded: 1,
+            fallbacks: generation.status === AI_ANALYSIS_STATUS.FALLBACK ? 1 : 0
+          }
+        });
+      } catch (error) {
+        console.error(`Feedback letter for ${key} failed:`, error.message);
+        await jobs.updateOne({ _id: jobId }, {
+          $inc: { processed: 1, failed: 1 },
+          $push: { errors: { $each: [{ jobseekerKey: key, error: error.message }], $slice: -50 } }
+        });
+      }
+    }
+
+    await jobs.updateOne({ _id: jobId }, { $set: { status: 'completed', finishedAt: new Date() } });
+  } catch (error) {
+    console.error('Feedback job failed:', error);
+    await jobs.updateOne({ _id: jobId }, { $set: { status: 'failed', error: error.message, finishedAt: new Date() } })
+      .catch(updateError => console.error(`Could not mark feedback job ${jobId} as failed:`, updateError.message));
+  }
+}
+
+function startFeedbackJob(jobId) {
+  setImmediate(() => runFeedbackJob(jobId).catch(error => console.error(`Feedback job ${jobId} crashed:`, error)));
+}
+
+// Jobs are run in-process, so a restart interrupts them. Jobs that were
+// running are marked failed (partial letters stay as drafts and a new job
+// skips them); jobs that never started are queued again.
+async function recoverFeedbackJobs() {
+  try {
+    const jobs = getDb().collection(JOBS_COLLECTION);
+    const { modifiedCount } = await jobs.updateMany(
+      { status: 'running' },
+      { $set: { status: 'failed', error: 'Interrupted by a server restart', finishedAt: new Date() } }
+    );
+    const queued = await jobs.find({ status: 'queued' }, { projection: { _id: 1 } }).toArray();
+    queued.forEach(job => startFeedbackJob(job._id));
+    if (modifiedCount || queued.length) {
+      console.log(`Feedback jobs: ${modifiedCount} interrupted job(s) marked failed, ${queued.length} queued job(s) restarted`);
+    }
+  } catch (error) {
+    console.error('Feedback job recovery failed:', error.message);
+  }
+}
+
+function parseLetterOptions(body = {}) {
+  const tone = body.tone || 'warm';
+  const length = body.length || 'medium';
+  if (!TONES[tone]) {
+    return { error: `tone must be one of ${Object.keys(TONES).join(', ')}` };
+  }
+  if (!LENGTHS[length]) {
+    return { error: `length must be one of ${Object.keys(LENGTHS).join(', ')}` };
+  }
+  if (body.jobseekerIds !== undefined && !Array.isArray(body.jobseekerIds)) {
+    return { error: 'jobseekerIds must be an array' };
+  }
+  return {
+    options: {
+      tone,
+      length,
+      jobseekerIds: body.jobseekerIds || null,
+      regenerate: body.regenerate === true
+    }
+  };
+}
+
+function jobView(job) {
+  const percent = job.total > 0 ? Math.round((job.processed / job.total) * 100) : (job.status === 'completed' ? 100 : 0);
+  return { jobId: job._id, ...job, _id: undefined, percentComplete: percent };
+}
+
+async function loadLetterForUser(req, res) {
+  const { letterId } = req.params;
+  if (!ObjectId.isValid(letterId)) {
+    res.status(400).json({ success: false, error: 'Invalid letter ID format' });
+    return null;
+  }
+  const letter = await getDb().collection(LETTERS_COLLECTION).findOne({ _id: new ObjectId(letterId) });
+  if (!letter) {
+    res.status(404).json({ success: false, error: 'Feedback letter not found' });
+    return null;
+  }
+  if (!(await canAccessContest(req.user, String(letter.contestId)))) {
+    res.status(403).json({ success: false, error: 'You do not have access to this contest' });
+    return null;
+  }
+  return letter;
+}
+
+router.post('/contests/:contestId/feedback-letters', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), authorizeContest, async (req, res) => {
+  const { contestId } = req.params;
+  if (!ObjectId.isValid(contestId)) {
+    return res.status(400).json({ success: false, error: 'Invalid Contest ID format' });
+  }
+  const { options, error } = parseLetterOptions(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  try {
+    const job = {
+      contestId: new ObjectId(contestId),
+      status: 'queued',
+      options,
+      total: null,
+      processed: 0,
+      succeeded: 0,
+      skipped: 0,
+      failed: 0,
+      fallbacks: 0,
+      errors: [],
+      requestedBy: req.user.id,
+      createdAt: new Date()
+    };
+    const { insertedId } = await getDb().collection(JOBS_COLLECTION).insertOne(job);
+    startFeedbackJob(insertedId);
+    res.status(202).json({ success: true, jobId: insertedId, statusUrl: `/feedback-jobs/${insertedId}` });
+  } catch (err) {
+    console.error('Feedback job creation error:', err);
+    res.status(err.statusCode || 500).json({ success: false, error: 'Failed to start feedback letter generation', details: err.message });
+  }
+});
+
+router.get('/feedback-jobs/:jobId', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), async (req, res) => {
+  const { jobId } = req.params;
+  if (!ObjectId.isValid(jobId)) {
+    return res.status(400).json({ success: false, error: 'Invalid job ID format' });
+  }
+  try {
+    const job = await getDb().collection(JOBS_COLLECTION).findOne({ _id: new ObjectId(jobId) });
+    if (!job) {
+      return res.status(404).json({ success: false, error: 'Job not found' });
+    }
+    if (!(await canAccessContest(req.user, String(job.contestId)))) {
+      return res.status(403).json({ success: false, error: 'You do not have access to this contest' });
+    }
+    res.json({ success: true, job: jobView(job) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/contests/:contestId/feedback-letters', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), authorizeContest, async (req, res) => {
+  const { contestId } = req.params;
+  if (!ObjectId.isValid(contestId)) {
+    return res.status(400).json({ success: false, error: 'Invalid Contest ID format' });
+  }
+  try {
+    const query = { contestId: new ObjectId(contestId) };
+    if (req.query.status) query.status = String(req.query.status);
+    const letters = await getDb().collection(LETTERS_COLLECTION)
+      .find(query)
+      .sort({ updatedAt: -1 })
+      .toArray();
+    res.json({ success: true, contestId, count: letters.length, letters });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Review step: edit the text and/or approve or reject a draft. Rejected
+// letters are regenerated by the next bulk run.
+router.patch('/feedback-letters/:letterId', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), async (req, res) => {
+  try {
+    const letter = await loadLetterForUser(req, res);
+    if (!letter) return;
+    if (letter.status === LETTER_STATUS.RELEASED) {
+      return res.status(409).json({ success: false, error: 'Released letters cannot be changed' });
+    }
+
+    const { status, subject, body } = req.body || {};
+    const allowed = [LETTER_STATUS.DRAFT, LETTER_STATUS.APPROVED, LETTER_STATUS.REJECTED];
+    if (status !== undefined && !allowed.includes(status)) {
+      return res.status(400).json({ success: false, error: `status must be one of ${allowed.join(', ')}` });
+    }
+
+    const update = { updatedAt: new Date() };
+    if (typeof subject === 'string' && subject.trim()) update['letter.subject'] = subject.trim();
+    if (typeof body === 'string' && body.trim()) update['letter.body'] = body.trim();
+    const edited = Boolean(update['letter.subject'] || update['letter.body']);
+    if (edited) update.editedBy = req.user.id;
+    if (edited && status !== LETTER_STATUS.APPROVED) {
+      // Edited text needs a fresh review, unless this request approves it.
+      update.status = LETTER_STATUS.DRAFT;
+      update.reviewedBy = null;
+      update.reviewedAt = null;
+    } else if (status) {
+      update.status = status;
+      update.reviewedBy = req.user.id;
+      update.reviewedAt = new Date();
+    }
+
+    // The status check is repeated in the filter so a release that lands
+    // between the read above and this write is not overwritten.
+    const updated = await getDb().collection(LETTERS_COLLECTION).findOneAndUpdate(
+      { _id: letter._id, status: { $ne: LETTER_STATUS.RELEASED } },
+      { $set: update },
+      { returnDocument: 'after' }
+    );
+    if (!updated) {
+      return res.status(409).json({ success: false, error: 'Released letters cannot be changed' });
+    }
+    res.json({ success: true, letter: updated });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.post('/feedback-letters/:letterId/release', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), async (req, res) => {
+  try {
+    const letter = await loadLetterForUser(req, res);
+    if (!letter) return;
+    if (letter.status !== LETTER_STATUS.APPROVED) {
+      return res.status(409).json({ success: false, error: 'Only approved letters can be released' });
+    }
+    const updated = await getDb().collection(LETTERS_COLLECTION).findOneAndUpdate(
+      { _id: letter._id, status: LETTER_STATUS.APPROVED },
+      { $set: { status: LETTER_STATUS.RELEASED, releasedBy: req.user.id, releasedAt: new Date() } },
+      { returnDocument: 'after' }
+    );
+    if (!updated) {
+      return res.status(409).json({ success: false, error: 'Only approved letters can be released' });
+    }
+    res.json({ success: true, letter: updated });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  reportName: REPORT_NAME,
+  LETTER_STATUS,
+  buildLetterInput,
+  renderFeedbackLetterTemplate,
+  runFeedbackJob,
+  recoverFeedbackJobs,
+  endpoints: {
+    generate: 'POST /contests/:contestId/feedback-letters',
+    job: 'GET /feedback-jobs/:jobId',
+    list: 'GET /contests/:contestId/feedback-letters?status=',
+    review: 'PATCH /feedback-letters/:letterId',
+    release: 'POST /feedback-letters/:letterId/release'
+  }
+};
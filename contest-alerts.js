@@ -0,0 +1,398 @@
+const fs = require('fs');
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const dotenv = require('dotenv');
+const { getDb } = require('./db');
+const { registerTemplate } = require('./llm-provider');
+const { generateValidatedReport } = require('./ai-report');
+const { getFunnelInputs, uniqueCandidateTimelines } = require('./funnel');
+const { getRejectedCandidates } = require('./rejectionStats');
+const { summarizeRejections } = require('./rejection-taxonomy');
+const { getContestEmployerId, isClosedAction, idValues, findOpenContestIds } = require('./contests');
+const { ROLES, requireRole, authorizeContest, scopeContestFilters } = require('./auth');
+
+dotenv.config();
+
+const router = express.Router();
+
+const ALERTS_COLLECTION = 'contestAlerts';
+const SUMMARY_REPORT = 'contestAlertSummary';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONITOR_ENABLED = process.env.ALERTS_ENABLED === 'true';
+const MONITOR_MINUTES = Number(process.env.ALERTS_INTERVAL_MINUTES || 60);
+const MAX_CONTESTS = Number(process.env.ALERTS_MAX_CONTESTS || 200);
+
+const SEVERITIES = ['warning', 'critical'];
+const ALERT_STATUS = { OPEN: 'open', ACKNOWLEDGED: 'acknowledged', RESOLVED: 'resolved' };
+
+const DEFAULT_THRESHOLDS = {
+  // Rejections in the last `windowDays` compared with the average per
+  // window over the previous `baselineDays`.
+  rejectionSpike: { windowDays: 1, baselineDays: 14, minCount: 3, factor: 2, criticalFactor: 4 },
+  // A recruiter's rejection rate against the contest's overall rate.
+  recruiterRejectionRate: { minSubmissions: 5, factor: 1.5, minGap: 20, criticalGap: 40 },
+  // Candidates waiting at L1/L2 longer than `days`.
+  stalledFunnel: { stages: ['l1', 'l2'], days: 7, criticalDays: 14 },
+  // Open contests without lifecycle events for `days`.
+  inactiveContest: { days: 5, criticalDays: 14 },
+  // Share of rejections classified as compensation.
+  compensationRejections: { minRejected: 5, percentage: 40, criticalPercentage: 60 }
+};
+
+function loadThresholds() {
+  const thresholdsPath = process.env.ALERT_THRESHOLDS_PATH;
+  if (!thresholdsPath) return DEFAULT_THRESHOLDS;
+  try {
+    const overrides = JSON.parse(fs.readFileSync(thresholdsPath, 'utf8'));
+    return Object.fromEntries(Object.entries(DEFAULT_THRESHOLDS).map(([type, defaults]) => (
+      [type, { ...defaults, ...(overrides[type] || {}) }]
+    )));
+  } catch (error) {
+    console.error(`Could not load alert thresholds from ${thresholdsPath}, using defaults:`, error.message);
+    return DEFAULT_THRESHOLDS;
+  }
+}
+
+const thresholds = loadThresholds();
+
+function round(value, digits = 1) {
+  return Number(value.toFixed(digits));
+}
+
+function rejectedAt(timeline) {
+  if (timeline.currentStage !== 'rejected') return null;
+  const transition = [...timeline.transitions].reverse().find(item => item.stage === 'rejected');
+  return transition ? transition.at : null;
+}
+
+function detectRejectionSpike(timelines, now) {
+  const { windowDays, baselineDays, minCount, factor, criticalFactor } = thresholds.rejectionSpike;
+  const windowStart = now - windowDays * DAY_MS;
+  const baselineStart = windowStart - baselineDays * DAY_MS;
+  const times = timelines.map(rejectedAt).filter(Boolean);
+  const recent = times.filter(at => at >= windowStart && at <= now).length;
+  const earlier = times.filter(at => at >= baselineStart && at < windowStart).length;
+  const baseline = earlier / (baselineDays / windowDays);
+  if (recent < minCount || recent < baseline * factor) return [];
+  const ratio = baseline > 0 ? recent / baseline : null;
+  return [{
+    type: 'rejectionSpike',
+    key: 'contest',
+    severity: ratio === null || ratio >= criticalFactor ? 'critical' : 'warning',
+    message: `${recent} candidates were rejected in the last ${windowDays} day(s) against an average of ${round(baseline)} per ${windowDays} day(s) over the previous ${baselineDays} days.`,
+    metrics: { recent, baselineAverage: round(baseline, 2), ratio: ratio === null ? null : round(ratio, 2), windowDays, baselineDays }
+  }];
+}
+
+function detectRecruiterRejectionRate(timelines) {
+  const { minSubmissions, factor, minGap, criticalGap } = thresholds.recruiterRejectionRate;
+  const byRecruiter = new Map();
+  timelines.forEach(timeline => {
+    const key = String(timeline.recruiterId || 'unknown');
+    const entry = byRecruiter.get(key) || { submitted: 0, rejected: 0 };
+    entry.submitted += 1;
+    if (timeline.currentStage === 'rejected') entry.rejected += 1;
+    byRecruiter.set(key, entry);
+  });
+  const total = timelines.length;
+  const totalRejected = timelines.filter(timeline => timeline.currentStage === 'rejected').length;
+  if (byRecruiter.size < 2 || !totalRejected) return [];
+  const average = (totalRejected / total) * 100;
+
+  return [...byRecruiter.entries()]
+    .filter(([, entry]) => entry.submitted >= minSubmissions)
+    .map(([recruiterId, entry]) => ({ recruiterId, ...entry, rate: (entry.rejected / entry.submitted) * 100 }))
+    .filter(entry => entry.rate >= average * factor && entry.rate - average >= minGap)
+    .map(entry => ({
+      type: 'recruiterRejectionRate',
+      key: entry.recruiterId,
+      severity: entry.rate - average >= criticalGap ? 'critical' : 'warning',
+      message: `Recruiter ${entry.recruiterId} has ${round(entry.rate)}% of submissions rejected against a contest average of ${round(average)}%.`,
+      metrics: {
+        recruiterId: entry.recruiterId,
+        submitted: entry.submitted,
+        rejected: entry.rejected,
+        rejectionRate: round(entry.rate),
+        contestAverage: round(average)
+      }
+    }));
+}
+
+function detectStalledFunnel(timelines, now) {
+  const { stages, days, criticalDays } = thresholds.stalledFunnel;
+  return stages.map(stage => {
+    const waiting = timelines
+      .filter(timeline => timeline.currentStage === stage)
+      .map(timeline => {
+        const entered = [...timeline.transitions].reverse().find(item => item.stage === stage);
+        return entered ? (now - entered.at) / DAY_MS : null;
+      })
+      .filter(waitedDays => waitedDays !== null && waitedDays >= days);
+    if (!waiting.length) return null;
+    const longest = Math.max(...waiting);
+    return {
+      type: 'stalledFunnel',
+      key: stage,
+      severity: longest >= criticalDays ? 'critical' : 'warning',
+      message: `${waiting.length} candidate(s) have been waiting at ${stage.toUpperCase()} for more than ${days} days (longest ${round(longest)} days).`,
+      metrics: { stage, stalledCandidates: waiting.length, longestWaitDays: round(longest), thresholdDays: days }
+    };
+  }).filter(Boolean);
+}
+
+function detectInactiveContest(lifecycleData, now) {
+  const { days, criticalDays } = thresholds.inactiveContest;
+  if (!lifecycleData.length) return [];
+  const latest = lifecycleData[lifecycleData.length - 1];
+  if (isClosedAction(latest.action)) return [];
+  const idleDays = (now - new Date(latest.createdDate)) / DAY_MS;
+  if (!(idleDays >= days)) return [];
+  return [{
+    type: 'inactiveContest',
+    key: 'contest',
+    severity: idleDays >= criticalDays ? 'critical' : 'warning',
+    message: `No lifecycle activity for ${round(idleDays)} days; the last action was "${latest.action}".`,
+    metrics: { idleDays: round(idleDays), lastAction: latest.action, lastActivityAt: latest.createdDate }
+  }];
+}
+
+function detectCompensationRejections(rejectionSummary) {
+  const { minRejected, percentage, criticalPercentage } = thresholds.compensationRejections;
+  if (rejectionSummary.totalRejected < minRejected) return [];
+  const compensation = rejectionSummary.categories.find(item => item.category === 'compensation');
+  const share = Number(compensation?.percentage || 0);
+  if (share < percentage) return [];
+  return [{
+    type: 'compensationRejections',
+    key: 'contest',
+    severity: share >= criticalPercentage ? 'critical' : 'warning',
+    message: `${share}% of rejections (${compensation.count} of ${rejectionSummary.totalRejected}) are compensation-related, which suggests the budget is out of line with the market.`,
+    metrics: { percentage: share, count: compensation.count, totalRejected: rejectionSummary.totalRejected }
+  }];
+}
+
+async function detectContestAlerts(contestId, now = new Date()) {
+  const { recruiterDocs, lifecycleData } = await getFunnelInputs(contestId);
+  // A candidate submitted by several recruiters is counted once.
+  const { timelines } = uniqueCandidateTimelines(recruiterDocs, lifecycleData);
+  const rejectionSummary = await summarizeRejections(await getRejectedCandidates(contestId));
+  return [
+    ...detectRejectionSpike(timelines, now),
+    ...detectRecruiterRejectionRate(timelines),
+    ...detectStalledFunnel(timelines, now),
+    ...detectInactiveContest(lifecycleData, now),
+    ...detectCompensationRejections(rejectionSummary)
+  ];
+}
+
+// Stores the alerts found now and resolves open ones that no longer apply.
+// An alert keeps its id (and acknowledgement) while the condition persists.
+async function evaluateContestAlerts(contestId, now = new Date()) {
+  const collection = getDb().collection(ALERTS_COLLECTION);
+  const contestObjectId = new ObjectId(contestId);
+  const [detected, employerId] = await Promise.all([
+    detectContestAlerts(contestId, now),
+    getContestEmployerId(contestId)
+  ]);
+
+  for (const alert of detected) {
+    const { type, key, ...fields } = alert;
+    await collection.updateOne(
+      { contestId: contestObjectId, type, key, status: { $ne: ALERT_STATUS.RESOLVED } },
+      {
+        $set: { ...fields, employerId, lastDetectedAt: now },
+        $setOnInsert: { status: ALERT_STATUS.OPEN, firstDetectedAt: now }
+      },
+      { upsert: true }
+    );
+  }
+
+  const stillActive = detected.map(({ type, key }) => ({ type, key }));
+  await collection.updateMany(
+    {
+      contestId: contestObjectId,
+      status: { $ne: ALERT_STATUS.RESOLVED },
+      ...(stillActive.length ? { $nor: stillActive } : {})
+    },
+    { $set: { status: ALERT_STATUS.RESOLVED, resolvedAt: now, resolvedBy: 'system' } }
+  );
+
+  return collection
+    .find({ contestId: contestObjectId, status: { $ne: ALERT_STATUS.RESOLVED } })
+    .sort({ lastDetectedAt: -1 })
+    .toArray();
+}
+
+// Evaluates the MAX_CONTESTS most recently active open contests: those
+// whose latest lifecycle action is not a close.
+async function evaluateOpenContests(now = new Date()) {
+  const contestIds = await findOpenContestIds({ limit: MAX_CONTESTS });
+  let evaluated = 0;
+  for (const contestId of contestIds) {
+    try {
+      await evaluateContestAlerts(contestId, now);
+      evaluated++;
+    } catch (error) {
+      console.error(`Alert evaluation for contest ${contestId} failed:`, error.message);
+    }
+  }
+  return evaluated;
+}
+
+let monitorTimer = null;
+
+function startAlertMonitor() {
+  if (!MONITOR_ENABLED || monitorTimer) return;
+  const run = () => evaluateOpenContests().catch(error => console.error('Alert monitor run failed:', error.message));
+  monitorTimer = setInterval(run, MONITOR_MINUTES * 60 * 1000);
+  monitorTimer.unref();
+  console.log(`Alert monitor evaluating open contests every ${MONITOR_MINUTES} minute(s)`);
+  run();
+}
+
+function severityRank(severity) {
+  return SEVERITIES.indexOf(severity);
+}
+
+function renderAlertSummaryTemplate({ alerts = [] }) {
+  const critical = alerts.filter(alert => alert.severity === 'critical');
+  const [first, second] = [...critical, ...alerts.filter(alert => alert.severity !== 'critical')];
+  return {
+    summary: alerts.length
+      ? `This contest has ${alerts.length} open risk alert(s), ${critical.length} of them critical. ${first.message}${second ? ` ${second.message}` : ''} These signals should be reviewed together because they usually share a root cause in the brief, the panel or the pipeline.`
+      : 'This contest has no open risk alerts. Rejection levels, recruiter quality, funnel movement, lifecycle activity and compensation fit are all within the configured thresholds, so no intervention is needed right now beyond the usual weekly review. The next automatic check will confirm whether this remains the case.',
+    recommendedActions: alerts.length
+      ? 'Start with the critical alerts, confirm the figures with the hiring manager, and agree an owner and a date for each fix. Follow up with the recruiters involved and re-run the alert check after the changes to confirm the signals clear.'
+      : 'Keep monitoring the contest with the scheduled alert checks and review funnel and recruiter figures weekly so that any new issue is caught early and can be addressed before it affects time to hire.'
+  };
+}
+
+registerTemplate(SUMMARY_REPORT, renderAlertSummaryTemplate);
+
+async function summarizeAlerts(contestId, alerts) {
+  const alertsText = alerts.length
+    ? alerts.map(alert => `- [${alert.severity}] ${alert.type}: ${alert.message}`).join('\n')
+    : 'No open alerts.';
+  const prompt = `
+You are an HR analytics consultant. Summarise the open risk alerts for a hiring contest for the hiring manager.
+
+OPEN ALERTS:
+${alertsText}
+
+Provide the summary in this EXACT JSON format only, no additional text:
+{
+    "summary": "[40-80 words describing the most important risks, most severe first, using the figures above]",
+    "recommendedActions": "[30-60 words of specific next steps, no bullet points]"
+}
+`;
+  const generation = await generateValidatedReport(SUMMARY_REPORT, {
+    prompt,
+    data: { alerts },
+    fallback: renderAlertSummaryTemplate({ alerts }),
+    contestId
+  });
+  return { ...generation.analysis, aiAnalysisStatus: generation.status };
+}
+
+function parseAlertQuery(query) {
+  const filter = {};
+  if (query.severity) {
+    if (!SEVERITIES.includes(query.severity)) {
+      const error = new Error(`severity must be one of ${SEVERITIES.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    // `severity=warning` also returns critical alerts.
+    filter.severity = { $in: SEVERITIES.filter(severity => severityRank(severity) >= severityRank(query.severity)) };
+  }
+  if (query.type) filter.type = String(query.type);
+  filter.status = query.status ? String(query.status) : { $ne: ALERT_STATUS.RESOLVED };
+  return filter;
+}
+
+router.get('/alerts', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), async (req, res) => {
+  try {
+    const filter = parseAlertQuery(req.query);
+    const scope = await scopeContestFilters(req.user, {});
+    if (scope.employerId) filter.employerId = { $in: idValues(scope.employerId).map(String) };
+    const limit = Math.min(Number(req.query.limit) || 100, 500);
+    const alerts = await getDb().collection(ALERTS_COLLECTION)
+      .find(filter)
+      .sort({ lastDetectedAt: -1 })
+      .limit(limit)
+      .toArray();
+    res.status(200).json({ count: alerts.length, alerts });
+  } catch (error) {
+    console.error('Error listing alerts:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+router.get('/contests/:contestId/alerts', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), authorizeContest, async (req, res) => {
+  const { contestId } = req.params;
+  if (!ObjectId.isValid(contestId)) {
+    return res.status(400).json({ error: 'Invalid Contest ID format.' });
+  }
+  try {
+    const alerts = req.query.refresh === 'true'
+      ? await evaluateContestAlerts(contestId)
+      : await getDb().collection(ALERTS_COLLECTION)
+        .find({ contestId: new ObjectId(contestId), ...parseAlertQuery(req.query) })
+        .sort({ lastDetectedAt: -1 })
+        .toArray();
+    const result = { contestId, count: alerts.length, alerts };
+    if (req.query.summarize === 'true') {
+      result.aiSummary = await summarizeAlerts(contestId, alerts);
+    }
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error during alert lookup:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+router.patch('/alerts/:alertId', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), async (req, res) => {
+  const { alertId } = req.params;
+  if (!ObjectId.isValid(alertId)) {
+    return res.status(400).json({ error: 'Invalid alert ID format.' });
+  }
+  const { status } = req.body || {};
+  if (![ALERT_STATUS.ACKNOWLEDGED, ALERT_STATUS.RESOLVED].includes(status)) {
+    return res.status(400).json({ error: 'status must be "acknowledged" or "resolved".' });
+  }
+  try {
+    const filter = { _id: new ObjectId(alertId) };
+    const scope = await scopeContestFilters(req.user, {});
+    if (scope.employerId) filter.employerId = { $in: idValues(scope.employerId).map(String) };
+    const now = new Date();
+    const update = status === ALERT_STATUS.RESOLVED
+      ? { status, resolvedAt: now, resolvedBy: req.user.id }
+      : { status, acknowledgedAt: now, acknowledgedBy: req.user.id };
+    const alert = await getDb().collection(ALERTS_COLLECTION).findOneAndUpdate(
+      filter,
+      { $set: update },
+      { returnDocument: 'after' }
+    );
+    if (!alert) {
+      return res.status(404).json({ error: 'Alert not found.' });
+    }
+    res.status(200).json(alert);
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  reportName: SUMMARY_REPORT,
+  detectContestAlerts,
+  evaluateContestAlerts,
+  evaluateOpenContests,
+  startAlertMonitor,
+  summarizeAlerts,
+  endpoints: {
+    list: 'GET /alerts?severity=&type=&status=',
+    contest: 'GET /contests/:contestId/alerts?refresh=true&summarize=true',
+    update: 'PATCH /alerts/:alertId'
+  }
+};
@@ -0,0 +1,363 @@
+const fs = require('fs');
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const dotenv = require('dotenv');
+const { getDb } = require('./db');
+const { getFunnelInputs, buildCandidateTimelines } = require('./funnel');
+const { CONTESTS_COLLECTION, CONTEST_FIELDS, firstField, isClosedAction, idValues, getContestEmployerId } = require('./contests');
+const { findContests, parsePortfolioFilters } = require('./portfolio');
+const { ROLES, requireRole, authorizeContest, scopeContestFilters } = require('./auth');
+
+dotenv.config();
+
+const router = express.Router();
+
+const HOUR_MS = 60 * 60 * 1000;
+const PHASES = ['draft', 'published', 'sourcing', 'interviews', 'closed'];
+const INTERVIEW_STAGES = ['l1', 'l2', 'l3', 'hr'];
+const SLA_STAGES = ['submitted', 'shortlisted', 'l1', 'l2', 'l3', 'hr', 'offersent'];
+
+// `contestLifeCycle` actions that mean the contest went live.
+const PUBLISHED_ACTIONS = (process.env.CONTEST_PUBLISHED_ACTIONS || 'published,publish contest,contest published,approved,live')
+  .split(',').map(action => action.trim().toLowerCase()).filter(Boolean);
+
+const DEFAULT_SLA_RULES = {
+  // Hours from publication to the first candidate submission.
+  firstSubmission: { type: 'phase', from: 'published', to: 'sourcing', hours: 48, owner: 'recruiter' },
+  // Hours a candidate may wait at a stage before being moved on or rejected.
+  shortlistReview: { type: 'stage', stage: 'submitted', hours: 72, owner: 'employer' },
+  l1Feedback: { type: 'stage', stage: 'l1', hours: 72, owner: 'employer' },
+  l2Feedback: { type: 'stage', stage: 'l2', hours: 72, owner: 'employer' }
+};
+
+function isValidRule(rule) {
+  if (!rule || !(Number(rule.hours) > 0) || !rule.owner) return false;
+  if (rule.type === 'phase') return PHASES.includes(rule.from) && PHASES.includes(rule.to);
+  if (rule.type === 'stage') return SLA_STAGES.includes(rule.stage);
+  return false;
+}
+
+// Overrides are merged by rule name; `null` removes a default rule.
+function loadSlaRules() {
+  const rulesPath = process.env.SLA_RULES_PATH;
+  let rules = DEFAULT_SLA_RULES;
+  if (rulesPath) {
+    try {
+      const overrides = JSON.parse(fs.readFileSync(rulesPath, 'utf8'));
+      rules = { ...DEFAULT_SLA_RULES };
+      Object.entries(overrides).forEach(([name, override]) => {
+        if (override === null || override === false) {
+          delete rules[name];
+        } else {
+          rules[name] = { ...(DEFAULT_SLA_RULES[name] || {}), ...override };
+        }
+      });
+    } catch (error) {
+      console.error(`Could not load SLA rules from ${rulesPath}, using defaults:`, error.message);
+    }
+  }
+  return Object.fromEntries(Object.entries(rules).filter(([name, rule]) => {
+    if (isValidRule(rule)) return true;
+    console.error(`Ignoring invalid SLA rule "${name}"`);
+    return false;
+  }));
+}
+
+const slaRules = loadSlaRules();
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function hoursBetween(start, end) {
+  return Number(((end - start) / HOUR_MS).toFixed(1));
+}
+
+function isPublishedAction(action) {
+  return PUBLISHED_ACTIONS.includes(String(action || '').trim().toLowerCase());
+}
+
+function earliest(dates) {
+  const valid = dates.filter(Boolean);
+  return valid.length ? new Date(Math.min(...valid)) : null;
+}
+
+function phaseStarts({ contest, lifecycleData, timelines }) {
+  const events = lifecycleData.map(doc => ({ action: doc.action, at: toDate(doc.createdDate) })).filter(event => event.at);
+  const transitions = timelines.flatMap(timeline => timeline.transitions);
+  return {
+    draft: earliest([toDate(firstField(contest, CONTEST_FIELDS.date)), events[0]?.at]),
+    published: earliest(events.filter(event => isPublishedAction(event.action)).map(event => event.at)),
+    sourcing: earliest(transitions.map(item => item.at)),
+    interviews: earliest(transitions.filter(item => INTERVIEW_STAGES.includes(item.stage)).map(item => item.at)),
+    closed: earliest(events.filter(event => isClosedAction(event.action)).map(event => event.at))
+  };
+}
+
+// Each phase runs until the next phase that has started; the latest phase
+// of an open contest runs until now. Phases never reached have no start.
+function computePhases(starts, now) {
+  return PHASES.map((phase, index) => {
+    const startedAt = starts[phase];
+    if (!startedAt) return { phase, startedAt: null, endedAt: null, durationHours: null, current: false };
+    if (phase === 'closed') return { phase, startedAt, endedAt: null, durationHours: null, current: true };
+    const next = PHASES.slice(index + 1).map(name => starts[name]).find(Boolean);
+    const endedAt = next || starts.closed || null;
+    return {
+      phase,
+      startedAt,
+      endedAt,
+      durationHours: hoursBetween(startedAt, endedAt || now),
+      current: !endedAt
+    };
+  });
+}
+
+function stakeholderFor(owner, { recruiterId, employerId, employerName, lifecycleData, recruiterNames }) {
+  if (owner === 'recruiter') {
+    return recruiterId
+      ? { role: 'recruiter', id: String(recruiterId), name: recruiterNames.get(String(recruiterId)) || null }
+      : { role: 'recruiter', id: null, name: 'All recruiters' };
+  }
+  if (owner === 'employer') {
+    return { role: 'employer', id: employerId || null, name: employerName || null };
+  }
+  const actor = [...lifecycleData].reverse().find(doc => String(doc.userRole || '').toLowerCase() === owner);
+  return { role: owner, id: actor?.userId ? String(actor.userId) : null, name: actor?.userName || null };
+}
+
+function checkPhaseRule(name, rule, { starts, now, context }) {
+  const startedAt = starts[rule.from];
+  if (!startedAt) return { checked: 0, breaches: [] };
+  const resolvedAt = starts[rule.to] && starts[rule.to] >= startedAt ? starts[rule.to] : null;
+  const end = resolvedAt || starts.closed || now;
+  const elapsed = hoursBetween(startedAt, end);
+  if (elapsed <= rule.hours) return { checked: 1, breaches: [] };
+  return {
+    checked: 1,
+    breaches: [{
+      rule: name,
+      stakeholder: stakeholderFor(rule.owner, context),
+      startedAt,
+      dueAt: new Date(startedAt.getTime() + rule.hours * HOUR_MS),
+      resolvedAt,
+      elapsedHours: elapsed,
+      overdueHours: Number((elapsed - rule.hours).toFixed(1)),
+      ongoing: !resolvedAt && !starts.closed
+    }]
+  };
+}
+
+function checkStageRule(name, rule, { timelines, starts, now, context }) {
+  let checked = 0;
+  const breaches = [];
+  timelines.forEach(timeline => {
+    const transitions = timeline.transitions.filter(item => item.at <= now);
+    transitions.forEach((item, index) => {
+      if (item.stage !== rule.stage) return;
+      const resolvedAt = transitions[index + 1]?.at || null;
+      const end = resolvedAt || starts.closed || now;
+      if (end < item.at) return;
+      checked++;
+      const elapsed = hoursBetween(item.at, end);
+      if (elapsed <= rule.hours) return;
+      breaches.push({
+        rule: name,
+        stakeholder: stakeholderFor(rule.owner, { ...context, recruiterId: timeline.recruiterId }),
+        candidate: timeline.key,
+        recruiterId: timeline.recruiterId ? String(timeline.recruiterId) : null,
+        startedAt: item.at,
+        dueAt: new Date(item.at.getTime() + rule.hours * HOUR_MS),
+        resolvedAt,
+        elapsedHours: elapsed,
+        overdueHours: Number((elapsed - rule.hours).toFixed(1)),
+        ongoing: !resolvedAt && !starts.closed
+      });
+    });
+  });
+  return { checked, breaches };
+}
+
+function groupByStakeholder(breaches) {
+  const groups = new Map();
+  breaches.forEach(breach => {
+    const { role, id, name } = breach.stakeholder;
+    const key = `${role}:${id || ''}`;
+    const group = groups.get(key) || { role, id, name, breaches: 0, ongoing: 0, maxOverdueHours: 0, rules: {} };
+    group.breaches += 1;
+    if (breach.ongoing) group.ongoing += 1;
+    group.maxOverdueHours = Math.max(group.maxOverdueHours, breach.overdueHours);
+    group.rules[breach.rule] = (group.rules[breach.rule] || 0) + 1;
+    groups.set(key, group);
+  });
+  return [...groups.values()].sort((a, b) => b.breaches - a.breaches || b.maxOverdueHours - a.maxOverdueHours);
+}
+
+function buildContestTimeline({ contest = null, lifecycleData = [], timelines = [], employerId = null, recruiterNames = new Map(), now = new Date(), rules = slaRules }) {
+  const starts = phaseStarts({ contest, lifecycleData, timelines });
+  const phases = computePhases(starts, now);
+  const employerEvent = lifecycleData.find(doc => String(doc.userRole || '').toLowerCase() === 'employer');
+  const context = { employerId, employerName: employerEvent?.userName, lifecycleData, recruiterNames };
+
+  const events = lifecycleData.map(doc => {
+    const at = toDate(doc.createdDate);
+    const phase = at ? [...phases].reverse().find(item => item.startedAt && item.startedAt <= at) : null;
+    return {
+      at,
+      updatedAt: toDate(doc.updatedDate || doc.updatedAt),
+      action: doc.action || null,
+      actor: doc.userName || null,
+      actorId: doc.userId ? String(doc.userId) : null,
+      role: doc.userRole || null,
+      comment: doc.comment || null,
+      phase: phase ? phase.phase : null
+    };
+  });
+
+  const slas = [];
+  const breaches = [];
+  Object.entries(rules).forEach(([name, rule]) => {
+    const check = rule.type === 'phase' ? checkPhaseRule : checkStageRule;
+    const result = check(name, rule, { starts, timelines, now, context });
+    breaches.push(...result.breaches);
+    slas.push({
+      rule: name,
+      ...rule,
+      checked: result.checked,
+      breached: result.breaches.length,
+      ongoing: result.breaches.filter(breach => breach.ongoing).length,
+      complianceRate: result.checked ? Number((((result.checked - result.breaches.length) / result.checked) * 100).toFixed(1)) : null
+    });
+  });
+  breaches.sort((a, b) => b.overdueHours - a.overdueHours);
+
+  return {
+    currentPhase: [...phases].reverse().find(item => item.startedAt)?.phase || null,
+    closed: Boolean(starts.closed),
+    timeline: events,
+    phases,
+    slas,
+    breaches,
+    breachesByStakeholder: groupByStakeholder(breaches)
+  };
+}
+
+async function getRecruiterNames(recruiterIds) {
+  const ids = [...new Set(recruiterIds.filter(Boolean).map(String))];
+  if (!ids.length) return new Map();
+  const profiles = await getDb().collection('recruiterProfile')
+    .find(
+      { _id: { $in: ids.flatMap(idValues) } },
+      { projection: { 'basic_details.firstName': 1, 'basic_details.lastName': 1 } }
+    )
+    .toArray();
+  return new Map(profiles.map(profile => [
+    String(profile._id),
+    `${profile.basic_details?.firstName || ''} ${profile.basic_details?.lastName || ''}`.trim() || null
+  ]));
+}
+
+async function analyzeContestTimeline(contestId, now = new Date()) {
+  const [contest, { recruiterDocs, lifecycleData }, employerId] = await Promise.all([
+    getDb().collection(CONTESTS_COLLECTION).findOne({ _id: new ObjectId(contestId) }),
+    getFunnelInputs(contestId),
+    getContestEmployerId(contestId)
+  ]);
+  const recruiterNames = await getRecruiterNames(recruiterDocs.map(doc => doc.recruiterId));
+  return {
+    contestId,
+    generatedAt: now.toISOString(),
+    ...buildContestTimeline({
+      contest,
+      lifecycleData,
+      timelines: buildCandidateTimelines(recruiterDocs, lifecycleData),
+      employerId,
+      recruiterNames,
+      now
+    })
+  };
+}
+
+function parseBreachQuery(query) {
+  if (query.rule && !slaRules[query.rule]) {
+    const error = new Error(`rule must be one of ${Object.keys(slaRules).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return {
+    rule: query.rule ? String(query.rule) : null,
+    ongoingOnly: query.ongoing === 'true',
+    limit: Math.min(Number(query.limit) || 200, 1000)
+  };
+}
+
+function filterBreaches(breaches, { rule, ongoingOnly }) {
+  return breaches.filter(breach => (!rule || breach.rule === rule) && (!ongoingOnly || breach.ongoing));
+}
+
+router.get('/contests/:contestId/timeline', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), authorizeContest, async (req, res) => {
+  const { contestId } = req.params;
+  if (!ObjectId.isValid(contestId)) {
+    return res.status(400).json({ error: 'Invalid Contest ID format.' });
+  }
+  try {
+    res.status(200).json(await analyzeContestTimeline(contestId));
+  } catch (error) {
+    console.error('Error during timeline analysis:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+// Breaches across the caller's contests, grouped per contest and per
+// stakeholder.
+router.get('/sla/breaches', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), async (req, res) => {
+  try {
+    const options = parseBreachQuery(req.query);
+    const filters = await scopeContestFilters(req.user, parsePortfolioFilters(req.query));
+    const contests = await findContests(filters);
+    const now = new Date();
+
+    const perContest = [];
+    const breaches = [];
+    for (const contest of contests) {
+      const contestId = String(contest._id);
+      const analysis = await analyzeContestTimeline(contestId, now);
+      const contestBreaches = filterBreaches(analysis.breaches, options).map(breach => ({ contestId, ...breach }));
+      breaches.push(...contestBreaches);
+      perContest.push({
+        contestId,
+        currentPhase: analysis.currentPhase,
+        breaches: contestBreaches.length,
+        ongoing: contestBreaches.filter(breach => breach.ongoing).length,
+        rules: contestBreaches.reduce((counts, breach) => ({ ...counts, [breach.rule]: (counts[breach.rule] || 0) + 1 }), {})
+      });
+    }
+    breaches.sort((a, b) => b.overdueHours - a.overdueHours);
+
+    res.status(200).json({
+      contestsAnalyzed: contests.length,
+      totalBreaches: breaches.length,
+      rules: slaRules,
+      byContest: perContest.sort((a, b) => b.breaches - a.breaches),
+      byStakeholder: groupByStakeholder(breaches),
+      breaches: breaches.slice(0, options.limit)
+    });
+  } catch (error) {
+    console.error('Error during SLA breach analysis:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  PHASES,
+  DEFAULT_SLA_RULES,
+  buildContestTimeline,
+  analyzeContestTimeline,
+  endpoints: {
+    main: 'GET /contests/:contestId/timeline',
+    breaches: 'GET /sla/breaches?rule=&ongoing=true&from=&to=&employerId=&contestIds=&limit='
+  }
+};
@@ -0,0 +1,127 @@
+const { ObjectId } = require('mongodb');
+const dotenv = require('dotenv');
+const { getDb } = require('./db');
+
+dotenv.config();
+
+const CONTESTS_COLLECTION = process.env.CONTESTS_COLLECTION || 'contests';
+
+// Field names on contest documents used for filtering and labelling.
+const CONTEST_FIELDS = {
+  date: ['createdDate', 'createdAt', 'startDate'],
+  employer: ['employerId', 'clientId'],
+  role: ['role', 'jobTitle', 'title'],
+  skills: ['skills', 'tags', 'skillTags']
+};
+
+// `contestLifeCycle` actions that mean the contest has closed.
+const CLOSED_ACTIONS = (process.env.CONTEST_CLOSED_ACTIONS || 'closed,close contest,contest closed,completed')
+  .split(',').map(action => action.trim().toLowerCase()).filter(Boolean);
+
+function isClosedAction(action) {
+  return CLOSED_ACTIONS.includes(String(action || '').trim().toLowerCase());
+}
+
+function firstField(doc, names) {
+  for (const name of names) {
+    if (doc?.[name] !== undefined && doc[name] !== null) return doc[name];
+  }
+  return undefined;
+}
+
+// Ids are stored as ObjectIds in most collections but as strings in some.
+function idValues(id) {
+  return ObjectId.isValid(id) ? [new ObjectId(id), String(id)] : [String(id)];
+}
+
+async function isContestOwnedBy(contestId, employerId) {
+  if (!employerId) return false;
+  const db = getDb();
+  const employerIds = idValues(employerId);
+  const contest = await db.collection(CONTESTS_COLLECTION).findOne({
+    _id: new ObjectId(contestId),
+    $or: CONTEST_FIELDS.employer.map(field => ({ [field]: { $in: employerIds } }))
+  });
+  if (contest) return true;
+
+  const employerEvent = await db.collection('contestLifeCycle').findOne({
+    contestId: new ObjectId(contestId),
+    userRole: { $regex: /^employer$/i },
+    userId: { $in: employerIds }
+  });
+  return Boolean(employerEvent);
+}
+
+// Every contest the employer owns under the same rule as isContestOwnedBy:
+// the employer field of the contest document, or an employer event in the
+// contest's lifecycle. Not capped, for scoping queries to an employer.
+async function findOwnedContestIds(employerId) {
+  if (!employerId) return [];
+  const db = getDb();
+  const employerIds = idValues(employerId);
+  const [contests, lifecycleIds] = await Promise.all([
+    db.collection(CONTESTS_COLLECTION)
+      .find({ $or: CONTEST_FIELDS.employer.map(field => ({ [field]: { $in: employerIds } })) }, { projection: { _id: 1 } })
+      .toArray(),
+    db.collection('contestLifeCycle').distinct('contestId', {
+      userRole: { $regex: /^employer$/i },
+      userId: { $in: employerIds }
+    })
+  ]);
+  const ids = new Set([...contests.map(doc => String(doc._id)), ...lifecycleIds.filter(Boolean).map(String)]);
+  return [...ids];
+}
+
+// The owning employer, from the contests collection or else the employer
+// who appears in the contest's lifecycle.
+async function getContestEmployerId(contestId) {
+  const db = getDb();
+  const contest = await db.collection(CONTESTS_COLLECTION).findOne({ _id: new ObjectId(contestId) });
+  const employerId = firstField(contest, CONTEST_FIELDS.employer);
+  if (employerId) return String(employerId);
+
+  const employerEvent = await db.collection('contestLifeCycle').findOne(
+    { contestId: new ObjectId(contestId), userRole: { $regex: /^employer$/i }, userId: { $exists: true } },
+    { sort: { createdDate: 1 } }
+  );
+  return employerEvent ? String(employerEvent.userId) : null;
+}
+
+async function hasRecruiterSubmissions(contestId, recruiterId) {
+  if (!recruiterId) return false;
+  const doc = await getDb().collection('recruiterAddProfiles').findOne(
+    { contestId: new ObjectId(contestId), recruiterId: { $in: idValues(recruiterId) } },
+    { projection: { _id: 1 } }
+  );
+  return Boolean(doc);
+}
+
+// Open contests, most recently active first: contests whose latest
+// lifecycle event is not a closing action. `contestIds` narrows the search.
+async function findOpenContestIds({ contestIds = null, limit = 200 } = {}) {
+  const match = contestIds ? { contestId: { $in: contestIds.flatMap(idValues) } } : {};
+  const latest = await getDb().collection('contestLifeCycle').aggregate([
+    { $match: match },
+    { $sort: { createdDate: -1 } },
+    { $group: { _id: '$contestId', action: { $first: '$action' }, lastEventAt: { $first: '$createdDate' } } },
+    { $sort: { lastEventAt: -1 } }
+  ], { allowDiskUse: true }).toArray();
+  return latest
+    .filter(doc => doc._id && ObjectId.isValid(doc._id) && !isClosedAction(doc.action))
+    .slice(0, limit)
+    .map(doc => String(doc._id));
+}
+
+module.exports = {
+  CONTESTS_COLLECTION,
+  CONTEST_FIELDS,
+  CLOSED_ACTIONS,
+  isClosedAction,
+  firstField,
+  idValues,
+  isContestOwnedBy,
+  findOwnedContestIds,
+  getContestEmployerId,
+  hasRecruiterSubmissions,
+  findOpenContestIds
+};
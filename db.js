@@ -0,0 +1,60 @@
+const { MongoClient } = require('mongodb');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const DB_NAME = 'Marketplace-ifin';
+
+let client;
+let db;
+
+async function connectToDatabase() {
+  if (db) return db;
+  if (!MONGODB_URI) {
+    throw new Error('MONGODB_URI is not defined in the .env file.');
+  }
+  console.log('Connecting to MongoDB...');
+  client = new MongoClient(MONGODB_URI);
+  await client.connect();
+  db = client.db(DB_NAME);
+  console.log('Connected to MongoDB successfully');
+  return db;
+}
+
+function getDb() {
+  if (!db) {
+    const error = new Error('Database connection is not initialised.');
+    error.statusCode = 503;
+    throw error;
+  }
+  return db;
+}
+
+async function getDatabaseStatus() {
+  if (!db) {
+    return { status: 'disconnected', database: DB_NAME };
+  }
+  try {
+    await db.command({ ping: 1 });
+    return { status: 'connected', database: DB_NAME };
+  } catch (error) {
+    return { status: 'error', database: DB_NAME, error: error.message };
+  }
+}
+
+async function closeDatabase() {
+  if (client) {
+    await client.close();
+  }
+  client = undefined;
+  db = undefined;
+}
+
+module.exports = {
+  DB_NAME,
+  connectToDatabase,
+  getDb,
+  getDatabaseStatus,
+  closeDatabase
+};
@@ -0,0 +1,82 @@
+// Local check of the report delivery channels:
+//
+//   node delivery-check.js
+//
+// Sends a sample digest through a webhook (to a receiver started here that
+// verifies the signature), SMTP (nodemailer's json transport, nothing is
+// sent) and the file channel (a temporary drop directory), then prints what
+// each one received. A webhook to an internal address must be refused.
+// Exits non-zero when a channel fails or the internal webhook goes through.
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+process.env.SMTP_TRANSPORT = process.env.SMTP_TRANSPORT || 'json';
+process.env.REPORT_DROP_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'ifin-delivery-'));
+// The local receiver listens on loopback, which webhooks may not reach
+// unless the host is allowed.
+process.env.REPORT_WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+
+const { deliverReport } = require('./report-delivery');
+
+const SECRET = 'delivery-check';
+
+function startReceiver() {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+      const body = Buffer.concat(chunks).toString();
+      const expected = `sha256=${crypto.createHmac('sha256', SECRET).update(body).digest('hex')}`;
+      const signed = req.headers['x-ifin-signature'] === expected;
+      received.push({ signed, body: JSON.parse(body) });
+      res.writeHead(signed ? 204 : 401);
+      res.end();
+    });
+  });
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => resolve({ server, received, url: `http://127.0.0.1:${server.address().port}/hook` }));
+  });
+}
+
+async function main() {
+  const { server, received, url } = await startReceiver();
+  const payload = {
+    scheduleId: 'delivery-check',
+    scheduleName: 'Delivery check',
+    trigger: 'digest',
+    reason: 'daily digest',
+    contestId: null,
+    period: { from: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString(), to: new Date().toISOString() },
+    generatedAt: new Date().toISOString(),
+    reports: { '000000000000000000000001': { funnel: { stages: [] } } }
+  };
+  try {
+    const deliveries = await deliverReport([
+      { type: 'webhook', url, secret: SECRET },
+      { type: 'smtp', to: ['reports@example.com'] },
+      { type: 'file', directory: 'digest' },
+      { type: 'webhook', url: 'http://169.254.169.254/latest/meta-data' }
+    ], { subject: 'Delivery check: daily hiring digest', text: 'The full report is attached as JSON.', payload });
+
+    deliveries.forEach(delivery => console.log(JSON.stringify(delivery, null, 2)));
+    console.log(`Webhook receiver got ${received.length} request(s), signature ${received.every(item => item.signed) ? 'valid' : 'INVALID'}`);
+    console.log(`Drop directory: ${process.env.REPORT_DROP_DIR}`);
+
+    const [internal] = deliveries.splice(3, 1);
+    console.log(`Internal webhook: ${internal.status === 'failed' ? `refused (${internal.error})` : 'DELIVERED'}`);
+
+    const failed = deliveries.filter(delivery => delivery.status !== 'delivered');
+    if (failed.length || internal.status !== 'failed' || !received.length || received.some(item => !item.signed)) process.exitCode = 1;
+  } finally {
+    server.close();
+  }
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exitCode = 1;
+});
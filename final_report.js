@@ -1,98 +1,184 @@
 const express = require('express');
-const { MongoClient, ObjectId } = require('mongodb');
-const dotenv = require('dotenv');
-const axios = require('axios');
-
-dotenv.config();
-
-const app = express();
-app.use(express.json());
-
-const PORT = process.env.PORT;
-const MONGODB_URI = process.env.MONGODB_URI;
-const MISTRAL_API_KEY = process.env.MISTRAL_API_KEY;
-const API_URL = 'https://api.mistral.ai/v1/chat/completions';
-const DB_NAME = 'Marketplace-ifin';
-
-let db;
-
-async function connectToDatabase() {
-  try {
-    console.log('Connecting to MongoDB...');
-    const client = new MongoClient(MONGODB_URI);
-    await client.connect();
-    db = client.db(DB_NAME);
-    console.log('Connected to MongoDB successfully');
-  } catch (error) {
-    console.error('MongoDB connection error:', error.message);
-    process.exit(1);
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { registerTemplate } = require('./llm-provider');
+const { generateValidatedReport } = require('./ai-report');
+const { getOrGenerateReport, wantsRefresh } = require('./report-cache');
+const { ROLES, requireRole, authorizeContest } = require('./auth');
+const { createRedactor, redactForLog } = require('./redaction');
+const { normalizeStatus, statusMatchExpression } = require('./status-normalization');
+const { resolveContestDuplicates } = require('./candidate-duplicates');
+const { DEFAULT_LANGUAGE, resolveLanguage, getLanguage, formatNumber, formatDate, languageInstruction, localize } = require('./localization');
+const translations = require('./report-translations');
+const { selectPromptVersion, renderPrompt } = require('./prompt-templates');
+const { analyzeRejectionReasons } = require('./rejectionStats');
+const { buildContestMetrics, buildEventSources, groundReport } = require('./report-evidence');
+
+const router = express.Router();
+
+const REPORT_NAME = 'contestAnalytics';
+
+const FALLBACK_ANALYSIS = {
+  "contest-lifecycle": {
+    "summary": "Contest lifecycle analysis completed with stakeholder actions recorded, showing progression through multiple stages with active management.",
+    "detailedAnalysis": "AI analysis could not be produced in the expected format. Contest shows activity from multiple stakeholders with various actions recorded.",
+    "currentStatus": "AI analysis unavailable - manual review required"
+  },
+  "candidate-funnel-analysis": {
+    "summary": "Candidate funnel shows progression through hiring stages with conversion tracking across multiple interview levels.",
+    "detailedAnalysis": "Funnel analysis indicates candidate flow from application to offer stage with measurable conversion rates at each step."
+  },
+  "recruiter-performance": {
+    "summary": "Recruiter performance varies across submissions with different efficiency ratios and contribution patterns observed.",
+    "detailedAnalysis": "Individual recruiter analysis shows varying submission quality and conversion rates requiring targeted performance improvement."
+  },
+  "overall-ai-powered-insights-and-recommendations": {
+    "summary": "Contest shows active management with stakeholder involvement and candidate progression through structured hiring funnel.",
+    "recommendations": "Implement standardized performance metrics, optimize funnel conversion rates, and enhance recruiter training programs."
   }
-}
+};
 
 async function getContestLifeCycleData(contestId) {
   const objectIdContestId = new ObjectId(contestId);
-  const contestLifeCycleDocs = await db.collection('contestLifeCycle')
+  const contestLifeCycleDocs = await getDb().collection('contestLifeCycle')
     .find({ contestId: objectIdContestId })
     .sort({ createdDate: 1 })
     .toArray();
   return contestLifeCycleDocs;
 }
 
-async function getRecruiterStatsData(contestId) {
-  const objectIdContestId = new ObjectId(contestId);
-  const recruiterAddProfilesCol = db.collection("recruiterAddProfiles");
-  const recruiterProfileCol = db.collection("recruiterProfile");
-  
-  const recruiterDocs = await recruiterAddProfilesCol
-    .find({ contestId: objectIdContestId })
-    .toArray();
+function recruiterIdQuery(recruiterId) {
+  if (!(recruiterId instanceof ObjectId) && ObjectId.isValid(recruiterId)) {
+    return new ObjectId(recruiterId);
+  }
+  return recruiterId;
+}
+
+function buildRecruiterStats(recruiterDocs, profiles) {
+  // A candidate submitted by several recruiters counts once, for the
+  // recruiter who submitted first, at the furthest stage any copy reached.
+  const duplicates = resolveContestDuplicates(recruiterDocs);
 
   const results = [];
   for (const rec of recruiterDocs) {
     const recruiterId = rec.recruiterId;
-    let recruiterIdQuery = recruiterId;
-    if (!(recruiterId instanceof ObjectId) && ObjectId.isValid(recruiterId)) {
-      recruiterIdQuery = new ObjectId(recruiterId);
-    }
-    const recruiterProfile = await recruiterProfileCol.findOne(
-      { _id: recruiterIdQuery },
-      {
-        projection: {
-          "basic_details.firstName": 1,
-          "basic_details.lastName": 1,
-        },
-      }
-    );
+    const recruiterProfile = profiles.get(String(recruiterId));
     const recruiterName = recruiterProfile
       ? `${recruiterProfile.basic_details?.firstName || ""} ${
           recruiterProfile.basic_details?.lastName || ""
         }`.trim()
       : "Unknown Recruiter";
-    const jobseekers = rec.jobseekerDetails || [];
+    const jobseekers = (rec.jobseekerDetails || []).filter(
+      (js) => !duplicates.repeats.has(js)
+    );
+    const duplicatesExcluded = (rec.jobseekerDetails || []).length - jobseekers.length;
     const profilesSubmitted = jobseekers.length;
     const profilesShortlisted = jobseekers.filter(
-      (js) => js.empStatus?.toLowerCase() === "shortlisted"
+      (js) => normalizeStatus(duplicates.statusOf(js)) === "shortlisted"
     ).length;
     const profilesL1 = jobseekers.filter(
-      (js) => js.empStatus?.toLowerCase() === "l1"
+      (js) => normalizeStatus(duplicates.statusOf(js)) === "l1"
     ).length;
     const submissionRatio =
       profilesSubmitted > 0
         ? ((profilesL1 / profilesSubmitted) * 100).toFixed(2)
         : "0.00";
     results.push({
+      recruiterId: recruiterId ? String(recruiterId) : null,
       recruiterName,
       profilesSubmitted,
       profilesShortlisted,
       profilesL1,
       submissionRatio: `${submissionRatio}%`,
+      duplicatesExcluded,
     });
   }
   return results;
 }
 
+// Recruiter stats for several contests with one query per collection,
+// keyed by contest id.
+async function getRecruiterStatsByContest(contestIds) {
+  const objectIds = contestIds.map(id => new ObjectId(id));
+  const recruiterDocs = await getDb().collection("recruiterAddProfiles")
+    .find({ contestId: { $in: objectIds } })
+    .toArray();
+  const recruiterIds = [...new Set(recruiterDocs.map(doc => doc.recruiterId).filter(Boolean))];
+  const profileDocs = await getDb().collection("recruiterProfile")
+    .find(
+      { _id: { $in: recruiterIds.map(recruiterIdQuery) } },
+      {
+        projection: {
+          "basic_details.firstName": 1,
+          "basic_details.lastName": 1,
+        },
+      }
+    )
+    .toArray();
+  const profiles = new Map(profileDocs.map(profile => [String(profile._id), profile]));
+
+  return new Map(contestIds.map(contestId => [
+    String(contestId),
+    buildRecruiterStats(recruiterDocs.filter(doc => String(doc.contestId) === String(contestId)), profiles)
+  ]));
+}
+
+async function getRecruiterStatsData(contestId) {
+  return (await getRecruiterStatsByContest([contestId])).get(String(contestId));
+}
+
+function countStatus(field, value) {
+  return {
+    $sum: {
+      $cond: [
+        statusMatchExpression(`$jobseekerDetails.${field}`, value),
+        1, 0
+      ]
+    }
+  };
+}
+
+const STATUS_COUNTS = {
+  totalApplied: ['status', 'submitted'],
+  totalShortlisted: ['empStatus', 'shortlisted'],
+  totalL1: ['empStatus', 'l1'],
+  totalL2: ['empStatus', 'l2'],
+  totalL3: ['empStatus', 'l3'],
+  totalHR: ['empStatus', 'hr'],
+  totalOfferSent: ['empStatus', 'offersent'],
+  totalRejected: ['empStatus', 'rejected']
+};
+
+const OVERALL_STATS_FIELDS = {
+  totalSubmittedProfiles: { $sum: 1 },
+  ...Object.fromEntries(Object.entries(STATUS_COUNTS).map(([name, [field, status]]) => [name, countStatus(field, status)]))
+};
+
+// Removes the counts of duplicate submissions whose candidate is already
+// represented by a copy that got further in the funnel.
+function correctForDuplicates(stats, recruiterDocs) {
+  if (!stats) return stats;
+  const { merged } = resolveContestDuplicates(recruiterDocs);
+  const corrected = { ...stats, duplicateProfiles: merged.size };
+  merged.forEach(js => {
+    corrected.totalSubmittedProfiles -= 1;
+    Object.entries(STATUS_COUNTS).forEach(([name, [field, status]]) => {
+      if (normalizeStatus(js[field]) === status) corrected[name] -= 1;
+    });
+  });
+  return corrected;
+}
+
+function overallStatsPipeline(matchCondition, groupId) {
+  return [
+    { $match: matchCondition },
+    { $unwind: "$jobseekerDetails" },
+    { $group: { _id: groupId, ...OVERALL_STATS_FIELDS } }
+  ];
+}
+
 async function getOverallStatsData(contestId) {
-  const recruiterAddProfilesCol = db.collection("recruiterAddProfiles");
+  const recruiterAddProfilesCol = getDb().collection("recruiterAddProfiles");
   const matchCondition = ObjectId.isValid(contestId)
     ? {
         $or: [
@@ -103,97 +189,109 @@ async function getOverallStatsData(contestId) {
       }
     : { contestId };
 
-  const stats = await recruiterAddProfilesCol.aggregate([
-    { $match: matchCondition },
-    { $unwind: "$jobseekerDetails" },
-    {
-      $group: {
-        _id: null,
-        totalSubmittedProfiles: { $sum: 1 },
-        totalApplied: {
-          $sum: {
-            $cond: [
-              { $eq: [{ $toLower: "$jobseekerDetails.status" }, "submitted"] },
-              1, 0
-            ]
-          }
-        },
-        totalShortlisted: {
-          $sum: {
-            $cond: [
-              { $eq: [{ $toLower: "$jobseekerDetails.empStatus" }, "shortlisted"] },
-              1, 0
-            ]
-          }
-        },
-        totalL1: {
-          $sum: {
-            $cond: [
-              { $eq: [{ $toLower: "$jobseekerDetails.empStatus" }, "l1"] },
-              1, 0
-            ]
-          }
-        },
-        totalL2: {
-          $sum: {
-            $cond: [
-              { $eq: [{ $toLower: "$jobseekerDetails.empStatus" }, "l2"] },
-              1, 0
-            ]
-          }
-        },
-        totalL3: {
-          $sum: {
-            $cond: [
-              { $eq: [{ $toLower: "$jobseekerDetails.empStatus" }, "l3"] },
-              1, 0
-            ]
-          }
-        },
-        totalHR: {
-          $sum: {
-            $cond: [
-              { $eq: [{ $toLower: "$jobseekerDetails.empStatus" }, "hr"] },
-              1, 0
-            ]
-          }
-        },
-        totalOfferSent: {
-          $sum: {
-            $cond: [
-              { $eq: [{ $toLower: "$jobseekerDetails.empStatus" }, "offersent"] },
-              1, 0
-            ]
-          }
-        }
-      }
+  const [stats, recruiterDocs] = await Promise.all([
+    recruiterAddProfilesCol.aggregate([
+      ...overallStatsPipeline(matchCondition, null),
+      { $project: { _id: 0 } }
+    ]).toArray(),
+    recruiterAddProfilesCol.find(matchCondition).toArray()
+  ]);
+
+  return stats.length ? correctForDuplicates(stats[0], recruiterDocs) : null;
+}
+
+// Same counts as getOverallStatsData, for many contests in one aggregation.
+async function getOverallStatsByContest(contestIds) {
+  const objectIds = contestIds.map(id => new ObjectId(id));
+  const collection = getDb().collection("recruiterAddProfiles");
+  const [stats, recruiterDocs] = await Promise.all([
+    collection.aggregate(
+      overallStatsPipeline({ contestId: { $in: objectIds } }, "$contestId")
+    ).toArray(),
+    collection.find({ contestId: { $in: objectIds } }).toArray()
+  ]);
+
+  return new Map(stats.map(({ _id, ...counts }) => [
+    String(_id),
+    correctForDuplicates(counts, recruiterDocs.filter(doc => String(doc.contestId) === String(_id)))
+  ]));
+}
+
+function percentOf(part, whole) {
+  return whole > 0 ? ((part / whole) * 100).toFixed(1) : '0.0';
+}
+
+function renderContestAnalyticsTemplate({ lifecycleData = [], recruiterData = [], overallData = null }) {
+  const latest = lifecycleData[lifecycleData.length - 1];
+  const stakeholders = new Set(lifecycleData.map(doc => doc.userRole).filter(Boolean));
+  const funnel = overallData || {};
+  const submitted = funnel.totalSubmittedProfiles || 0;
+  const shortlisted = funnel.totalShortlisted || 0;
+  const interviewed = (funnel.totalL1 || 0) + (funnel.totalL2 || 0) + (funnel.totalL3 || 0);
+  const offers = funnel.totalOfferSent || 0;
+  const ranked = [...recruiterData].sort((a, b) => b.profilesSubmitted - a.profilesSubmitted);
+  const topRecruiter = ranked[0];
+  const totalFromRecruiters = ranked.reduce((sum, r) => sum + r.profilesSubmitted, 0);
+
+  return {
+    'contest-lifecycle': {
+      summary: `The contest has recorded ${lifecycleData.length} lifecycle events involving ${stakeholders.size} stakeholder roles, ${latest ? `with the most recent action being "${latest.action}" by the ${latest.userRole || 'unknown'} role` : 'with no recorded actions yet'}, which frames the current progress of the hiring process.`,
+      detailedAnalysis: `Lifecycle activity shows ${lifecycleData.length} recorded actions taken by ${stakeholders.size} distinct stakeholder roles${stakeholders.size ? ` (${[...stakeholders].join(', ')})` : ''}. ${latest ? `The latest decision point was "${latest.action}", recorded on ${new Date(latest.createdDate).toLocaleDateString()}.` : 'No decision points have been recorded so far.'} A steady sequence of actions indicates active ownership, whereas long gaps between events usually signal pending approvals or stalled feedback. Stakeholders should keep lifecycle comments specific so that later reviews can reconstruct why each decision was made, and should record every status transition promptly so the timeline stays reliable for reporting, audits and comparisons with earlier contests.`,
+      currentStatus: latest
+        ? `The contest currently stands at "${latest.action}", the most recent action recorded in its lifecycle history.`
+        : 'No lifecycle actions have been recorded yet, so the current contest status cannot be determined.'
     },
-    {
-      $project: {
-        _id: 0,
-        totalSubmittedProfiles: 1,
-        totalApplied: 1,
-        totalShortlisted: 1,
-        totalL1: 1,
-        totalL2: 1,
-        totalL3: 1,
-        totalHR: 1,
-        totalOfferSent: 1
-      }
+    'candidate-funnel-analysis': {
+      summary: `A total of ${submitted} profiles were submitted, of which ${shortlisted} (${percentOf(shortlisted, submitted)}%) are shortlisted, ${interviewed} are in interview rounds and ${offers} (${percentOf(offers, submitted)}%) have received offers so far.`,
+      detailedAnalysis: `The funnel converts ${percentOf(shortlisted, submitted)}% of submitted profiles to shortlist and ${percentOf(offers, submitted)}% to offer. Interview stages hold ${funnel.totalL1 || 0} candidates at L1, ${funnel.totalL2 || 0} at L2, ${funnel.totalL3 || 0} at L3 and ${funnel.totalHR || 0} at HR. The largest drop between consecutive stages marks the main bottleneck, and a low share of submissions reaching shortlist usually means the brief or screening criteria need tightening. Tracking these ratios weekly helps the team react before the pipeline dries up, and comparing them against earlier contests shows whether the current funnel efficiency is typical or exceptional.`
+    },
+    'recruiter-performance': {
+      summary: topRecruiter
+        ? `${recruiterData.length} recruiters submitted ${totalFromRecruiters} profiles in total, led by ${topRecruiter.recruiterName} with ${topRecruiter.profilesSubmitted} submissions and an L1 ratio of ${topRecruiter.submissionRatio}, which shows how sourcing effort and submission quality are distributed across the contest.`
+        : 'No recruiter submissions have been recorded for this contest yet, so recruiter effectiveness, submission quality and conversion ratios cannot be compared until participating recruiters start sending profiles.',
+      detailedAnalysis: `Recruiter contribution varies across the ${recruiterData.length} participating recruiters. ${ranked.slice(0, 3).map(r => `${r.recruiterName} submitted ${r.profilesSubmitted} profiles with ${r.profilesShortlisted} shortlisted and ${r.profilesL1} at L1 (${r.submissionRatio})`).join('; ') || 'No recruiter submissions were recorded'}. Recruiters with high submission volume but low L1 ratios add screening load without improving outcomes, while those with strong ratios deserve more requisitions. Comparing shortlist and L1 ratios side by side separates volume from quality and gives account managers a fair basis for feedback and future invitations.`
+    },
+    'overall-ai-powered-insights-and-recommendations': {
+      summary: `Overall, the contest has ${lifecycleData.length} lifecycle events, ${submitted} submitted profiles and ${offers} offers from ${recruiterData.length} recruiters. Conversion from submission to shortlist stands at ${percentOf(shortlisted, submitted)}%, and recruiter quality rather than volume will determine how quickly the role is filled.`,
+      recommendations: `Review the stage with the largest drop-off first and agree on clear pass criteria with the interview panel. Share shortlist and L1 ratios with every recruiter and ask low-ratio recruiters to resubmit against a tightened checklist. Record every lifecycle decision with a specific comment, set a weekly review of funnel ratios, and prioritise recruiters with proven conversion when inviting partners to future contests so that effort moves toward the most reliable sources of qualified candidates.`
     }
-  ]).toArray();
+  };
+}
+
+registerTemplate(REPORT_NAME, renderContestAnalyticsTemplate);
 
-  return stats.length ? stats[0] : null;
+// Options that shape the report and therefore its cache entry. Throws a 400
+// error for an unknown language or prompt version.
+function contestAnalyticsOptions(contestId, { language, promptVersion } = {}) {
+  return {
+    language: resolveLanguage(language),
+    promptVersion: selectPromptVersion(REPORT_NAME, { requested: promptVersion, seed: contestId })
+  };
 }
 
-async function processContestAnalytics(contestId) {
+// Rejection figures are only used to check the report's claims, so a contest
+// without submissions simply has none.
+async function getRejectionEvidenceData(contestId) {
   try {
+    return await analyzeRejectionReasons(contestId);
+  } catch (error) {
+    if (error.statusCode === 404) return null;
+    throw error;
+  }
+}
+
+async function processContestAnalytics(contestId, options = {}) {
+  const language = options.language || DEFAULT_LANGUAGE;
+  const num = value => formatNumber(value ?? 0, language);
+  try {
+    const promptVersion = options.promptVersion || selectPromptVersion(REPORT_NAME, { seed: contestId });
     console.log('Processing contest analytics for:', contestId);
     
-    const [lifecycleData, recruiterData, overallData] = await Promise.all([
+    const [lifecycleData, recruiterData, overallData, rejectionData] = await Promise.all([
       getContestLifeCycleData(contestId),
       getRecruiterStatsData(contestId),
-      getOverallStatsData(contestId)
+      getOverallStatsData(contestId),
+      getRejectionEvidenceData(contestId)
     ]);
 
     if (!lifecycleData.length && !recruiterData.length && !overallData) {
@@ -205,123 +303,61 @@ async function processContestAnalytics(contestId) {
 
     const lifecycleText = lifecycleData.length 
       ? lifecycleData.map(doc => {
-          const date = new Date(doc.createdDate).toLocaleDateString();
+          const date = formatDate(doc.createdDate, language);
           return `${date}: ${doc.action} by ${doc.userName} (${doc.userRole}) - ${doc.comment}`;
         }).join('; ')
       : 'No lifecycle data available';
 
     const recruiterSummary = recruiterData.length 
-      ? recruiterData.map(r => `${r.recruiterName}: ${r.profilesSubmitted} submitted, ${r.profilesShortlisted} shortlisted, ${r.profilesL1} L1, ratio ${r.submissionRatio}`).join('; ')
+      ? recruiterData.map(r => `${r.recruiterName}: ${num(r.profilesSubmitted)} submitted, ${num(r.profilesShortlisted)} shortlisted, ${num(r.profilesL1)} L1, ratio ${r.submissionRatio}`).join('; ')
       : 'No recruiter data available';
 
     const funnelSummary = overallData 
-      ? `Total: ${overallData.totalSubmittedProfiles} submitted, ${overallData.totalShortlisted} shortlisted, ${overallData.totalL1} L1, ${overallData.totalL2} L2, ${overallData.totalL3} L3, ${overallData.totalHR} HR, ${overallData.totalOfferSent} offers sent`
+      ? `Total: ${num(overallData.totalSubmittedProfiles)} submitted, ${num(overallData.totalShortlisted)} shortlisted, ${num(overallData.totalL1)} L1, ${num(overallData.totalL2)} L2, ${num(overallData.totalL3)} L3, ${num(overallData.totalHR)} HR, ${num(overallData.totalOfferSent)} offers sent`
       : 'No funnel data available';
 
-    const prompt = `
-You are an expert contest analytics consultant. Analyze the comprehensive contest data and provide detailed insights across all dimensions.
-
-CONTEST COMPREHENSIVE ANALYSIS:
-Contest ID: ${contestId}
-
-LIFECYCLE DATA:
-${lifecycleText}
-
-RECRUITER PERFORMANCE DATA:
-${recruiterSummary}
-
-CANDIDATE FUNNEL DATA:
-${funnelSummary}
-
-REQUIREMENTS:
-Provide analysis in this EXACT JSON format only, no additional text:
+    const { prompt, promptInput } = renderPrompt(REPORT_NAME, promptVersion, {
+      contestId,
+      lifecycleText,
+      recruiterSummary,
+      funnelSummary,
+      languageInstruction: languageInstruction(language)
+    });
 
-{
-    "contest-lifecycle": {
-        "summary": "[30-40 words summary of contest lifecycle progression and current status]",
-        "detailedAnalysis": "[80-100 words detailed analysis of lifecycle patterns, stakeholder involvement, and decision points]",
-        "currentStatus": "[15-20 words current state based on latest action]"
-    },
-    "candidate-funnel-analysis": {
-        "summary": "[30-40 words summary of candidate progression through hiring stages]",
-        "detailedAnalysis": "[80-100 words analysis of conversion rates, bottlenecks, and funnel efficiency]"
-    },
-    "recruiter-performance": {
-        "summary": "[30-40 words summary of recruiter effectiveness and submission quality]",
-        "detailedAnalysis": "[80-100 words analysis of individual recruiter performance, ratios, and contribution patterns]"
-    },
-    "overall-ai-powered-insights-and-recommendations": {
-        "summary": "[40-50 words comprehensive summary combining all aspects]",
-        "recommendations": "[60-80 words specific actionable recommendations for improvement across all areas]"
-    }
-}
+    const redactor = createRedactor();
+    recruiterData.forEach(r => redactor.registerName(r.recruiterName, 'RECRUITER'));
+    lifecycleData.forEach(doc => redactor.registerName(doc.userName, 'USER'));
 
-Focus on:
-- Lifecycle progression and current contest status
-- Candidate conversion rates and funnel optimization
-- Recruiter performance differences and efficiency
-- Integrated recommendations for overall improvement
-- Don't show contest id in the summary or any where 
-
-Return ONLY the JSON object, no other text.
-`;
-
-    const response = await axios.post(API_URL, {
-      model: 'mistral-small',
-      messages: [{
-        role: 'user',
-        content: prompt
-      }],
-      max_tokens: 800,
-      temperature: 0.4
-    }, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${MISTRAL_API_KEY}`
-      }
+    const generation = await generateValidatedReport(REPORT_NAME, {
+      prompt,
+      promptInput,
+      data: { lifecycleData, recruiterData, overallData, language },
+      fallback: localize({ en: FALLBACK_ANALYSIS, ...translations.contestFallback }, language),
+      redactor,
+      contestId,
+      wordScale: getLanguage(language).wordScale
     });
 
-    const aiResponse = response.data.choices[0].message.content.trim();
-    
-    let mistralAnalysis;
-    
-    try {
-      mistralAnalysis = JSON.parse(aiResponse);
-    } catch (parseError) {
-      console.error('Error parsing AI response as JSON:', parseError);
-      const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        try {
-          mistralAnalysis = JSON.parse(jsonMatch[0]);
-        } catch (secondParseError) {
-          mistralAnalysis = {
-            "contest-lifecycle": {
-              "summary": "Contest lifecycle analysis completed with stakeholder actions recorded, showing progression through multiple stages with active management.",
-              "detailedAnalysis": "Unable to parse AI analysis response due to formatting issues. Contest shows activity from multiple stakeholders with various actions recorded.",
-              "currentStatus": "Analysis parsing failed - manual review required"
-            },
-            "candidate-funnel-analysis": {
-              "summary": "Candidate funnel shows progression through hiring stages with conversion tracking across multiple interview levels.",
-              "detailedAnalysis": "Funnel analysis indicates candidate flow from application to offer stage with measurable conversion rates at each step."
-            },
-            "recruiter-performance": {
-              "summary": "Recruiter performance varies across submissions with different efficiency ratios and contribution patterns observed.",
-              "detailedAnalysis": "Individual recruiter analysis shows varying submission quality and conversion rates requiring targeted performance improvement."
-            },
-            "overall-ai-powered-insights-and-recommendations": {
-              "summary": "Contest shows active management with stakeholder involvement and candidate progression through structured hiring funnel.",
-              "recommendations": "Implement standardized performance metrics, optimize funnel conversion rates, and enhance recruiter training programs."
-            }
-          };
-        }
-      }
-    }
+    // Every number in the text is checked against the computed figures and
+    // each sentence is linked to the metrics and lifecycle events behind it.
+    const grounding = groundReport(generation.analysis, {
+      metrics: buildContestMetrics({ lifecycleData, recruiterData, overallData, rejectionData }),
+      events: buildEventSources(lifecycleData, language),
+      language
+    });
 
     return {
       success: true,
       status: 200,
       contestId,
-      aiAnalysis: mistralAnalysis,
+      language,
+      aiAnalysis: grounding.analysis,
+      aiAnalysisStatus: generation.status,
+      aiGrounding: grounding.summary,
+      evidence: grounding.evidence,
+      aiValidation: { attempts: generation.attempts, errors: generation.errors },
+      aiProvider: { provider: generation.provider, model: generation.model },
+      promptVersion: generation.promptVersion,
       rawData: {
         lifecycleEvents: lifecycleData.length,
         recruitersCount: recruiterData.length,
@@ -340,7 +376,7 @@ Return ONLY the JSON object, no other text.
   }
 }
 
-app.post('/contestAnalytics', async (req, res) => {
+router.post('/contestAnalytics', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), authorizeContest, async (req, res) => {
   try {
     const { contestId } = req.body;
     
@@ -358,7 +394,23 @@ app.post('/contestAnalytics', async (req, res) => {
       });
     }
 
-    const result = await processContestAnalytics(contestId);
+    let options;
+    try {
+      options = contestAnalyticsOptions(contestId, {
+        language: req.body.language ?? req.query.language,
+        promptVersion: req.body.promptVersion ?? req.query.promptVersion
+      });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    const result = await getOrGenerateReport({
+      report: REPORT_NAME,
+      contestId,
+      options,
+      refresh: wantsRefresh(req),
+      generate: () => processContestAnalytics(contestId, options)
+    });
     
     if (!result.success) {
       return res.status(404).json(result);
@@ -376,7 +428,39 @@ app.post('/contestAnalytics', async (req, res) => {
   }
 });
 
-app.get('/debug-contest-data/:contestId', async (req, res) => {
+router.get('/contestAnalytics/:contestId/recruiter-stats', authorizeContest, async (req, res) => {
+  try {
+    const { contestId } = req.params;
+
+    if (!ObjectId.isValid(contestId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid Contest ID format'
+      });
+    }
+
+    const recruiterData = await getRecruiterStatsData(contestId);
+    const recruiters = req.user.role === ROLES.RECRUITER
+      ? recruiterData.filter(r => r.recruiterId === req.user.recruiterId)
+      : recruiterData;
+
+    res.json({
+      success: true,
+      contestId,
+      recruiters
+    });
+
+  } catch (error) {
+    console.error('API Error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load recruiter stats',
+      details: error.message
+    });
+  }
+});
+
+router.get('/debug-contest-data/:contestId', requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const { contestId } = req.params;
     
@@ -395,10 +479,10 @@ app.get('/debug-contest-data/:contestId', async (req, res) => {
       lifecycleEvents: lifecycleData.length,
       recruiterCount: recruiterData.length,
       overallStats: overallData,
-      sampleData: {
+      sampleData: redactForLog({
         lifecycle: lifecycleData.slice(0, 2),
         recruiters: recruiterData.slice(0, 2)
-      }
+      })
     });
     
   } catch (error) {
@@ -406,23 +490,19 @@ app.get('/debug-contest-data/:contestId', async (req, res) => {
   }
 });
 
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    message: 'Contest Analytics API is running',
-    database: DB_NAME,
-    endpoints: {
-      main: '/contestAnalytics',
-      debug: '/debug-contest-data/:contestId',
-      health: '/health'
-    }
-  });
-});
-
-connectToDatabase();
-
-app.listen(PORT, () => {
-  console.log(`Contest Analytics API running on port ${PORT}`);
-  console.log(`Main endpoint: POST /contestAnalytics`);
-  console.log(`Health check: GET /health`);
-});
+module.exports = {
+  router,
+  reportName: REPORT_NAME,
+  contestAnalyticsOptions,
+  processContestAnalytics,
+  getContestLifeCycleData,
+  getRecruiterStatsData,
+  getRecruiterStatsByContest,
+  getOverallStatsData,
+  getOverallStatsByContest,
+  endpoints: {
+    main: 'POST /contestAnalytics?refresh=true',
+    recruiterStats: 'GET /contestAnalytics/:contestId/recruiter-stats',
+    debug: ['GET /debug-contest-data/:contestId']
+  }
+};
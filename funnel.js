@@ -0,0 +1,292 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { getContestLifeCycleData } = require('./final_report');
+const { ROLES, requireRole, authorizeContest } = require('./auth');
+const { normalizeStatus } = require('./status-normalization');
+const { resolveContestDuplicates } = require('./candidate-duplicates');
+
+const router = express.Router();
+
+const FUNNEL_STAGES = ['submitted', 'shortlisted', 'l1', 'l2', 'l3', 'hr', 'offersent'];
+const REJECTED_STAGE = 'rejected';
+const HOUR_MS = 60 * 60 * 1000;
+
+function toDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function candidateKey(jobseeker, recruiterDoc, index) {
+  const id = jobseeker.jobseekerId || jobseeker._id || jobseeker.id;
+  return id ? String(id) : `${recruiterDoc._id}:${index}`;
+}
+
+// Builds each candidate's ordered stage transitions from, in order of
+// preference, `jobseekerDetails.statusHistory`, lifecycle events that name
+// the candidate, and the submission/last-update timestamps on the record.
+function buildCandidateTimelines(recruiterDocs, lifecycleData = []) {
+  const lifecycleByCandidate = new Map();
+  lifecycleData.forEach(event => {
+    const stage = normalizeStatus(event.toStatus || event.newStatus || event.empStatus);
+    const at = toDate(event.createdDate);
+    if (!event.jobseekerId || !stage || !at) return;
+    const key = String(event.jobseekerId);
+    if (!lifecycleByCandidate.has(key)) lifecycleByCandidate.set(key, []);
+    lifecycleByCandidate.get(key).push({ stage, at });
+  });
+
+  const timelines = [];
+  recruiterDocs.forEach(doc => {
+    (doc.jobseekerDetails || []).forEach((jobseeker, index) => {
+      const key = candidateKey(jobseeker, doc, index);
+      const transitions = [];
+
+      const submittedAt = toDate(jobseeker.submittedAt || jobseeker.createdAt || jobseeker.createdDate || jobseeker.addedDate);
+      if (submittedAt) transitions.push({ stage: 'submitted', at: submittedAt });
+
+      (jobseeker.statusHistory || []).forEach(entry => {
+        const stage = normalizeStatus(entry.status || entry.empStatus);
+        const at = toDate(entry.changedAt || entry.date || entry.updatedAt || entry.createdAt);
+        if (stage && at) transitions.push({ stage, at });
+      });
+
+      transitions.push(...(lifecycleByCandidate.get(key) || []));
+
+      const currentStage = normalizeStatus(jobseeker.empStatus) || 'submitted';
+      const currentAt = toDate(jobseeker.statusUpdatedAt || jobseeker.updatedAt);
+      if (currentAt && !transitions.some(item => item.stage === currentStage)) {
+        transitions.push({ stage: currentStage, at: currentAt });
+      }
+
+      transitions.sort((a, b) => a.at - b.at);
+      timelines.push({
+        key,
+        recruiterId: doc.recruiterId,
+        jobseeker,
+        currentStage,
+        transitions: transitions.filter((item, i) => i === 0 || item.stage !== transitions[i - 1].stage)
+      });
+    });
+  });
+  return timelines;
+}
+
+// Where a candidate stood at `asOf` (or now): the furthest funnel stage
+// reached, the stage they were sitting in, and whether they were rejected.
+function stateAt(timeline, asOf) {
+  if (!asOf) {
+    const reachedStages = timeline.transitions.map(item => item.stage);
+    if (timeline.currentStage !== REJECTED_STAGE) reachedStages.push(timeline.currentStage);
+    const furthest = Math.max(0, ...reachedStages.map(stage => FUNNEL_STAGES.indexOf(stage)));
+    return {
+      included: true,
+      furthest,
+      current: timeline.currentStage,
+      rejected: timeline.currentStage === REJECTED_STAGE
+    };
+  }
+
+  const seen = timeline.transitions.filter(item => item.at <= asOf);
+  if (!seen.length) return { included: false };
+  const last = seen[seen.length - 1];
+  const furthest = Math.max(0, ...seen.map(item => FUNNEL_STAGES.indexOf(item.stage)));
+  return {
+    included: true,
+    furthest,
+    current: last.stage,
+    rejected: last.stage === REJECTED_STAGE
+  };
+}
+
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const rank = (sorted.length - 1) * p;
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+}
+
+function round(value, digits = 1) {
+  return value === null ? null : Number(value.toFixed(digits));
+}
+
+function computeTimeInStage(timelines, asOf) {
+  const durations = Object.fromEntries(FUNNEL_STAGES.map(stage => [stage, []]));
+  const open = Object.fromEntries(FUNNEL_STAGES.map(stage => [stage, 0]));
+
+  timelines.forEach(({ transitions }) => {
+    const visible = asOf ? transitions.filter(item => item.at <= asOf) : transitions;
+    visible.forEach((item, i) => {
+      if (!durations[item.stage]) return;
+      const next = visible[i + 1];
+      if (next) {
+        durations[item.stage].push((next.at - item.at) / HOUR_MS);
+      } else {
+        open[item.stage] += 1;
+      }
+    });
+  });
+
+  return FUNNEL_STAGES.map(stage => {
+    const sorted = durations[stage].sort((a, b) => a - b);
+    return {
+      stage,
+      completedCount: sorted.length,
+      stillInStageCount: open[stage],
+      medianHours: round(percentile(sorted, 0.5)),
+      p90Hours: round(percentile(sorted, 0.9))
+    };
+  });
+}
+
+function computeFunnel(timelines, asOf) {
+  const states = timelines.map(timeline => stateAt(timeline, asOf)).filter(state => state.included);
+  const total = states.length;
+
+  // Drop-off counts candidates rejected while at a stage; candidates still
+  // waiting in a stage are reported separately as `currentlyIn`.
+  const stages = FUNNEL_STAGES.map((stage, index) => {
+    const reached = states.filter(state => state.furthest >= index).length;
+    const currentlyIn = states.filter(state => !state.rejected && state.current === stage).length;
+    const dropOff = states.filter(state => state.rejected && state.furthest === index).length;
+    return {
+      stage,
+      reached,
+      currentlyIn,
+      dropOff,
+      dropOffRate: reached > 0 ? round((dropOff / reached) * 100) : null
+    };
+  });
+
+  stages.forEach((item, index) => {
+    const previous = index > 0 ? stages[index - 1].reached : total;
+    item.conversionFromPrevious = previous > 0 ? round((item.reached / previous) * 100) : null;
+    item.conversionFromSubmitted = total > 0 ? round((item.reached / total) * 100) : null;
+  });
+
+  return {
+    totalCandidates: total,
+    rejected: states.filter(state => state.rejected).length,
+    stages
+  };
+}
+
+async function getFunnelInputs(contestId) {
+  const recruiterDocs = await getDb().collection('recruiterAddProfiles')
+    .find({ contestId: new ObjectId(contestId) })
+    .toArray();
+  const lifecycleData = await getContestLifeCycleData(contestId);
+  return { recruiterDocs, lifecycleData };
+}
+
+// One timeline per candidate: of the copies submitted by different recruiters
+// only the one that got furthest stays in the funnel.
+function uniqueCandidateTimelines(recruiterDocs, lifecycleData) {
+  const { merged } = resolveContestDuplicates(recruiterDocs);
+  const timelines = buildCandidateTimelines(recruiterDocs, lifecycleData);
+  const unique = timelines.filter(timeline => !merged.has(timeline.jobseeker));
+  return { timelines: unique, duplicatesExcluded: timelines.length - unique.length };
+}
+
+async function analyzeFunnel(contestId, { asOf } = {}) {
+  const { recruiterDocs, lifecycleData } = await getFunnelInputs(contestId);
+  const { timelines, duplicatesExcluded } = uniqueCandidateTimelines(recruiterDocs, lifecycleData);
+
+  return {
+    contestId,
+    asOf: asOf ? asOf.toISOString() : null,
+    contestStartedAt: lifecycleData[0]?.createdDate || null,
+    duplicatesExcluded,
+    candidatesWithoutTimestamps: timelines.filter(timeline => !timeline.transitions.length).length,
+    funnel: computeFunnel(timelines, asOf),
+    timeInStage: computeTimeInStage(timelines, asOf)
+  };
+}
+
+const INTERVAL_MS = { day: 24 * HOUR_MS, week: 7 * 24 * HOUR_MS };
+
+async function analyzeFunnelHistory(contestId, { from, to, interval = 'day' }) {
+  const { recruiterDocs, lifecycleData } = await getFunnelInputs(contestId);
+  const { timelines, duplicatesExcluded } = uniqueCandidateTimelines(recruiterDocs, lifecycleData);
+
+  const allDates = timelines.flatMap(timeline => timeline.transitions.map(item => item.at));
+  const start = from || (allDates.length ? new Date(Math.min(...allDates)) : new Date());
+  const end = to || new Date();
+  const step = INTERVAL_MS[interval];
+
+  const points = [];
+  for (let at = start.getTime(); at <= end.getTime() && points.length < 366; at += step) {
+    const asOf = new Date(at);
+    const { totalCandidates, rejected, stages } = computeFunnel(timelines, asOf);
+    points.push({
+      asOf: asOf.toISOString(),
+      totalCandidates,
+      rejected,
+      reached: Object.fromEntries(stages.map(item => [item.stage, item.reached]))
+    });
+  }
+  return { contestId, interval, duplicatesExcluded, points };
+}
+
+function parseDateParam(value, name) {
+  if (value === undefined) return undefined;
+  const date = toDate(value);
+  if (!date) {
+    const error = new Error(`Invalid "${name}" date`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return date;
+}
+
+router.get('/analysis/funnel/:contestId', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), authorizeContest, async (req, res) => {
+  const { contestId } = req.params;
+  if (!ObjectId.isValid(contestId)) {
+    return res.status(400).json({ error: 'Invalid Contest ID format.' });
+  }
+  try {
+    const asOf = parseDateParam(req.query.asOf, 'asOf');
+    res.status(200).json(await analyzeFunnel(contestId, { asOf }));
+  } catch (error) {
+    console.error('Error during funnel analysis:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+router.get('/analysis/funnel/:contestId/history', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), authorizeContest, async (req, res) => {
+  const { contestId } = req.params;
+  if (!ObjectId.isValid(contestId)) {
+    return res.status(400).json({ error: 'Invalid Contest ID format.' });
+  }
+  const interval = req.query.interval || 'day';
+  if (!INTERVAL_MS[interval]) {
+    return res.status(400).json({ error: 'interval must be "day" or "week".' });
+  }
+  try {
+    const from = parseDateParam(req.query.from, 'from');
+    const to = parseDateParam(req.query.to, 'to');
+    res.status(200).json(await analyzeFunnelHistory(contestId, { from, to, interval }));
+  } catch (error) {
+    console.error('Error during funnel history analysis:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  FUNNEL_STAGES,
+  candidateKey,
+  buildCandidateTimelines,
+  stateAt,
+  uniqueCandidateTimelines,
+  computeFunnel,
+  computeTimeInStage,
+  getFunnelInputs,
+  analyzeFunnel,
+  endpoints: {
+    main: 'GET /analysis/funnel/:contestId?asOf=',
+    history: 'GET /analysis/funnel/:contestId/history?from=&to=&interval=day|week'
+  }
+};
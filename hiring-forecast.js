@@ -0,0 +1,439 @@
+const crypto = require('crypto');
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const dotenv = require('dotenv');
+const { getDb } = require('./db');
+const { getOverallStatsData, getRecruiterStatsData } = require('./final_report');
+const { FUNNEL_STAGES, stateAt, uniqueCandidateTimelines } = require('./funnel');
+const { resolveContestDuplicates } = require('./candidate-duplicates');
+const { normalizeStatus } = require('./status-normalization');
+const { CONTESTS_COLLECTION, CONTEST_FIELDS, CLOSED_ACTIONS, isClosedAction, firstField, idValues, getContestEmployerId } = require('./contests');
+const { ROLES, requireRole, authorizeContest } = require('./auth');
+
+dotenv.config();
+
+const router = express.Router();
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Closed contests used to learn conversion rates and durations; the
+// employer's own contests are preferred when there are enough of them.
+const HISTORY_CONTESTS = Number(process.env.FORECAST_HISTORY_CONTESTS) || 50;
+const MIN_HISTORY_CONTESTS = Number(process.env.FORECAST_MIN_HISTORY_CONTESTS) || 3;
+const CLOSED_CONTESTS_CACHE_MS = (Number(process.env.FORECAST_HISTORY_CACHE_MINUTES) || 60) * 60 * 1000;
+const SIMULATIONS = 2000;
+// A recruiter's own shortlist rate is pulled toward the historical rate as if
+// they had this many more screened profiles at that rate.
+const RECRUITER_PRIOR_PROFILES = 10;
+const MAX_PROFILES_NEEDED = 500;
+
+// Stage counts from getOverallStatsData, in funnel order.
+const STAGE_FIELDS = {
+  submitted: 'totalSubmittedProfiles',
+  shortlisted: 'totalShortlisted',
+  l1: 'totalL1',
+  l2: 'totalL2',
+  l3: 'totalL3',
+  hr: 'totalHR',
+  offersent: 'totalOfferSent'
+};
+
+// Candidates that reached each stage, from the furthest stage in each
+// candidate's timeline, so a candidate rejected at L2 still counts as having
+// been shortlisted and reached L1 and L2.
+function reachedCounts(timelines = []) {
+  const reached = Object.fromEntries(FUNNEL_STAGES.map(stage => [stage, 0]));
+  timelines.forEach(timeline => {
+    const { furthest } = stateAt(timeline);
+    FUNNEL_STAGES.slice(0, furthest + 1).forEach(stage => { reached[stage] += 1; });
+  });
+  return reached;
+}
+
+// Candidates still in play at each stage of an open contest.
+function activeCounts(stats = {}) {
+  const active = Object.fromEntries(FUNNEL_STAGES.slice(1).map(stage => [stage, stats[STAGE_FIELDS[stage]] || 0]));
+  const progressed = Object.values(active).reduce((sum, count) => sum + count, 0);
+  active.submitted = Math.max(0, (stats.totalSubmittedProfiles || 0) - progressed - (stats.totalRejected || 0));
+  return Object.fromEntries(FUNNEL_STAGES.map(stage => [stage, active[stage]]));
+}
+
+function seededRandom(seed) {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32BE(0);
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function sampleNormal(random) {
+  const u = 1 - random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+}
+
+// Marsaglia-Tsang; shapes below 1 are boosted and scaled back.
+function sampleGamma(shape, random) {
+  if (shape < 1) return sampleGamma(shape + 1, random) * Math.pow(random(), 1 / shape);
+  const d = shape - 1 / 3;
+  const c = 1 / Math.sqrt(9 * d);
+  for (;;) {
+    const x = sampleNormal(random);
+    const v = Math.pow(1 + c * x, 3);
+    if (v <= 0) continue;
+    const u = random();
+    if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+  }
+}
+
+function sampleBeta(alpha, beta, random) {
+  const x = sampleGamma(alpha, random);
+  return x / (x + sampleGamma(beta, random));
+}
+
+function sampleBinomial(n, p, random) {
+  let successes = 0;
+  for (let i = 0; i < n; i++) if (random() < p) successes += 1;
+  return successes;
+}
+
+function quantile(sorted, q) {
+  if (!sorted.length) return null;
+  const index = (sorted.length - 1) * q;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+}
+
+function round(value, digits = 3) {
+  return value === null ? null : Number(value.toFixed(digits));
+}
+
+function interval(values, confidence, digits) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const tail = (1 - confidence) / 2;
+  return {
+    mean: round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length, digits),
+    low: round(quantile(sorted, tail), digits),
+    high: round(quantile(sorted, 1 - tail), digits)
+  };
+}
+
+// Pooled stage-to-stage conversion across past contests (reachedCounts per
+// contest), with a Beta(1, 1) prior so stages nobody reached still get a
+// (wide) estimate.
+function learnConversionRates(historyReached) {
+  const totals = Object.fromEntries(FUNNEL_STAGES.map(stage => [stage, 0]));
+  historyReached.forEach(reached => {
+    FUNNEL_STAGES.forEach(stage => { totals[stage] += reached[stage] || 0; });
+  });
+  return FUNNEL_STAGES.slice(1).map((to, index) => {
+    const from = FUNNEL_STAGES[index];
+    const successes = Math.min(totals[to], totals[from]);
+    const alpha = 1 + successes;
+    const beta = 1 + totals[from] - successes;
+    return { from, to, observed: totals[from], converted: successes, alpha, beta, rate: alpha / (alpha + beta) };
+  });
+}
+
+// Probability of a candidate at each stage ending with an offer, for one set
+// of stage-to-stage rates.
+function offerProbabilities(rates) {
+  const probabilities = { offersent: 1 };
+  for (let index = FUNNEL_STAGES.length - 2; index >= 0; index--) {
+    probabilities[FUNNEL_STAGES[index]] = rates[index] * probabilities[FUNNEL_STAGES[index + 1]];
+  }
+  return probabilities;
+}
+
+// P(Binomial(n, p) >= needed).
+function binomialTail(n, p, needed) {
+  if (needed <= 0) return 1;
+  if (needed > n || p <= 0) return 0;
+  if (p >= 1) return 1;
+  let pmf = Math.pow(1 - p, n);
+  let below = 0;
+  for (let j = 0; j < needed; j++) {
+    below += pmf;
+    pmf = pmf * ((n - j) / (j + 1)) * (p / (1 - p));
+  }
+  return Math.max(0, 1 - below);
+}
+
+// Smallest number of new profiles at `offerRate` each for which the chance of
+// reaching `openings` offers, on top of the simulated pipeline outcomes, is at
+// least `confidence`; null when even MAX_PROFILES_NEEDED would not do.
+function profilesNeeded(offerOutcomes, offerRate, openings, confidence) {
+  const outcomes = new Map();
+  offerOutcomes.forEach(offers => outcomes.set(offers, (outcomes.get(offers) || 0) + 1));
+  for (let n = 0; n <= MAX_PROFILES_NEEDED; n++) {
+    let probability = 0;
+    outcomes.forEach((count, offers) => {
+      probability += (count / offerOutcomes.length) * binomialTail(n, offerRate, openings - offers);
+    });
+    if (probability >= confidence) return n;
+  }
+  return null;
+}
+
+function durationForecast(durationsDays, elapsedDays, startedAt, confidence) {
+  // Only past contests that ran at least as long as this one so far say
+  // anything about when it will close.
+  const comparable = durationsDays.filter(days => days >= elapsedDays).sort((a, b) => a - b);
+  if (!startedAt || !comparable.length) return null;
+  const tail = (1 - confidence) / 2;
+  const dateAfter = days => new Date(startedAt.getTime() + days * DAY_MS).toISOString();
+  return {
+    median: dateAfter(quantile(comparable, 0.5)),
+    low: dateAfter(quantile(comparable, tail)),
+    high: dateAfter(quantile(comparable, 1 - tail)),
+    comparableContests: comparable.length
+  };
+}
+
+function buildHiringForecast({ historyReached, durationsDays = [], pipelineStats, recruiters = [], startedAt = null, now = new Date(), openings = 1, confidence = 0.8, seed = '' }) {
+  const conversion = learnConversionRates(historyReached);
+  const active = activeCounts(pipelineStats);
+  const random = seededRandom(seed);
+
+  const expected = [];
+  const hireProbabilities = [];
+  const offerOutcomes = [];
+  for (let run = 0; run < SIMULATIONS; run++) {
+    const probabilities = offerProbabilities(conversion.map(stage => sampleBeta(stage.alpha, stage.beta, random)));
+    let expectedOffers = 0;
+    let noOffer = 1;
+    let offers = 0;
+    FUNNEL_STAGES.forEach(stage => {
+      expectedOffers += active[stage] * probabilities[stage];
+      noOffer *= Math.pow(1 - probabilities[stage], active[stage]);
+      offers += sampleBinomial(active[stage], probabilities[stage], random);
+    });
+    expected.push(expectedOffers);
+    hireProbabilities.push(1 - noOffer);
+    offerOutcomes.push(offers);
+  }
+
+  const pointRates = offerProbabilities(conversion.map(stage => stage.rate));
+  const shortlistRate = conversion[0].rate;
+  const afterShortlist = pointRates.shortlisted;
+  const elapsedDays = startedAt ? (now - startedAt) / DAY_MS : 0;
+  // The mean is the expected number of offers; the interval is over the
+  // simulated offer counts, so it also covers chance in individual outcomes.
+  const offerRange = interval(offerOutcomes, confidence, 0);
+
+  return {
+    openings,
+    confidence,
+    history: {
+      contests: historyReached.length,
+      conversionRates: conversion.map(({ from, to, observed, converted, alpha, beta, rate }) => {
+        const samples = Array.from({ length: 500 }, () => sampleBeta(alpha, beta, random));
+        const { low, high } = interval(samples, confidence);
+        return { from, to, observed, converted, rate: round(rate), low, high };
+      }),
+      medianDurationDays: round(quantile([...durationsDays].sort((a, b) => a - b), 0.5), 1)
+    },
+    pipeline: { ...active, rejected: pipelineStats.totalRejected || 0 },
+    forecast: {
+      expectedOffers: { mean: interval(expected, confidence, 2).mean, low: offerRange.low, high: offerRange.high },
+      probabilityOfHire: interval(hireProbabilities, confidence),
+      elapsedDays: round(elapsedDays, 1),
+      projectedCloseDate: durationForecast(durationsDays, elapsedDays, startedAt, confidence)
+    },
+    newProfileOfferRate: round(pointRates.submitted, 4),
+    profilesStillNeeded: profilesNeeded(offerOutcomes, pointRates.submitted, openings, confidence),
+    recruiters: recruiters
+      .map(recruiter => {
+        const recruiterShortlistRate = (recruiter.reachedShortlist + RECRUITER_PRIOR_PROFILES * shortlistRate) /
+          (recruiter.screened + RECRUITER_PRIOR_PROFILES);
+        const offerRate = recruiterShortlistRate * afterShortlist;
+        return {
+          ...recruiter,
+          estimatedShortlistRate: round(recruiterShortlistRate),
+          estimatedOfferRate: round(offerRate, 4),
+          profilesStillNeeded: profilesNeeded(offerOutcomes, offerRate, openings, confidence)
+        };
+      })
+      .sort((a, b) => b.estimatedOfferRate - a.estimatedOfferRate)
+  };
+}
+
+let closedContestsCache = null;
+
+// Close dates of closed contests, most recently closed first. Only closing
+// events are grouped, and the list is cached for
+// FORECAST_HISTORY_CACHE_MINUTES since it changes slowly.
+async function findClosedContests(now = new Date()) {
+  if (closedContestsCache && now - closedContestsCache.loadedAt < CLOSED_CONTESTS_CACHE_MS) {
+    return closedContestsCache.contests;
+  }
+  const contests = await getDb().collection('contestLifeCycle').aggregate([
+    { $match: { $expr: { $in: [{ $toLower: { $trim: { input: { $toString: { $ifNull: ['$action', ''] } } } } }, CLOSED_ACTIONS] } } },
+    { $group: { _id: '$contestId', closedAt: { $min: '$createdDate' } } },
+    { $sort: { closedAt: -1 } }
+  ]).toArray();
+  closedContestsCache = { loadedAt: now, contests };
+  return contests;
+}
+
+async function isContestClosed(contestId) {
+  const events = await getDb().collection('contestLifeCycle')
+    .find({ contestId: new ObjectId(contestId) }, { projection: { action: 1 } })
+    .toArray();
+  return events.some(event => isClosedAction(event.action));
+}
+
+// Reached-stage counts and durations of the history contests, read for those
+// contests only.
+async function loadHistory(contests) {
+  const ids = contests.map(doc => new ObjectId(doc._id));
+  const [recruiterDocs, lifecycleData] = await Promise.all([
+    getDb().collection('recruiterAddProfiles').find({ contestId: { $in: ids } }).toArray(),
+    getDb().collection('contestLifeCycle').find({ contestId: { $in: ids } }).sort({ createdDate: 1 }).toArray()
+  ]);
+  const byContest = (docs, id) => docs.filter(doc => String(doc.contestId) === String(id));
+  return contests.map(doc => {
+    const events = byContest(lifecycleData, doc._id);
+    const { timelines } = uniqueCandidateTimelines(byContest(recruiterDocs, doc._id), events);
+    const startedAt = events[0]?.createdDate;
+    return {
+      reached: reachedCounts(timelines),
+      durationDays: startedAt && doc.closedAt ? (new Date(doc.closedAt) - new Date(startedAt)) / DAY_MS : null
+    };
+  }).filter(item => item.reached.submitted > 0);
+}
+
+async function selectHistory(contestId, closedContests) {
+  const candidates = closedContests.filter(doc => doc._id && ObjectId.isValid(doc._id) && String(doc._id) !== contestId);
+  const employerId = await getContestEmployerId(contestId);
+  if (employerId) {
+    const owned = await getDb().collection(CONTESTS_COLLECTION).find({
+      _id: { $in: candidates.map(doc => new ObjectId(doc._id)) },
+      $or: CONTEST_FIELDS.employer.map(field => ({ [field]: { $in: idValues(employerId) } }))
+    }, { projection: { _id: 1 } }).toArray();
+    const ownedIds = new Set(owned.map(doc => String(doc._id)));
+    const employerHistory = candidates.filter(doc => ownedIds.has(String(doc._id)));
+    if (employerHistory.length >= MIN_HISTORY_CONTESTS) {
+      return { scope: 'employer', contests: employerHistory.slice(0, HISTORY_CONTESTS) };
+    }
+  }
+  return { scope: 'all', contests: candidates.slice(0, HISTORY_CONTESTS) };
+}
+
+// Per-recruiter counts behind the "profiles still needed" estimate. Screened
+// profiles are those the employer has moved on or rejected.
+async function getRecruiterPipeline(contestId) {
+  const [recruiterDocs, recruiterStats] = await Promise.all([
+    getDb().collection('recruiterAddProfiles').find({ contestId: new ObjectId(contestId) }).toArray(),
+    getRecruiterStatsData(contestId)
+  ]);
+  const names = new Map(recruiterStats.map(row => [row.recruiterId, row.recruiterName]));
+  const duplicates = resolveContestDuplicates(recruiterDocs);
+  const byRecruiter = new Map();
+  recruiterDocs.forEach(doc => {
+    const recruiterId = doc.recruiterId ? String(doc.recruiterId) : null;
+    const entry = byRecruiter.get(recruiterId) || {
+      recruiterId,
+      recruiterName: names.get(recruiterId) || 'Unknown Recruiter',
+      profilesSubmitted: 0,
+      screened: 0,
+      reachedShortlist: 0
+    };
+    (doc.jobseekerDetails || []).filter(jobseeker => !duplicates.repeats.has(jobseeker)).forEach(jobseeker => {
+      const status = normalizeStatus(duplicates.statusOf(jobseeker)) || 'submitted';
+      entry.profilesSubmitted += 1;
+      if (status !== 'submitted') entry.screened += 1;
+      if (FUNNEL_STAGES.indexOf(status) >= 1) entry.reachedShortlist += 1;
+    });
+    byRecruiter.set(recruiterId, entry);
+  });
+  return [...byRecruiter.values()];
+}
+
+async function forecastContest(contestId, { openings = 1, confidence = 0.8, now = new Date() } = {}) {
+  if (await isContestClosed(contestId)) {
+    const error = new Error('Contest is closed; forecasts are only made for open contests.');
+    error.statusCode = 409;
+    throw error;
+  }
+
+  const [history, pipelineStats, recruiters, firstEvent, contest] = await Promise.all([
+    findClosedContests(now).then(closedContests => selectHistory(contestId, closedContests)),
+    getOverallStatsData(contestId),
+    getRecruiterPipeline(contestId),
+    getDb().collection('contestLifeCycle').find({ contestId: new ObjectId(contestId) }).sort({ createdDate: 1 }).limit(1).next(),
+    getDb().collection(CONTESTS_COLLECTION).findOne({ _id: new ObjectId(contestId) })
+  ]);
+
+  const base = { contestId, generatedAt: now.toISOString(), historyScope: history.scope };
+  if (history.contests.length < MIN_HISTORY_CONTESTS) {
+    return {
+      ...base,
+      insufficientHistory: true,
+      message: `At least ${MIN_HISTORY_CONTESTS} closed contests are needed to forecast; found ${history.contests.length}.`
+    };
+  }
+
+  const historyData = await loadHistory(history.contests);
+  const startValue = firstEvent?.createdDate || firstField(contest, CONTEST_FIELDS.date);
+  const startedAt = startValue ? new Date(startValue) : null;
+
+  return {
+    ...base,
+    ...buildHiringForecast({
+      historyReached: historyData.map(item => item.reached),
+      durationsDays: historyData.map(item => item.durationDays).filter(days => days !== null),
+      pipelineStats: pipelineStats || {},
+      recruiters,
+      startedAt: startedAt && !Number.isNaN(startedAt.getTime()) ? startedAt : null,
+      now,
+      openings,
+      confidence,
+      seed: contestId
+    })
+  };
+}
+
+function parseForecastOptions(query) {
+  const openings = query.openings === undefined ? 1 : Number(query.openings);
+  if (!Number.isInteger(openings) || openings < 1 || openings > 50) {
+    const error = new Error('openings must be a whole number between 1 and 50');
+    error.statusCode = 400;
+    throw error;
+  }
+  const confidence = query.confidence === undefined ? 0.8 : Number(query.confidence);
+  if (!(confidence >= 0.5 && confidence <= 0.99)) {
+    const error = new Error('confidence must be between 0.5 and 0.99');
+    error.statusCode = 400;
+    throw error;
+  }
+  return { openings, confidence };
+}
+
+router.get('/contests/:contestId/forecast', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), authorizeContest, async (req, res) => {
+  const { contestId } = req.params;
+  if (!ObjectId.isValid(contestId)) {
+    return res.status(400).json({ error: 'Invalid Contest ID format.' });
+  }
+  try {
+    const options = parseForecastOptions(req.query);
+    res.status(200).json(await forecastContest(contestId, options));
+  } catch (error) {
+    console.error('Error during hiring forecast:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  reachedCounts,
+  activeCounts,
+  learnConversionRates,
+  buildHiringForecast,
+  forecastContest,
+  parseForecastOptions,
+  endpoints: {
+    main: 'GET /contests/:contestId/forecast?openings=1&confidence=0.8'
+  }
+};
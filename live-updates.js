@@ -0,0 +1,205 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const dotenv = require('dotenv');
+const { getDb } = require('./db');
+const { getOverallStatsData, getRecruiterStatsData } = require('./final_report');
+const { statusMatchExpression } = require('./status-normalization');
+const { ROLES, requireRole, authorizeContest } = require('./auth');
+
+dotenv.config();
+
+const router = express.Router();
+
+const DEBOUNCE_MS = Number(process.env.LIVE_UPDATE_DEBOUNCE_MS || 1000);
+const POLL_INTERVAL_MS = Number(process.env.LIVE_UPDATE_POLL_INTERVAL_MS || 15000);
+const HEARTBEAT_MS = 25000;
+const WATCHED_COLLECTIONS = ['recruiterAddProfiles', 'contestLifeCycle'];
+
+// contestId -> { clients: Set<res>, snapshot, timer }
+const contests = new Map();
+const streams = new Map();
+let pollTimer = null;
+
+async function getRejectedCount(contestId) {
+  const [result] = await getDb().collection('recruiterAddProfiles').aggregate([
+    { $match: { contestId: new ObjectId(contestId) } },
+    { $unwind: '$jobseekerDetails' },
+    { $match: { $expr: statusMatchExpression('$jobseekerDetails.empStatus', 'rejected') } },
+    { $count: 'rejected' }
+  ]).toArray();
+  return result?.rejected || 0;
+}
+
+async function buildSnapshot(contestId) {
+  const [funnel, recruiters, rejected] = await Promise.all([
+    getOverallStatsData(contestId),
+    getRecruiterStatsData(contestId),
+    getRejectedCount(contestId)
+  ]);
+  return {
+    funnel: funnel || {},
+    recruiters,
+    rejections: { totalRejected: rejected }
+  };
+}
+
+function send(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function broadcast(contestId, event, data) {
+  const entry = contests.get(contestId);
+  if (!entry) return;
+  entry.clients.forEach(res => send(res, event, data));
+}
+
+// Only the parts of the snapshot that changed are pushed: funnel counts and
+// the rejection count as whole objects, recruiters row by row.
+function diffSnapshots(previous, next) {
+  const changes = {};
+  if (JSON.stringify(previous.funnel) !== JSON.stringify(next.funnel)) changes.funnel = next.funnel;
+  if (previous.rejections.totalRejected !== next.rejections.totalRejected) changes.rejections = next.rejections;
+  const before = new Map(previous.recruiters.map(row => [row.recruiterId, JSON.stringify(row)]));
+  const recruiters = next.recruiters.filter(row => before.get(row.recruiterId) !== JSON.stringify(row));
+  if (recruiters.length) changes.recruiters = recruiters;
+  return changes;
+}
+
+async function refreshContest(contestId) {
+  const entry = contests.get(contestId);
+  if (!entry) return;
+  try {
+    const snapshot = await buildSnapshot(contestId);
+    const changes = entry.snapshot ? diffSnapshots(entry.snapshot, snapshot) : snapshot;
+    entry.snapshot = snapshot;
+    if (Object.keys(changes).length) {
+      broadcast(contestId, 'update', { contestId, ...changes, at: new Date().toISOString() });
+    }
+  } catch (error) {
+    console.error(`Live update for contest ${contestId} failed:`, error.message);
+  }
+}
+
+// Bursts of changes (a recruiter uploading many profiles) are collapsed into
+// one refresh.
+function scheduleRefresh(contestId) {
+  const entry = contests.get(contestId);
+  if (!entry || entry.timer) return;
+  entry.timer = setTimeout(() => {
+    entry.timer = null;
+    refreshContest(contestId);
+  }, DEBOUNCE_MS);
+}
+
+function handleChange(collectionName, change) {
+  const doc = change.fullDocument;
+  if (!doc?.contestId) return;
+  const contestId = String(doc.contestId);
+  if (!contests.has(contestId)) return;
+  if (collectionName === 'contestLifeCycle' && change.operationType === 'insert') {
+    broadcast(contestId, 'lifecycle', {
+      contestId,
+      action: doc.action,
+      userRole: doc.userRole,
+      createdDate: doc.createdDate
+    });
+  }
+  scheduleRefresh(contestId);
+}
+
+// Change streams need a replica set. Without one, fall back to polling every
+// watched contest.
+function startPolling() {
+  if (pollTimer) return;
+  console.warn(`Change streams unavailable, polling live contests every ${POLL_INTERVAL_MS}ms`);
+  pollTimer = setInterval(() => {
+    contests.forEach((entry, contestId) => refreshContest(contestId));
+  }, POLL_INTERVAL_MS);
+  pollTimer.unref();
+}
+
+function openStreams() {
+  if (streams.size || pollTimer) return;
+  WATCHED_COLLECTIONS.forEach(collectionName => {
+    try {
+      const stream = getDb().collection(collectionName).watch(
+        [{ $match: { operationType: { $in: ['insert', 'update', 'replace'] } } }],
+        { fullDocument: 'updateLookup' }
+      );
+      stream.on('change', change => handleChange(collectionName, change));
+      stream.on('error', error => {
+        console.error(`Change stream on ${collectionName} failed:`, error.message);
+        closeStreams();
+        if (contests.size) startPolling();
+      });
+      streams.set(collectionName, stream);
+    } catch (error) {
+      console.error(`Could not watch ${collectionName}:`, error.message);
+      closeStreams();
+      startPolling();
+    }
+  });
+}
+
+function closeStreams() {
+  streams.forEach(stream => stream.close().catch(() => {}));
+  streams.clear();
+}
+
+function removeClient(contestId, res) {
+  const entry = contests.get(contestId);
+  if (!entry) return;
+  entry.clients.delete(res);
+  if (entry.clients.size) return;
+  clearTimeout(entry.timer);
+  contests.delete(contestId);
+  if (!contests.size) {
+    closeStreams();
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+router.get('/contests/:contestId/live', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), authorizeContest, async (req, res) => {
+  const { contestId } = req.params;
+  if (!ObjectId.isValid(contestId)) {
+    return res.status(400).json({ error: 'Invalid Contest ID format.' });
+  }
+
+  let snapshot;
+  try {
+    snapshot = await buildSnapshot(contestId);
+  } catch (error) {
+    console.error('Error starting live updates:', error);
+    return res.status(error.statusCode || 500).json({ error: error.message });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  send(res, 'snapshot', { contestId, ...snapshot, at: new Date().toISOString() });
+
+  if (!contests.has(contestId)) {
+    contests.set(contestId, { clients: new Set(), snapshot, timer: null });
+  }
+  contests.get(contestId).clients.add(res);
+  openStreams();
+
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    removeClient(contestId, res);
+  });
+});
+
+module.exports = {
+  router,
+  buildSnapshot,
+  diffSnapshots,
+  endpoints: {
+    live: 'GET /contests/:contestId/live (text/event-stream)'
+  }
+};
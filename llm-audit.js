@@ -0,0 +1,63 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { ROLES, requireRole } = require('./auth');
+
+const router = express.Router();
+
+const COLLECTION_NAME = 'llmAuditLog';
+
+// Stores exactly what was sent to the model (already redacted) and which
+// kinds of identifiers were masked. The token-to-value map is never stored.
+// `promptInput` holds the prompt version and its redacted variables, which
+// prompt-eval.js replays against other versions.
+async function recordLlmAudit({ report, contestId, provider, model, status, messages, redactor, promptInput }) {
+  try {
+    await getDb().collection(COLLECTION_NAME).insertOne({
+      report,
+      contestId: contestId && ObjectId.isValid(contestId) ? new ObjectId(contestId) : null,
+      provider: provider || null,
+      model: model || null,
+      status,
+      messages,
+      redactions: redactor ? redactor.summary() : null,
+      promptInput: promptInput || null,
+      createdAt: new Date()
+    });
+  } catch (error) {
+    console.error('Could not record LLM audit entry:', error.message);
+  }
+}
+
+router.get('/audit/llm', requireRole(ROLES.ADMIN), async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.contestId) {
+      if (!ObjectId.isValid(req.query.contestId)) {
+        return res.status(400).json({ success: false, error: 'Invalid Contest ID format' });
+      }
+      query.contestId = new ObjectId(req.query.contestId);
+    }
+    if (req.query.report) query.report = String(req.query.report);
+    if (req.query.promptVersion) query['promptInput.version'] = String(req.query.promptVersion);
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+
+    const entries = await getDb().collection(COLLECTION_NAME)
+      .find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
+    res.json({ success: true, count: entries.length, entries });
+  } catch (error) {
+    console.error('LLM audit query error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  recordLlmAudit,
+  endpoints: {
+    main: 'GET /audit/llm?contestId=&report=&promptVersion=&limit='
+  }
+};
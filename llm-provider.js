@@ -0,0 +1,182 @@
+const axios = require('axios');
+const dotenv = require('dotenv');
+const { DEFAULT_LANGUAGE } = require('./localization');
+
+dotenv.config();
+
+const MISTRAL_API_URL = 'https://api.mistral.ai/v1/chat/completions';
+
+const DEFAULTS = {
+  model: 'mistral-small',
+  maxTokens: 800,
+  temperature: 0.4,
+  timeoutMs: 60000
+};
+
+// Report-specific renderers used by the offline "template" provider. Each
+// service registers a function that turns its computed statistics into the
+// same JSON object the model is asked to return. `languages` lists the
+// languages the renderer writes; a request in any other language fails so
+// the caller returns its translated fallback instead of English text.
+const templates = {};
+
+function registerTemplate(report, render, { languages = [DEFAULT_LANGUAGE] } = {}) {
+  templates[report] = { render, languages };
+}
+
+function envPrefix(report) {
+  return report.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+function readSetting(report, name) {
+  const specific = process.env[`${envPrefix(report)}_LLM_${name}`];
+  if (specific !== undefined && specific !== '') return specific;
+  const shared = process.env[`LLM_${name}`];
+  if (shared !== undefined && shared !== '') return shared;
+  return undefined;
+}
+
+function resolveConfig(report, overrides = {}) {
+  const provider = overrides.provider
+    || readSetting(report, 'PROVIDER')
+    || (process.env.MISTRAL_API_KEY ? 'mistral' : 'template');
+  const maxTokens = overrides.maxTokens ?? readSetting(report, 'MAX_TOKENS');
+  const temperature = overrides.temperature ?? readSetting(report, 'TEMPERATURE');
+
+  return {
+    provider,
+    model: overrides.model || readSetting(report, 'MODEL') || DEFAULTS.model,
+    baseUrl: overrides.baseUrl || readSetting(report, 'BASE_URL'),
+    apiKey: overrides.apiKey || readSetting(report, 'API_KEY')
+      || (provider === 'mistral' ? process.env.MISTRAL_API_KEY : undefined),
+    maxTokens: maxTokens !== undefined ? Number(maxTokens) : DEFAULTS.maxTokens,
+    temperature: temperature !== undefined ? Number(temperature) : DEFAULTS.temperature,
+    timeoutMs: Number(readSetting(report, 'TIMEOUT_MS') || DEFAULTS.timeoutMs)
+  };
+}
+
+function toMessages({ prompt, messages }) {
+  if (Array.isArray(messages) && messages.length) return messages;
+  return [{ role: 'user', content: prompt }];
+}
+
+async function postChatCompletion(url, config, request) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) {
+    headers.Authorization = `Bearer ${config.apiKey}`;
+  }
+
+  const response = await axios.post(url, {
+    model: config.model,
+    messages: toMessages(request),
+    max_tokens: config.maxTokens,
+    temperature: config.temperature
+  }, {
+    headers,
+    timeout: config.timeoutMs
+  });
+
+  const content = response.data?.choices?.[0]?.message?.content;
+  if (typeof content !== 'string') {
+    throw new Error(`LLM provider at ${url} returned no message content`);
+  }
+  return content.trim();
+}
+
+function createMistralProvider(config) {
+  const url = config.baseUrl
+    ? `${config.baseUrl.replace(/\/$/, '')}/chat/completions`
+    : MISTRAL_API_URL;
+  return {
+    name: 'mistral',
+    model: config.model,
+    endpoint: url,
+    configured: Boolean(config.apiKey),
+    complete: request => postChatCompletion(url, config, request)
+  };
+}
+
+// Any server implementing the OpenAI chat-completions API, e.g. llama.cpp
+// (`http://localhost:8080/v1`) or Ollama (`http://localhost:11434/v1`).
+function createOpenAICompatibleProvider(config) {
+  const url = config.baseUrl
+    ? `${config.baseUrl.replace(/\/$/, '')}/chat/completions`
+    : undefined;
+  return {
+    name: 'openai-compatible',
+    model: config.model,
+    endpoint: url,
+    configured: Boolean(url),
+    complete: async request => {
+      if (!url) {
+        throw new Error('openai-compatible provider requires an LLM_BASE_URL');
+      }
+      return postChatCompletion(url, config, request);
+    }
+  };
+}
+
+function createTemplateProvider() {
+  return {
+    name: 'template',
+    model: 'template',
+    endpoint: null,
+    configured: true,
+    complete: async ({ report, data }) => {
+      const template = templates[report];
+      if (!template) {
+        throw new Error(`No offline template registered for report "${report}"`);
+      }
+      if (data?.language && !template.languages.includes(data.language)) {
+        throw new Error(`Offline template for report "${report}" has no "${data.language}" version`);
+      }
+      return JSON.stringify(template.render(data || {}));
+    }
+  };
+}
+
+const providerFactories = {
+  mistral: createMistralProvider,
+  'openai-compatible': createOpenAICompatibleProvider,
+  openai: createOpenAICompatibleProvider,
+  template: createTemplateProvider
+};
+
+function getProvider(report, overrides) {
+  const config = resolveConfig(report, overrides);
+  const factory = providerFactories[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown LLM provider "${config.provider}" for report "${report}"`);
+  }
+  return factory(config);
+}
+
+async function completeReport(report, request, overrides) {
+  const provider = getProvider(report, overrides);
+  const content = await provider.complete({ ...request, report });
+  return { content, provider: provider.name, model: provider.model };
+}
+
+function getProviderStatus(reports) {
+  return Object.fromEntries(reports.map(report => {
+    try {
+      const provider = getProvider(report);
+      return [report, {
+        provider: provider.name,
+        model: provider.model,
+        endpoint: provider.endpoint,
+        status: provider.configured ? 'configured' : 'not-configured'
+      }];
+    } catch (error) {
+      return [report, { status: 'error', error: error.message }];
+    }
+  }));
+}
+
+module.exports = {
+  registerTemplate,
+  resolveProviderConfig: resolveConfig,
+  getProvider,
+  completeReport,
+  getProviderStatus
+};
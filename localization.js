@@ -0,0 +1,81 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const DEFAULT_LANGUAGE = 'en';
+
+// `wordScale` adjusts the prompt's word ranges: Tamil and Telugu join words
+// that English writes separately, so the same content uses fewer words.
+const LANGUAGES = {
+  en: { name: 'English', nativeName: 'English', locale: 'en-IN', wordScale: 1 },
+  hi: { name: 'Hindi', nativeName: 'हिन्दी', locale: 'hi-IN', wordScale: 1 },
+  ta: { name: 'Tamil', nativeName: 'தமிழ்', locale: 'ta-IN', wordScale: 0.7 },
+  te: { name: 'Telugu', nativeName: 'తెలుగు', locale: 'te-IN', wordScale: 0.75 },
+  es: { name: 'Spanish', nativeName: 'Español', locale: 'es-ES', wordScale: 1 },
+  fr: { name: 'French', nativeName: 'Français', locale: 'fr-FR', wordScale: 1 }
+};
+
+// Accepts a code ("hi", "hi-IN") or a name in English or the language
+// itself ("Hindi", "हिन्दी"). Throws a 400 error for anything else.
+function resolveLanguage(value) {
+  if (value === undefined || value === null || value === '') return DEFAULT_LANGUAGE;
+  const wanted = String(value).trim().toLowerCase();
+  const code = Object.keys(LANGUAGES).find(key => (
+    key === wanted ||
+    wanted.startsWith(`${key}-`) ||
+    LANGUAGES[key].name.toLowerCase() === wanted ||
+    LANGUAGES[key].nativeName.toLowerCase() === wanted
+  ));
+  if (!code) {
+    const error = new Error(`language must be one of ${Object.keys(LANGUAGES).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return code;
+}
+
+function getLanguage(code) {
+  return LANGUAGES[code] || LANGUAGES[DEFAULT_LANGUAGE];
+}
+
+function formatNumber(value, code = DEFAULT_LANGUAGE) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return String(value);
+  return new Intl.NumberFormat(getLanguage(code).locale, { maximumFractionDigits: 2 }).format(number);
+}
+
+function formatDate(value, code = DEFAULT_LANGUAGE) {
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return String(value);
+  return new Intl.DateTimeFormat(getLanguage(code).locale, { day: 'numeric', month: 'short', year: 'numeric' }).format(date);
+}
+
+// Prompt lines asking for the answer in another language; empty for English.
+function languageInstruction(code) {
+  if (code === DEFAULT_LANGUAGE) return '';
+  const { name, nativeName, wordScale } = getLanguage(code);
+  const wordRanges = wordScale === 1
+    ? ''
+    : `\n- Word ranges above are for English; in ${name} aim for about ${Math.round(wordScale * 100)}% of those word counts`;
+  return `
+LANGUAGE:
+- Write every text value in ${name} (${nativeName}); keep the JSON keys exactly as shown in English
+- Keep numbers, percentages and dates exactly as they appear in the data${wordRanges}
+`;
+}
+
+// Picks the translation of a canned text, falling back to English.
+function localize(texts, code) {
+  return texts[code] || texts[DEFAULT_LANGUAGE];
+}
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  LANGUAGES,
+  resolveLanguage,
+  getLanguage,
+  formatNumber,
+  formatDate,
+  languageInstruction,
+  localize
+};
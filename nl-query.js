@@ -0,0 +1,400 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const dotenv = require('dotenv');
+const { getDb } = require('./db');
+const { registerTemplate } = require('./llm-provider');
+const { generateValidatedReport } = require('./ai-report');
+const { getTaxonomy, classifyReason } = require('./rejection-taxonomy');
+const { statusMatchExpression } = require('./status-normalization');
+const { idValues, findOwnedContestIds } = require('./contests');
+const { createRedactor } = require('./redaction');
+const { ROLES, requireRole, scopeContestFilters } = require('./auth');
+
+dotenv.config();
+
+const router = express.Router();
+
+const PLAN_REPORT = 'nlQueryPlan';
+const ANSWER_REPORT = 'nlQueryAnswer';
+
+const MAX_ROWS = Number(process.env.NL_QUERY_MAX_ROWS || 200);
+const MAX_TIME_MS = Number(process.env.NL_QUERY_MAX_TIME_MS || 10000);
+const MAX_STAGES = 12;
+const MAX_DEPTH = 30;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const COLLECTIONS = {
+  recruiterAddProfiles: 'Submissions: { contestId, recruiterId, jobseekerDetails: [{ jobseekerId, firstName, lastName, empStatus, status, remarks: { rejectedReason }, rejectedReason, feedback, scores, submittedAt, statusUpdatedAt, updatedAt }] }',
+  recruiterProfile: 'Recruiters: { _id (matches recruiterAddProfiles.recruiterId), basic_details: { firstName, lastName } }',
+  contestLifeCycle: 'Contest events: { contestId, action, userName, userRole, userId, comment, createdDate }'
+};
+
+const STAGES = ['$match', '$unwind', '$group', '$project', '$addFields', '$sort', '$limit', '$skip', '$count', '$lookup'];
+
+// Read-only query and expression operators. Anything else (`$where`,
+// `$function`, `$out`, `$merge`, ...) is rejected.
+const OPERATORS = new Set([
+  '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$and', '$or', '$nor', '$not',
+  '$exists', '$regex', '$options', '$elemMatch', '$size', '$expr',
+  '$sum', '$avg', '$min', '$max', '$first', '$last', '$push', '$addToSet', '$count',
+  '$cond', '$ifNull', '$switch', '$branches', '$case', '$then', '$default',
+  '$toLower', '$toUpper', '$trim', '$concat', '$toString', '$toDate', '$replaceAll', '$split', '$substrCP', '$strLenCP',
+  '$add', '$subtract', '$multiply', '$divide', '$round', '$abs',
+  '$arrayElemAt', '$filter', '$map', '$reduce', '$isArray', '$setUnion',
+  '$year', '$month', '$week', '$dayOfMonth', '$dayOfWeek', '$dateToString', '$dateFromString', '$dateDiff',
+  '$date', '$oid'
+]);
+
+function planError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+}
+
+function checkExpression(value, depth) {
+  if (depth > MAX_DEPTH) throw planError('Query is nested too deeply');
+  if (Array.isArray(value)) {
+    value.forEach(item => checkExpression(item, depth + 1));
+    return;
+  }
+  if (!value || typeof value !== 'object') return;
+  Object.entries(value).forEach(([key, child]) => {
+    if (key.startsWith('$') && !OPERATORS.has(key)) {
+      throw planError(`Operator ${key} is not allowed`);
+    }
+    checkExpression(child, depth + 1);
+  });
+}
+
+// Throws a 400 error describing the first rule the plan breaks.
+function validatePlan(plan, { lookupCollections = Object.keys(COLLECTIONS) } = {}) {
+  if (!COLLECTIONS[plan.collection]) {
+    throw planError(`Collection must be one of ${Object.keys(COLLECTIONS).join(', ')}`);
+  }
+  if (!Array.isArray(plan.pipeline) || !plan.pipeline.length || plan.pipeline.length > MAX_STAGES) {
+    throw planError(`Pipeline must have between 1 and ${MAX_STAGES} stages`);
+  }
+  plan.pipeline.forEach(stage => {
+    const keys = Object.keys(stage || {});
+    if (keys.length !== 1 || !STAGES.includes(keys[0])) {
+      throw planError(`Stage ${keys.join(',') || '(empty)'} is not allowed; use one of ${STAGES.join(', ')}`);
+    }
+    const [name] = keys;
+    const body = stage[name];
+    if (name === '$lookup') {
+      const lookupKeys = Object.keys(body || {}).sort().join(',');
+      if (lookupKeys !== 'as,foreignField,from,localField') {
+        throw planError('$lookup must only use from, localField, foreignField and as');
+      }
+      if (!lookupCollections.length) throw planError('$lookup is not allowed for contest-scoped questions');
+      if (!lookupCollections.includes(body.from)) {
+        throw planError(`$lookup may only read ${lookupCollections.join(', ')}`);
+      }
+      return;
+    }
+    if (name === '$limit' || name === '$skip') {
+      if (!Number.isInteger(body) || body < 0) throw planError(`${name} must be a non-negative integer`);
+      return;
+    }
+    checkExpression(body, 1);
+  });
+}
+
+// The plan is JSON, so dates and ids are written as { "$date": "..." } and
+// { "$oid": "..." }.
+function toQueryValues(value) {
+  if (Array.isArray(value)) return value.map(toQueryValues);
+  if (!value || typeof value !== 'object') return value;
+  const keys = Object.keys(value);
+  if (keys.length === 1 && keys[0] === '$date') {
+    const date = new Date(value.$date);
+    if (Number.isNaN(date.getTime())) throw planError(`Invalid date ${value.$date}`);
+    return date;
+  }
+  if (keys.length === 1 && keys[0] === '$oid') {
+    if (!ObjectId.isValid(value.$oid)) throw planError(`Invalid id ${value.$oid}`);
+    return new ObjectId(value.$oid);
+  }
+  return Object.fromEntries(keys.map(key => [key, toQueryValues(value[key])]));
+}
+
+function parseDateRange(question, now) {
+  const q = question.toLowerCase();
+  const startOfMonth = (year, month) => new Date(Date.UTC(year, month, 1));
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  if (/\blast month\b/.test(q)) return { from: startOfMonth(year, month - 1), to: startOfMonth(year, month) };
+  if (/\bthis month\b/.test(q)) return { from: startOfMonth(year, month), to: now };
+  if (/\blast week\b/.test(q)) return { from: new Date(now - 7 * DAY_MS), to: now };
+  if (/\btoday\b/.test(q)) return { from: new Date(Date.UTC(year, month, now.getUTCDate())), to: now };
+  const days = q.match(/\blast (\d{1,3}) days\b/);
+  if (days) return { from: new Date(now - Number(days[1]) * DAY_MS), to: now };
+  return null;
+}
+
+function dateRangeMatch(fields, range) {
+  const bounds = { $gte: { $date: range.from.toISOString() }, $lt: { $date: range.to.toISOString() } };
+  return { $or: fields.map(field => ({ [field]: bounds })) };
+}
+
+// Keyword planner used by the offline template provider and whenever the
+// model's plan is unusable. It covers counts of submissions, rejections,
+// shortlists, offers and lifecycle events, optionally filtered by rejection
+// category and date range and grouped by recruiter, contest or status.
+// Without `joinNames` the recruiter grouping returns ids only.
+function planFromQuestion(question, now = new Date(), { joinNames = true } = {}) {
+  const q = question.toLowerCase();
+  const range = parseDateRange(question, now);
+  const groupBy = /\brecruiter/.test(q) ? 'recruiter' : /\bcontest/.test(q) ? 'contest' : /\b(status|stage)/.test(q) ? 'status' : null;
+
+  if (/\b(lifecycle|action|event|activity)/.test(q)) {
+    const pipeline = [];
+    if (range) pipeline.push({ $match: dateRangeMatch(['createdDate'], range) });
+    pipeline.push({ $group: { _id: groupBy === 'contest' ? '$contestId' : /\brole/.test(q) ? '$userRole' : '$action', count: { $sum: 1 } } });
+    pipeline.push({ $sort: { count: -1 } }, { $limit: 20 });
+    return {
+      collection: 'contestLifeCycle',
+      pipeline,
+      explanation: 'Counts lifecycle events, grouped by action (or contest or role), most frequent first.'
+    };
+  }
+
+  const status = /\breject/.test(q) ? 'rejected' : /\boffer/.test(q) ? 'offersent' : /\bshortlist/.test(q) ? 'shortlisted' : null;
+  const categories = classifyReason(question).filter(id => getTaxonomy().some(category => category.id === id));
+  const pipeline = [{ $unwind: '$jobseekerDetails' }];
+  const conditions = [];
+  if (status) conditions.push({ $expr: statusMatchExpression('$jobseekerDetails.empStatus', status) });
+  if (categories.length) {
+    const keywords = getTaxonomy()
+      .filter(category => categories.includes(category.id))
+      .flatMap(category => category.keywords)
+      .map(keyword => keyword.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+    const pattern = `\\b(${keywords.join('|')})\\b`;
+    conditions.push({
+      $or: ['jobseekerDetails.remarks.rejectedReason', 'jobseekerDetails.rejectedReason', 'jobseekerDetails.feedback']
+        .map(field => ({ [field]: { $regex: pattern, $options: 'i' } }))
+    });
+  }
+  if (range) conditions.push(dateRangeMatch(['jobseekerDetails.statusUpdatedAt', 'jobseekerDetails.updatedAt', 'jobseekerDetails.submittedAt'], range));
+  if (conditions.length) pipeline.push({ $match: conditions.length === 1 ? conditions[0] : { $and: conditions } });
+
+  const groupId = { recruiter: '$recruiterId', contest: '$contestId', status: '$jobseekerDetails.empStatus' }[groupBy] || null;
+  pipeline.push({ $group: { _id: groupId, count: { $sum: 1 } } });
+  pipeline.push({ $sort: { count: -1 } }, { $limit: 20 });
+  if (groupBy === 'recruiter' && !joinNames) {
+    pipeline.push({ $project: { _id: 0, recruiterId: '$_id', count: 1 } });
+  } else if (groupBy === 'recruiter') {
+    pipeline.push(
+      { $lookup: { from: 'recruiterProfile', localField: '_id', foreignField: '_id', as: 'recruiter' } },
+      {
+        $project: {
+          _id: 0,
+          recruiterId: '$_id',
+          recruiterName: {
+            $trim: {
+              input: {
+                $concat: [
+                  { $ifNull: [{ $arrayElemAt: ['$recruiter.basic_details.firstName', 0] }, ''] }, ' ',
+                  { $ifNull: [{ $arrayElemAt: ['$recruiter.basic_details.lastName', 0] }, ''] }
+                ]
+              }
+            }
+          },
+          count: 1
+        }
+      }
+    );
+  }
+
+  const subject = status ? { rejected: 'rejected candidates', offersent: 'offers sent', shortlisted: 'shortlisted candidates' }[status] : 'submitted candidates';
+  return {
+    collection: 'recruiterAddProfiles',
+    pipeline,
+    explanation: `Counts ${subject}${categories.length ? ` with ${categories.join('/')} rejection reasons` : ''}${range ? ' in the requested period' : ''}${groupBy ? ` grouped by ${groupBy}` : ''}.`
+  };
+}
+
+registerTemplate(PLAN_REPORT, ({ question, now, joinNames }) => planFromQuestion(question, new Date(now), { joinNames }));
+
+function describeRow(row) {
+  return Object.entries(row)
+    .filter(([, value]) => value === null || ['string', 'number', 'boolean'].includes(typeof value) || value instanceof ObjectId || value instanceof Date)
+    .slice(0, 4)
+    .map(([key, value]) => `${key} ${value instanceof Date ? value.toISOString().slice(0, 10) : value}`)
+    .join(', ');
+}
+
+function renderAnswerTemplate({ question, rows = [], explanation }) {
+  const method = explanation
+    ? ` The query ${explanation.charAt(0).toLowerCase()}${explanation.slice(1)}`
+    : '';
+  if (!rows.length) {
+    return { answer: `No records matched the question "${question}".${method}` };
+  }
+  const top = rows.slice(0, 3).map(describeRow).filter(Boolean);
+  const parts = [`The query returned ${rows.length} row(s).`];
+  if (top.length) parts.push(`The top result is ${top[0]}.`);
+  if (top.length > 1) parts.push(`Next are ${top.slice(1).join('; ')}.`);
+  return { answer: `${parts.join(' ')}${method}` };
+}
+
+registerTemplate(ANSWER_REPORT, renderAnswerTemplate);
+
+async function planQuery(question, { now, lookupCollections }) {
+  const schemaText = Object.entries(COLLECTIONS).map(([name, shape]) => `- ${name}: ${shape}`).join('\n');
+  const prompt = `
+You translate questions about hiring contests into a single read-only MongoDB aggregation.
+
+TODAY: ${now.toISOString().slice(0, 10)}
+
+COLLECTIONS:
+${schemaText}
+
+RULES:
+- Use exactly one collection from the list as "collection"
+- Allowed stages: ${STAGES.join(', ')}
+${lookupCollections.length
+    ? `- $lookup may only use from, localField, foreignField and as, and only read ${lookupCollections.join(', ')}`
+    : '- Do not use $lookup; recruiter names are added to rows with a recruiterId afterwards'}
+- Write dates as {"$date": "YYYY-MM-DDTHH:mm:ssZ"} and ids as {"$oid": "..."}
+- Candidate statuses vary in spelling ("Rejected", "rejected", "Offer Sent", "offer_sent"); match them with a case-insensitive $regex
+- Keep results small: group and sort, and end with $limit of at most ${MAX_ROWS}
+
+QUESTION:
+${question}
+
+Return ONLY this JSON object, no other text:
+{"collection": "recruiterAddProfiles", "pipeline": [{"$match": {}}], "explanation": "[5-40 words describing what the query computes]"}
+`;
+  const redactor = createRedactor();
+  const joinNames = lookupCollections.includes('recruiterProfile');
+  const fallback = planFromQuestion(question, now, { joinNames });
+  const generation = await generateValidatedReport(PLAN_REPORT, {
+    prompt,
+    data: { question, now: now.toISOString(), joinNames },
+    fallback,
+    redactor
+  });
+
+  try {
+    validatePlan(generation.analysis, { lookupCollections });
+    return { plan: generation.analysis, status: generation.status, errors: generation.errors };
+  } catch (error) {
+    console.error('Rejected unsafe query plan:', error.message);
+    return { plan: fallback, status: 'fallback', errors: [...generation.errors, error.message] };
+  }
+}
+
+// Recruiter names for rows that carry a recruiterId, read by id so a query
+// can never reach another tenant's recruiter profiles.
+async function addRecruiterNames(rows) {
+  const ids = [...new Set(rows.map(row => row?.recruiterId).filter(Boolean).map(String))];
+  if (!ids.length) return rows;
+  const profiles = await getDb().collection('recruiterProfile')
+    .find(
+      { _id: { $in: ids.flatMap(idValues) } },
+      { projection: { 'basic_details.firstName': 1, 'basic_details.lastName': 1 } }
+    )
+    .toArray();
+  const names = new Map(profiles.map(profile => [
+    String(profile._id),
+    `${profile.basic_details?.firstName || ''} ${profile.basic_details?.lastName || ''}`.trim() || null
+  ]));
+  return rows.map(row => (row?.recruiterId && names.has(String(row.recruiterId))
+    ? { ...row, recruiterName: names.get(String(row.recruiterId)) }
+    : row));
+}
+
+async function answerQuestion(question, user, now = new Date()) {
+  const scope = await scopeContestFilters(user, {});
+  const scoped = Boolean(scope.employerId);
+  // A $lookup runs outside the contestId filter, so employers get none;
+  // recruiter names are joined in code instead.
+  const lookupCollections = scoped ? [] : Object.keys(COLLECTIONS);
+  const { plan, status, errors } = await planQuery(question, { now, lookupCollections });
+
+  // Employers only see their own contests: the plan must start from a
+  // contest-scoped collection and gets a contestId filter prepended.
+  const pipeline = toQueryValues(plan.pipeline);
+  if (scoped) {
+    if (plan.collection === 'recruiterProfile') {
+      const error = new Error('Employers can only ask questions about their contests\' submissions and lifecycle');
+      error.statusCode = 403;
+      throw error;
+    }
+    const contestIds = (await findOwnedContestIds(scope.employerId)).flatMap(idValues);
+    pipeline.unshift({ $match: { contestId: { $in: contestIds } } });
+  }
+  pipeline.push({ $limit: MAX_ROWS });
+
+  let rows = await getDb().collection(plan.collection)
+    .aggregate(pipeline, { maxTimeMS: MAX_TIME_MS })
+    .toArray();
+  if (scoped) rows = await addRecruiterNames(rows);
+
+  const redactor = createRedactor();
+  const safeRows = redactor.redactValue(JSON.parse(JSON.stringify(rows.slice(0, 20))));
+  const answerPrompt = `
+You are answering an account manager's question about hiring contests using query results.
+
+QUESTION:
+${question}
+
+WHAT THE QUERY COMPUTED:
+${plan.explanation}
+
+RESULTS (first ${safeRows.length} of ${rows.length} rows):
+${JSON.stringify(safeRows)}
+
+Answer in plain sentences using only these results; say so if they do not answer the question.
+Return ONLY this JSON object, no other text:
+{"answer": "[10-120 words]"}
+`;
+  const answer = await generateValidatedReport(ANSWER_REPORT, {
+    prompt: answerPrompt,
+    data: { question, rows: safeRows, explanation: plan.explanation },
+    fallback: renderAnswerTemplate({ question, rows: safeRows, explanation: plan.explanation }),
+    redactor
+  });
+
+  return {
+    question,
+    answer: answer.analysis.answer,
+    answerStatus: answer.status,
+    query: {
+      collection: plan.collection,
+      pipeline: plan.pipeline,
+      explanation: plan.explanation,
+      scopedToContests: scoped,
+      planStatus: status,
+      planErrors: errors
+    },
+    rowCount: rows.length,
+    rows,
+    generatedAt: now.toISOString()
+  };
+}
+
+router.post('/ask', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), async (req, res) => {
+  const question = typeof req.body?.question === 'string' ? req.body.question.trim() : '';
+  if (!question || question.length > 500) {
+    return res.status(400).json({ error: 'question is required (at most 500 characters).' });
+  }
+  try {
+    res.status(200).json(await answerQuestion(question, req.user));
+  } catch (error) {
+    console.error('Error answering question:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  reportName: PLAN_REPORT,
+  validatePlan,
+  planFromQuestion,
+  answerQuestion,
+  endpoints: {
+    ask: 'POST /ask'
+  }
+};
@@ -0,0 +1,302 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const dotenv = require('dotenv');
+const { getDb } = require('./db');
+const { analyzeRejectionReasons } = require('./rejectionStats');
+const { getRecruiterStatsByContest, getOverallStatsByContest } = require('./final_report');
+const { CONTESTS_COLLECTION, CONTEST_FIELDS, firstField, idValues } = require('./contests');
+const { ROLES, requireRole, scopeContestFilters } = require('./auth');
+const { extractCandidates, findDuplicateClusters, describeClusters, summarizeClusters, parseMinConfidence } = require('./candidate-duplicates');
+
+dotenv.config();
+
+const router = express.Router();
+
+const MAX_CONTESTS = Number(process.env.PORTFOLIO_MAX_CONTESTS || 200);
+// Rejection analyses run per contest, this many at a time.
+const ANALYSIS_CONCURRENCY = Number(process.env.PORTFOLIO_ANALYSIS_CONCURRENCY || 8);
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function buildContestQuery({ from, to, employerId, role, skill }) {
+  const and = [];
+  if (from || to) {
+    const range = {};
+    if (from) range.$gte = from;
+    if (to) range.$lte = to;
+    and.push({ $or: CONTEST_FIELDS.date.map(field => ({ [field]: range })) });
+  }
+  if (employerId) {
+    and.push({ $or: CONTEST_FIELDS.employer.map(field => ({ [field]: { $in: idValues(employerId) } })) });
+  }
+  if (role) {
+    const pattern = new RegExp(escapeRegex(role), 'i');
+    and.push({ $or: CONTEST_FIELDS.role.map(field => ({ [field]: pattern })) });
+  }
+  if (skill) {
+    const pattern = new RegExp(`^${escapeRegex(skill)}$`, 'i');
+    and.push({ $or: CONTEST_FIELDS.skills.map(field => ({ [field]: pattern })) });
+  }
+  return and.length ? { $and: and } : {};
+}
+
+// Contests come from the contests collection; when only a date range is
+// given and that collection has nothing, fall back to contests with
+// lifecycle activity in the range.
+async function findContests(filters) {
+  const db = getDb();
+  if (filters.contestIds?.length) {
+    const ids = filters.contestIds.map(id => new ObjectId(id));
+    const docs = await db.collection(CONTESTS_COLLECTION).find({ _id: { $in: ids } }).toArray();
+    const byId = new Map(docs.map(doc => [String(doc._id), doc]));
+    return ids.map(id => byId.get(String(id)) || { _id: id });
+  }
+
+  const docs = await db.collection(CONTESTS_COLLECTION)
+    .find(buildContestQuery(filters))
+    .limit(MAX_CONTESTS)
+    .toArray();
+  if (docs.length || filters.employerId || filters.role || filters.skill) return docs;
+
+  const lifecycleMatch = {};
+  if (filters.from || filters.to) {
+    lifecycleMatch.createdDate = {};
+    if (filters.from) lifecycleMatch.createdDate.$gte = filters.from;
+    if (filters.to) lifecycleMatch.createdDate.$lte = filters.to;
+  }
+  const active = await db.collection('contestLifeCycle').aggregate([
+    { $match: lifecycleMatch },
+    { $group: { _id: '$contestId', createdDate: { $min: '$createdDate' } } },
+    { $sort: { createdDate: -1 } },
+    { $limit: MAX_CONTESTS }
+  ]).toArray();
+  return active.filter(doc => doc._id);
+}
+
+function ratio(part, whole) {
+  return whole > 0 ? Number(((part / whole) * 100).toFixed(1)) : 0;
+}
+
+function periodOf(date) {
+  if (!date) return 'unknown';
+  const value = new Date(date);
+  return Number.isNaN(value.getTime()) ? 'unknown' : value.toISOString().slice(0, 7);
+}
+
+async function safeRejectionAnalysis(contestId) {
+  try {
+    return await analyzeRejectionReasons(contestId);
+  } catch (error) {
+    if (error.statusCode === 404) return null;
+    throw error;
+  }
+}
+
+function mergeRejectionCategories(perContest) {
+  const totals = {};
+  let totalRejected = 0;
+  perContest.forEach(analysis => {
+    if (!analysis) return;
+    totalRejected += analysis.rejectionTotalCount;
+    analysis.categories.forEach(({ category, label, count }) => {
+      totals[category] = totals[category] || { category, label, count: 0 };
+      totals[category].count += count;
+    });
+  });
+  return {
+    totalRejected,
+    categories: Object.values(totals)
+      .map(item => ({ ...item, percentage: ratio(item.count, totalRejected) }))
+      .sort((a, b) => b.count - a.count)
+  };
+}
+
+function buildRecruiterLeaderboard(recruitersByContest) {
+  const byRecruiter = new Map();
+  recruitersByContest.forEach(recruiters => {
+    recruiters.forEach(r => {
+      const key = r.recruiterId || r.recruiterName;
+      const entry = byRecruiter.get(key) || {
+        recruiterId: r.recruiterId,
+        recruiterName: r.recruiterName,
+        contests: 0,
+        profilesSubmitted: 0,
+        profilesShortlisted: 0,
+        profilesL1: 0
+      };
+      entry.contests += 1;
+      entry.profilesSubmitted += r.profilesSubmitted;
+      entry.profilesShortlisted += r.profilesShortlisted;
+      entry.profilesL1 += r.profilesL1;
+      byRecruiter.set(key, entry);
+    });
+  });
+
+  return [...byRecruiter.values()]
+    .map(entry => ({
+      ...entry,
+      shortlistRate: ratio(entry.profilesShortlisted, entry.profilesSubmitted),
+      l1Rate: ratio(entry.profilesL1, entry.profilesSubmitted)
+    }))
+    .sort((a, b) => b.l1Rate - a.l1Rate || b.profilesSubmitted - a.profilesSubmitted)
+    .map((entry, index) => ({ rank: index + 1, ...entry }));
+}
+
+function buildTrends(contests) {
+  const byPeriod = new Map();
+  contests.forEach(contest => {
+    const period = periodOf(contest.date);
+    const entry = byPeriod.get(period) || { period, contests: 0, submitted: 0, shortlisted: 0, offers: 0, rejected: 0 };
+    entry.contests += 1;
+    entry.submitted += contest.funnel.totalSubmittedProfiles || 0;
+    entry.shortlisted += contest.funnel.totalShortlisted || 0;
+    entry.offers += contest.funnel.totalOfferSent || 0;
+    entry.rejected += contest.rejectionTotalCount;
+    byPeriod.set(period, entry);
+  });
+  return [...byPeriod.values()]
+    .map(entry => ({
+      ...entry,
+      shortlistRate: ratio(entry.shortlisted, entry.submitted),
+      offerRate: ratio(entry.offers, entry.submitted),
+      rejectionRate: ratio(entry.rejected, entry.submitted)
+    }))
+    .sort((a, b) => a.period.localeCompare(b.period));
+}
+
+async function analyzePortfolio(filters) {
+  const contestDocs = await findContests(filters);
+  const contestIds = contestDocs.map(doc => String(doc._id));
+  if (!contestIds.length) {
+    return { filters, contestCount: 0, totals: null, contests: [], recruiterLeaderboard: [], trends: [] };
+  }
+
+  const [funnelByContest, recruitersByContest] = await Promise.all([
+    getOverallStatsByContest(contestIds),
+    getRecruiterStatsByContest(contestIds)
+  ]);
+  const recruiters = contestIds.map(contestId => recruitersByContest.get(contestId));
+  const rejections = [];
+  for (let start = 0; start < contestIds.length; start += ANALYSIS_CONCURRENCY) {
+    const batch = contestIds.slice(start, start + ANALYSIS_CONCURRENCY);
+    rejections.push(...await Promise.all(batch.map(safeRejectionAnalysis)));
+  }
+
+  const contests = contestDocs.map((doc, index) => {
+    const funnel = funnelByContest.get(contestIds[index]) || {};
+    const rejection = rejections[index];
+    return {
+      contestId: contestIds[index],
+      role: firstField(doc, CONTEST_FIELDS.role) || null,
+      employerId: firstField(doc, CONTEST_FIELDS.employer) || null,
+      date: firstField(doc, CONTEST_FIELDS.date) || null,
+      funnel,
+      shortlistRate: ratio(funnel.totalShortlisted || 0, funnel.totalSubmittedProfiles || 0),
+      offerRate: ratio(funnel.totalOfferSent || 0, funnel.totalSubmittedProfiles || 0),
+      rejectionTotalCount: rejection?.rejectionTotalCount || 0,
+      topRejectionCategory: rejection?.categories[0]?.category || null,
+      recruiterCount: recruiters[index].length
+    };
+  });
+
+  const funnelTotals = {};
+  contests.forEach(({ funnel }) => {
+    Object.entries(funnel).forEach(([key, value]) => {
+      funnelTotals[key] = (funnelTotals[key] || 0) + value;
+    });
+  });
+
+  return {
+    filters,
+    contestCount: contests.length,
+    totals: {
+      funnel: funnelTotals,
+      rejections: mergeRejectionCategories(rejections)
+    },
+    contests,
+    recruiterLeaderboard: buildRecruiterLeaderboard(recruiters),
+    trends: buildTrends(contests)
+  };
+}
+
+function parsePortfolioFilters(query) {
+  const filters = {};
+  for (const name of ['from', 'to']) {
+    if (query[name] === undefined) continue;
+    const date = new Date(query[name]);
+    if (Number.isNaN(date.getTime())) {
+      const error = new Error(`Invalid "${name}" date`);
+      error.statusCode = 400;
+      throw error;
+    }
+    filters[name] = date;
+  }
+  if (query.employerId) filters.employerId = String(query.employerId);
+  if (query.role) filters.role = String(query.role);
+  if (query.skill) filters.skill = String(query.skill);
+  if (query.contestIds) {
+    filters.contestIds = String(query.contestIds).split(',').map(id => id.trim()).filter(Boolean);
+    if (filters.contestIds.some(id => !ObjectId.isValid(id))) {
+      const error = new Error('contestIds must be a comma-separated list of Contest IDs');
+      error.statusCode = 400;
+      throw error;
+    }
+    filters.contestIds = filters.contestIds.slice(0, MAX_CONTESTS);
+  }
+  return filters;
+}
+
+// Candidates submitted more than once across the selected contests, including
+// the same person put forward to different contests.
+async function findPortfolioDuplicates(filters, { minConfidence = 'medium' } = {}) {
+  const contests = await findContests(filters);
+  const recruiterDocs = await getDb().collection('recruiterAddProfiles')
+    .find({ contestId: { $in: contests.map(contest => contest._id) } })
+    .toArray();
+  const records = extractCandidates(recruiterDocs);
+  const clusters = findDuplicateClusters(records, { minConfidence });
+  return {
+    contestsAnalyzed: contests.length,
+    minConfidence,
+    summary: {
+      ...summarizeClusters(clusters, records.length),
+      crossContestClusters: clusters.filter(cluster => cluster.crossContest).length
+    },
+    clusters: describeClusters(clusters)
+  };
+}
+
+router.get('/portfolio/duplicates', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), async (req, res) => {
+  try {
+    const minConfidence = parseMinConfidence(req.query.minConfidence);
+    const filters = await scopeContestFilters(req.user, parsePortfolioFilters(req.query));
+    res.status(200).json(await findPortfolioDuplicates(filters, { minConfidence }));
+  } catch (error) {
+    console.error('Error during portfolio duplicate detection:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+router.get('/portfolio/analytics', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), async (req, res) => {
+  try {
+    const filters = await scopeContestFilters(req.user, parsePortfolioFilters(req.query));
+    res.status(200).json(await analyzePortfolio(filters));
+  } catch (error) {
+    console.error('Error during portfolio analysis:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  findContests,
+  parsePortfolioFilters,
+  analyzePortfolio,
+  findPortfolioDuplicates,
+  endpoints: {
+    main: 'GET /portfolio/analytics?from=&to=&employerId=&role=&skill=&contestIds=',
+    duplicates: 'GET /portfolio/duplicates?minConfidence=medium|high&from=&to=&employerId=&contestIds='
+  }
+};
@@ -0,0 +1,146 @@
+// Offline comparison of two prompt versions:
+//
+//   node prompt-eval.js --report contestAnalytics --baseline v1 --candidate v2 [--limit 20] [--inputs inputs.json] [--out results.json]
+//
+// Replays the prompt variables stored in the LLM audit log (or an exported
+// JSON array of audit entries) through both versions, one completion each
+// without repair, and scores the replies on JSON parsing, schema validity and
+// the word-count rules.
+const crypto = require('crypto');
+const fs = require('fs');
+const { connectToDatabase, getDb, closeDatabase } = require('./db');
+const { completeReport } = require('./llm-provider');
+const { parseModelJson, validateReport } = require('./ai-report');
+const { renderPrompt, loadPromptTemplate } = require('./prompt-templates');
+
+// Registers the offline template renderers for the prompt-driven reports.
+require('./rejection-feedback');
+require('./final_report');
+
+function parseArgs(argv) {
+  const args = { limit: 20 };
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([a-z]+)$/);
+    if (!match) throw new Error(`Unexpected argument "${argv[i]}"`);
+    args[match[1]] = argv[++i];
+  }
+  for (const required of ['report', 'baseline', 'candidate']) {
+    if (!args[required]) throw new Error(`--${required} is required`);
+  }
+  args.limit = Number(args.limit);
+  return args;
+}
+
+function toInput(entry) {
+  const input = entry.promptInput || entry;
+  if (!input || typeof input.variables !== 'object') return null;
+  return { variables: input.variables, schema: input.schema, wordScale: input.wordScale || 1 };
+}
+
+// Identical inputs (the same contest replayed several times) count once.
+function uniqueInputs(entries, limit) {
+  const seen = new Set();
+  const inputs = [];
+  for (const input of entries.map(toInput).filter(Boolean)) {
+    const key = crypto.createHash('sha256').update(JSON.stringify(input)).digest('hex');
+    if (seen.has(key)) continue;
+    seen.add(key);
+    inputs.push(input);
+    if (inputs.length >= limit) break;
+  }
+  return inputs;
+}
+
+async function loadInputs({ report, inputs, limit }) {
+  if (inputs) {
+    return uniqueInputs(JSON.parse(fs.readFileSync(inputs, 'utf8')), limit);
+  }
+  await connectToDatabase();
+  const entries = await getDb().collection('llmAuditLog')
+    .find({ report, 'promptInput.variables': { $exists: true } }, { projection: { promptInput: 1 } })
+    .sort({ createdAt: -1 })
+    .limit(limit * 5)
+    .toArray();
+  return uniqueInputs(entries, limit);
+}
+
+async function scoreReply(report, version, input) {
+  const { prompt } = renderPrompt(report, version, input.variables);
+  const run = { parsed: false, schemaValid: false, lengthValid: false, valid: false, lengthErrors: 0, errors: [] };
+  try {
+    const { content } = await completeReport(report, { messages: [{ role: 'user', content: prompt }], data: {} });
+    const analysis = parseModelJson(content);
+    run.parsed = true;
+    const { valid, errors, lengthErrors } = validateReport(input.schema || report, analysis, { wordScale: input.wordScale });
+    run.schemaValid = errors.length === lengthErrors;
+    run.lengthValid = lengthErrors === 0;
+    run.valid = valid;
+    run.lengthErrors = lengthErrors;
+    run.errors = errors;
+  } catch (error) {
+    run.errors = [error.message];
+  }
+  return run;
+}
+
+function summarize(version, runs) {
+  const share = key => (runs.length ? Number((runs.filter(run => run[key]).length / runs.length).toFixed(3)) : 0);
+  const lengthErrors = runs.reduce((sum, run) => sum + run.lengthErrors, 0);
+  return {
+    version,
+    runs: runs.length,
+    parsed: share('parsed'),
+    schemaValid: share('schemaValid'),
+    lengthValid: share('lengthValid'),
+    valid: share('valid'),
+    lengthErrorsPerRun: runs.length ? Number((lengthErrors / runs.length).toFixed(2)) : 0
+  };
+}
+
+async function evaluatePrompts({ report, baseline, candidate, limit = 20, inputs }) {
+  loadPromptTemplate(report, baseline);
+  loadPromptTemplate(report, candidate);
+
+  const replayed = await loadInputs({ report, inputs, limit });
+  const results = { [baseline]: [], [candidate]: [] };
+  for (const input of replayed) {
+    for (const version of [baseline, candidate]) {
+      results[version].push(await scoreReply(report, version, input));
+    }
+  }
+
+  const summary = [summarize(baseline, results[baseline]), summarize(candidate, results[candidate])];
+  const [a, b] = summary;
+  const winner = a.valid === b.valid
+    ? (a.lengthErrorsPerRun === b.lengthErrorsPerRun ? null : (a.lengthErrorsPerRun < b.lengthErrorsPerRun ? baseline : candidate))
+    : (a.valid > b.valid ? baseline : candidate);
+
+  return { report, inputs: replayed.length, summary, winner, runs: results };
+}
+
+async function main() {
+  try {
+    const args = parseArgs(process.argv.slice(2));
+    const evaluation = await evaluatePrompts(args);
+    console.log(`${evaluation.report}: ${evaluation.inputs} stored inputs replayed`);
+    console.table(evaluation.summary);
+    console.log(evaluation.winner ? `Better version: ${evaluation.winner}` : 'No difference between the versions');
+    if (args.out) {
+      fs.writeFileSync(args.out, JSON.stringify(evaluation, null, 2));
+      console.log(`Detailed results written to ${args.out}`);
+    }
+  } catch (error) {
+    console.error('Prompt evaluation failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await closeDatabase();
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = {
+  evaluatePrompts
+};
@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const dotenv = require('dotenv');
+const { ROLES, requireRole } = require('./auth');
+
+dotenv.config();
+
+const router = express.Router();
+
+const PROMPTS_DIR = process.env.PROMPTS_DIR || path.join(__dirname, 'prompts');
+const DEFAULT_PROMPT_VERSION = 'v1';
+const VARIABLE_PATTERN = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+const NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const templateCache = new Map();
+
+function listPromptVersions(report) {
+  if (!NAME_PATTERN.test(report)) return [];
+  try {
+    return fs.readdirSync(path.join(PROMPTS_DIR, report))
+      .filter(file => file.endsWith('.txt'))
+      .map(file => file.slice(0, -'.txt'.length))
+      .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+  } catch (error) {
+    return [];
+  }
+}
+
+// Keeps only versions that have a prompts/<report>/<version>.txt file and a
+// non-negative numeric weight; anything else is logged and dropped.
+function validateRollout(rollout) {
+  if (!rollout || typeof rollout !== 'object' || Array.isArray(rollout)) {
+    console.error('Prompt rollout must be an object of { report: { version: weight } }');
+    return {};
+  }
+  return Object.fromEntries(Object.entries(rollout).map(([report, weights]) => {
+    const versions = listPromptVersions(report);
+    const valid = Object.entries(weights && typeof weights === 'object' ? weights : {}).filter(([version, weight]) => {
+      if (!versions.includes(version)) {
+        console.error(`Prompt rollout for ${report} names unknown version "${version}"; ignoring it`);
+        return false;
+      }
+      if (!(Number(weight) >= 0)) {
+        console.error(`Prompt rollout weight for ${report}/${version} is not a number; ignoring it`);
+        return false;
+      }
+      return true;
+    });
+    return [report, Object.fromEntries(valid)];
+  }));
+}
+
+// Weights per report and version, e.g. { "contestAnalytics": { "v1": 90, "v2": 10 } }.
+// Reports without an entry always use DEFAULT_PROMPT_VERSION.
+function loadRollout() {
+  const rolloutPath = process.env.PROMPT_ROLLOUT_PATH;
+  if (!rolloutPath) return {};
+  try {
+    return validateRollout(JSON.parse(fs.readFileSync(rolloutPath, 'utf8')));
+  } catch (error) {
+    console.error(`Could not load prompt rollout from ${rolloutPath}:`, error.message);
+    return {};
+  }
+}
+
+const ROLLOUT = loadRollout();
+
+function loadPromptTemplate(report, version) {
+  const key = `${report}/${version}`;
+  if (!templateCache.has(key)) {
+    if (!listPromptVersions(report).includes(version)) {
+      const error = new Error(`Unknown prompt version "${version}" for ${report}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    const text = fs.readFileSync(path.join(PROMPTS_DIR, report, `${version}.txt`), 'utf8');
+    const variables = [...new Set([...text.matchAll(VARIABLE_PATTERN)].map(match => match[1]))];
+    templateCache.set(key, { report, version, text, variables });
+  }
+  return templateCache.get(key);
+}
+
+function rolloutFor(report) {
+  const weights = ROLLOUT[report];
+  const entries = Object.entries(weights || {}).filter(([, weight]) => Number(weight) > 0);
+  return entries.length ? entries : [[DEFAULT_PROMPT_VERSION, 1]];
+}
+
+// A requested version wins; otherwise the rollout weights pick one. The pick
+// is keyed on `seed` (the contest id) so the same contest keeps its version
+// and its cached report between requests.
+function selectPromptVersion(report, { requested, seed = '' } = {}) {
+  if (requested !== undefined && requested !== null && requested !== '') {
+    return loadPromptTemplate(report, String(requested)).version;
+  }
+  const entries = rolloutFor(report);
+  const total = entries.reduce((sum, [, weight]) => sum + Number(weight), 0);
+  const digest = crypto.createHash('sha256').update(`${report}:${seed}`).digest();
+  let point = (digest.readUInt32BE(0) / 0x100000000) * total;
+  for (const [version, weight] of entries) {
+    point -= Number(weight);
+    if (point < 0) return version;
+  }
+  return entries[entries.length - 1][0];
+}
+
+// Fills {{name}} placeholders. Every placeholder must have a value so a
+// renamed variable fails loudly instead of sending "undefined" to the model.
+function renderPrompt(report, version, variables) {
+  const template = loadPromptTemplate(report, version);
+  const missing = template.variables.filter(name => variables[name] === undefined || variables[name] === null);
+  if (missing.length) {
+    throw new Error(`Prompt ${report}/${version} is missing variables: ${missing.join(', ')}`);
+  }
+  const prompt = template.text.replace(VARIABLE_PATTERN, (match, name) => String(variables[name]));
+  const used = Object.fromEntries(template.variables.map(name => [name, String(variables[name])]));
+  return { prompt, promptInput: { report, version, variables: used } };
+}
+
+function describePrompts(report) {
+  return {
+    report,
+    versions: listPromptVersions(report).map(version => ({
+      version,
+      variables: loadPromptTemplate(report, version).variables
+    })),
+    rollout: Object.fromEntries(rolloutFor(report).map(([version, weight]) => [version, Number(weight)]))
+  };
+}
+
+router.get('/prompts', requireRole(ROLES.ADMIN), (req, res) => {
+  try {
+    const reports = fs.readdirSync(PROMPTS_DIR, { withFileTypes: true })
+      .filter(entry => entry.isDirectory())
+      .map(entry => describePrompts(entry.name));
+    res.json({ success: true, reports });
+  } catch (error) {
+    console.error('Prompt listing error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/prompts/:report/:version', requireRole(ROLES.ADMIN), (req, res) => {
+  try {
+    const { text, variables } = loadPromptTemplate(req.params.report, req.params.version);
+    res.json({ success: true, report: req.params.report, version: req.params.version, variables, text });
+  } catch (error) {
+    res.status(error.statusCode === 400 ? 404 : error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  PROMPTS_DIR,
+  DEFAULT_PROMPT_VERSION,
+  listPromptVersions,
+  loadPromptTemplate,
+  selectPromptVersion,
+  renderPrompt,
+  describePrompts,
+  endpoints: {
+    main: 'GET /prompts',
+    template: 'GET /prompts/:report/:version'
+  }
+};
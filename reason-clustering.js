@@ -0,0 +1,283 @@
+const axios = require('axios');
+const dotenv = require('dotenv');
+const { classifyReason, getCategoryLabel } = require('./rejection-taxonomy');
+
+dotenv.config();
+
+const MISTRAL_EMBEDDINGS_URL = 'https://api.mistral.ai/v1/embeddings';
+
+// Cosine similarity a reason needs to join a theme. Embedding vectors are
+// denser than TF-IDF ones, so they need a higher bar.
+const DEFAULT_THRESHOLDS = { tfidf: 0.3, embeddings: 0.75 };
+const MAX_DISTINCT_REASONS = 500;
+const EXAMPLES_PER_THEME = 3;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'candidate', 'does', 'for', 'from', 'has', 'have',
+  'he', 'her', 'his', 'in', 'is', 'it', 'its', 'not', 'of', 'on', 'or', 'she', 'so', 'than', 'that', 'the', 'their',
+  'they', 'this', 'to', 'too', 'very', 'was', 'were', 'with', 'enough', 'lacks', 'lack', 'lacking', 'no', 'poor',
+  'insufficient', 'less', 'more', 'low', 'high', 'good', 'bad', 'weak', 'long', 'above', 'below', 'did', 'do', 'could',
+  'would', 'should'
+]);
+
+// Shorthand recruiters and panels write in remarks.
+const ABBREVIATIONS = {
+  exp: 'experience',
+  expe: 'experience',
+  yrs: 'years',
+  yr: 'years',
+  comm: 'communication',
+  comms: 'communication',
+  sal: 'salary',
+  ctc: 'salary',
+  np: 'notice',
+  js: 'javascript',
+  tech: 'technical',
+  mgmt: 'management',
+  loc: 'location',
+  reloc: 'relocation'
+};
+
+function stem(word) {
+  if (word.length <= 4) return word;
+  return word.replace(/(ations?|ing|ed|es|s)$/, '');
+}
+
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}+#.]+/u)
+    .map(token => token.replace(/^\.+|\.+$/g, ''))
+    .filter(Boolean)
+    .map(token => ABBREVIATIONS[token] || token)
+    .filter(token => !STOPWORDS.has(token) && !/^\d+$/.test(token));
+}
+
+function normalizeVector(vector) {
+  const length = Math.sqrt([...vector.values()].reduce((sum, value) => sum + value * value, 0));
+  if (!length) return vector;
+  return new Map([...vector].map(([key, value]) => [key, value / length]));
+}
+
+function cosine(a, b) {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let dot = 0;
+  small.forEach((value, key) => { dot += value * (large.get(key) || 0); });
+  return dot;
+}
+
+// TF-IDF vectors keyed by stem, plus the most common spelling of each stem
+// for naming themes.
+function tfidfVectors(texts) {
+  const tokenLists = texts.map(text => tokenize(text));
+  const documentFrequency = new Map();
+  const spellings = new Map();
+  tokenLists.forEach(tokens => {
+    new Set(tokens.map(stem)).forEach(term => documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1));
+    tokens.forEach(token => {
+      const term = stem(token);
+      const counts = spellings.get(term) || new Map();
+      counts.set(token, (counts.get(token) || 0) + 1);
+      spellings.set(term, counts);
+    });
+  });
+  const vectors = tokenLists.map(tokens => {
+    const counts = new Map();
+    tokens.forEach(token => counts.set(stem(token), (counts.get(stem(token)) || 0) + 1));
+    return normalizeVector(new Map([...counts].map(([term, count]) => [
+      term,
+      count * (1 + Math.log(texts.length / documentFrequency.get(term)))
+    ])));
+  });
+  const spellingOf = term => [...(spellings.get(term) || new Map([[term, 1]]))].sort((a, b) => b[1] - a[1])[0][0];
+  return { vectors, spellingOf };
+}
+
+function readSetting(name) {
+  const value = process.env[`EMBEDDING_${name}`];
+  return value !== undefined && value !== '' ? value : undefined;
+}
+
+function resolveEmbeddingConfig() {
+  const provider = readSetting('PROVIDER') || 'tfidf';
+  return {
+    provider,
+    model: readSetting('MODEL') || (provider === 'mistral' ? 'mistral-embed' : undefined),
+    baseUrl: readSetting('BASE_URL'),
+    apiKey: readSetting('API_KEY') || (provider === 'mistral' ? process.env.MISTRAL_API_KEY : undefined),
+    timeoutMs: Number(readSetting('TIMEOUT_MS') || 30000)
+  };
+}
+
+// Any OpenAI-style `/embeddings` endpoint (Mistral, llama.cpp, Ollama, ...).
+async function fetchEmbeddings(texts, config) {
+  const url = config.baseUrl ? `${config.baseUrl.replace(/\/$/, '')}/embeddings` : MISTRAL_EMBEDDINGS_URL;
+  if (config.provider !== 'mistral' && !config.baseUrl) {
+    throw new Error(`${config.provider} embedding provider requires an EMBEDDING_BASE_URL`);
+  }
+  const headers = { 'Content-Type': 'application/json' };
+  if (config.apiKey) headers.Authorization = `Bearer ${config.apiKey}`;
+
+  const response = await axios.post(url, { model: config.model, input: texts }, { headers, timeout: config.timeoutMs });
+  const data = response.data?.data;
+  if (!Array.isArray(data) || data.length !== texts.length) {
+    throw new Error(`Embedding provider at ${url} returned ${Array.isArray(data) ? data.length : 'no'} vectors for ${texts.length} texts`);
+  }
+  return [...data]
+    .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+    .map(item => normalizeVector(new Map(item.embedding.map((value, index) => [index, value]))));
+}
+
+// Embedding vectors from the configured provider; anything other than
+// `tfidf` that fails falls back to TF-IDF so the report still has themes.
+async function embedReasons(texts, { redactor } = {}) {
+  const config = resolveEmbeddingConfig();
+  if (config.provider !== 'tfidf' && texts.length) {
+    try {
+      const input = redactor ? texts.map(text => redactor.redactText(text)) : texts;
+      return { method: 'embeddings', provider: config.provider, vectors: await fetchEmbeddings(input, config) };
+    } catch (error) {
+      console.error('Embedding request failed, using TF-IDF instead:', error.message);
+      return { method: 'tfidf', provider: config.provider, fallback: true, vectors: tfidfVectors(texts).vectors };
+    }
+  }
+  return { method: 'tfidf', provider: 'tfidf', vectors: tfidfVectors(texts).vectors };
+}
+
+function clusterThreshold(method) {
+  const configured = Number(process.env.REASON_CLUSTER_THRESHOLD);
+  return configured > 0 && configured < 1 ? configured : DEFAULT_THRESHOLDS[method];
+}
+
+function addInto(sum, vector, weight) {
+  vector.forEach((value, key) => sum.set(key, (sum.get(key) || 0) + value * weight));
+}
+
+// Single pass, most frequent reasons first: each reason joins the theme whose
+// centroid it is closest to, or starts a new one.
+function groupReasons(reasons, vectors, threshold) {
+  const groups = [];
+  reasons.forEach((reason, index) => {
+    const vector = vectors[index];
+    let best = null;
+    let bestSimilarity = threshold;
+    groups.forEach(group => {
+      const similarity = cosine(vector, normalizeVector(group.sum));
+      if (similarity >= bestSimilarity) {
+        best = group;
+        bestSimilarity = similarity;
+      }
+    });
+    if (!best) {
+      best = { members: [], sum: new Map() };
+      groups.push(best);
+    }
+    best.members.push(reason);
+    addInto(best.sum, vector, reason.count);
+  });
+  return groups;
+}
+
+// Names a theme after the terms that weigh most across its reasons.
+function nameTheme(members, tfidf) {
+  const weights = new Map();
+  members.forEach(member => addInto(weights, tfidf.vectors[member.index], member.count));
+  const keywords = [...weights]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 3)
+    .filter(([, weight], position, ranked) => position === 0 || weight >= ranked[0][1] * 0.5)
+    .map(([term]) => tfidf.spellingOf(term));
+  const name = keywords.join(' ');
+  return { theme: name ? name.charAt(0).toUpperCase() + name.slice(1) : members[0].text, keywords };
+}
+
+// Every taxonomy category the theme's reasons fall under, largest first,
+// with the reasons counted and a few examples for each.
+function themeCategories(members, categoriesOf) {
+  const byCategory = new Map();
+  members.forEach(member => categoriesOf(member.text).forEach(category => {
+    const entry = byCategory.get(category) || { category, label: getCategoryLabel(category), count: 0, examples: [] };
+    entry.count += member.count;
+    if (entry.examples.length < EXAMPLES_PER_THEME) entry.examples.push(member.text);
+    byCategory.set(category, entry);
+  }));
+  return [...byCategory.values()].sort((a, b) => b.count - a.count);
+}
+
+// Groups free-text rejection reasons into themes. Identical reasons (ignoring
+// case and spacing) are merged first; each theme has a name, keywords, the
+// taxonomy categories its reasons fall under (`categoriesOf`, keyword
+// classification by default), a count and its most frequent reasons. Reasons
+// beyond the MAX_DISTINCT_REASONS most frequent are not clustered but counted
+// in a final "Other reasons" theme.
+async function clusterReasons(reasonTexts, { redactor, categoriesOf = classifyReason } = {}) {
+  const distinct = new Map();
+  let withoutReason = 0;
+  reasonTexts.forEach(text => {
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!trimmed) {
+      withoutReason += 1;
+      return;
+    }
+    const key = trimmed.toLowerCase().replace(/\s+/g, ' ');
+    const entry = distinct.get(key) || { text: trimmed, count: 0 };
+    entry.count += 1;
+    distinct.set(key, entry);
+  });
+
+  const sorted = [...distinct.values()].sort((a, b) => b.count - a.count);
+  const reasons = sorted
+    .slice(0, MAX_DISTINCT_REASONS)
+    .map((reason, index) => ({ ...reason, index }));
+  const tail = sorted.slice(MAX_DISTINCT_REASONS);
+  const texts = reasons.map(reason => reason.text);
+  const embedding = await embedReasons(texts, { redactor });
+  const tfidf = tfidfVectors(texts);
+  const threshold = clusterThreshold(embedding.method);
+  const withReason = reasonTexts.length - withoutReason;
+
+  const describe = (members, naming) => {
+    const count = members.reduce((sum, member) => sum + member.count, 0);
+    const categories = themeCategories(members, categoriesOf);
+    return {
+      ...naming,
+      category: categories[0]?.category || null,
+      categoryLabel: categories[0]?.label || null,
+      categories,
+      count,
+      percentage: withReason ? ((count / withReason) * 100).toFixed(1) : '0.0',
+      distinctReasons: members.length,
+      examples: members.slice(0, EXAMPLES_PER_THEME).map(member => member.text)
+    };
+  };
+
+  const themes = groupReasons(reasons, embedding.vectors, threshold)
+    .map(group => describe(group.members, nameTheme(group.members, tfidf)))
+    .sort((a, b) => b.count - a.count);
+  if (tail.length) {
+    themes.push({ ...describe(tail, { theme: 'Other reasons', keywords: [] }), unclustered: true });
+  }
+
+  return {
+    method: embedding.method,
+    provider: embedding.provider,
+    fallback: Boolean(embedding.fallback),
+    threshold,
+    withoutReason,
+    themes
+  };
+}
+
+// Prompt lines for the most common themes.
+function describeThemes(themes, limit = 5) {
+  return themes.filter(theme => !theme.unclustered).slice(0, limit)
+    .map(theme => `${theme.theme}: ${theme.count} candidates (${theme.percentage}%), e.g. ${theme.examples.map(example => `"${example}"`).join('; ')}`)
+    .join('\n');
+}
+
+module.exports = {
+  tokenize,
+  tfidfVectors,
+  clusterReasons,
+  describeThemes
+};
@@ -0,0 +1,260 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { FUNNEL_STAGES, buildCandidateTimelines, stateAt } = require('./funnel');
+const { findContests, parsePortfolioFilters } = require('./portfolio');
+const { extractRejectionReason, classifyReason, getCategoryLabel } = require('./rejection-taxonomy');
+const { ROLES, scopeContestFilters } = require('./auth');
+const { resolveContestDuplicates } = require('./candidate-duplicates');
+
+const router = express.Router();
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Leaderboard weights; each metric is scaled to 0..1 before weighting.
+const DEFAULT_WEIGHTS = {
+  shortlistRate: 0.25,
+  interviewRate: 0.25,
+  offerRate: 0.3,
+  uniqueSubmissionRate: 0.1,
+  speed: 0.1
+};
+
+function ratio(part, whole) {
+  return whole > 0 ? Number(((part / whole) * 100).toFixed(1)) : 0;
+}
+
+function parseWeights(value) {
+  if (!value) return DEFAULT_WEIGHTS;
+  const weights = {};
+  String(value).split(',').forEach(pair => {
+    const [name, raw] = pair.split(':').map(part => part.trim());
+    const weight = Number(raw);
+    if (!Object.prototype.hasOwnProperty.call(DEFAULT_WEIGHTS, name) || !Number.isFinite(weight) || weight < 0) {
+      const error = new Error(`Invalid weight "${pair}". Use name:value with names ${Object.keys(DEFAULT_WEIGHTS).join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+    weights[name] = weight;
+  });
+  return weights;
+}
+
+function submissionTime(recruiterDoc) {
+  if (recruiterDoc.createdAt) return new Date(recruiterDoc.createdAt);
+  return recruiterDoc._id instanceof ObjectId ? recruiterDoc._id.getTimestamp() : null;
+}
+
+async function loadRecruiterNames(recruiterIds) {
+  const ids = recruiterIds
+    .filter(id => id && ObjectId.isValid(id))
+    .map(id => new ObjectId(id));
+  const profiles = await getDb().collection('recruiterProfile')
+    .find({ _id: { $in: ids } }, { projection: { 'basic_details.firstName': 1, 'basic_details.lastName': 1 } })
+    .toArray();
+  return new Map(profiles.map(profile => [
+    String(profile._id),
+    `${profile.basic_details?.firstName || ''} ${profile.basic_details?.lastName || ''}`.trim() || 'Unknown Recruiter'
+  ]));
+}
+
+function emptyScorecard(recruiterId) {
+  return {
+    recruiterId,
+    contests: new Set(),
+    submitted: 0,
+    reached: Object.fromEntries(FUNNEL_STAGES.map(stage => [stage, 0])),
+    rejected: 0,
+    rejectionMix: {},
+    duplicates: 0,
+    firstSubmissionHours: []
+  };
+}
+
+async function collectContestStats(contestId, scorecards) {
+  const db = getDb();
+  const objectIdContestId = new ObjectId(contestId);
+  const [recruiterDocs, firstEvent] = await Promise.all([
+    db.collection('recruiterAddProfiles').find({ contestId: objectIdContestId }).toArray(),
+    db.collection('contestLifeCycle').find({ contestId: objectIdContestId }).sort({ createdDate: 1 }).limit(1).next()
+  ]);
+  const contestStart = firstEvent?.createdDate ? new Date(firstEvent.createdDate) : null;
+
+  // The recruiter who submitted a candidate first owns them and is credited
+  // with the furthest stage any copy reached; later copies are duplicates.
+  const duplicates = resolveContestDuplicates(recruiterDocs);
+  const timelineOf = new Map(buildCandidateTimelines(recruiterDocs).map(timeline => [timeline.jobseeker, timeline]));
+
+  recruiterDocs.forEach(doc => {
+    const key = doc.recruiterId ? String(doc.recruiterId) : 'unknown';
+    if (!scorecards.has(key)) scorecards.set(key, emptyScorecard(key));
+    const card = scorecards.get(key);
+    card.contests.add(contestId);
+
+    const submittedAt = submissionTime(doc);
+    if (contestStart && submittedAt && submittedAt >= contestStart) {
+      card.firstSubmissionHours.push((submittedAt - contestStart) / HOUR_MS);
+    }
+
+    (doc.jobseekerDetails || []).forEach(jobseeker => {
+      if (duplicates.repeats.has(jobseeker)) {
+        card.duplicates += 1;
+        return;
+      }
+      const timeline = timelineOf.get(duplicates.leadOf(jobseeker));
+      const state = stateAt(timeline);
+      card.submitted += 1;
+      FUNNEL_STAGES.forEach((stage, index) => {
+        if (state.furthest >= index) card.reached[stage] += 1;
+      });
+      if (state.rejected) {
+        card.rejected += 1;
+        classifyReason(extractRejectionReason(timeline.jobseeker, doc)).forEach(category => {
+          card.rejectionMix[category] = (card.rejectionMix[category] || 0) + 1;
+        });
+      }
+    });
+  });
+}
+
+function finalizeScorecard(card, names) {
+  const passThrough = FUNNEL_STAGES.slice(1).map((stage, index) => ({
+    from: FUNNEL_STAGES[index],
+    to: stage,
+    rate: ratio(card.reached[stage], card.reached[FUNNEL_STAGES[index]])
+  }));
+  const hours = card.firstSubmissionHours;
+
+  return {
+    recruiterId: card.recruiterId,
+    recruiterName: names.get(card.recruiterId) || 'Unknown Recruiter',
+    contests: card.contests.size,
+    profilesSubmitted: card.submitted,
+    shortlistRate: ratio(card.reached.shortlisted, card.submitted),
+    interviewRate: ratio(card.reached.l1, card.submitted),
+    offerRate: ratio(card.reached.offersent, card.submitted),
+    rejectionRate: ratio(card.rejected, card.submitted),
+    passThrough,
+    rejectionMix: Object.entries(card.rejectionMix)
+      .map(([category, count]) => ({ category, label: getCategoryLabel(category), count, percentage: ratio(count, card.rejected) }))
+      .sort((a, b) => b.count - a.count),
+    duplicateSubmissionRate: ratio(card.duplicates, card.submitted + card.duplicates),
+    avgHoursToFirstSubmission: hours.length
+      ? Number((hours.reduce((sum, value) => sum + value, 0) / hours.length).toFixed(1))
+      : null
+  };
+}
+
+function rankScorecards(scorecards, weights, minSubmissions) {
+  const eligible = scorecards.filter(card => card.profilesSubmitted >= minSubmissions);
+  const knownHours = eligible
+    .map(card => card.avgHoursToFirstSubmission)
+    .filter(hours => hours !== null);
+  const fastest = Math.min(...knownHours);
+  const slowest = Math.max(...knownHours);
+  const totalWeight = Object.values(weights).reduce((sum, value) => sum + value, 0) || 1;
+
+  return eligible
+    .map(card => {
+      const metrics = {
+        shortlistRate: card.shortlistRate / 100,
+        interviewRate: card.interviewRate / 100,
+        offerRate: card.offerRate / 100,
+        uniqueSubmissionRate: 1 - card.duplicateSubmissionRate / 100,
+        speed: card.avgHoursToFirstSubmission === null
+          ? 0
+          : slowest === fastest ? 1 : (slowest - card.avgHoursToFirstSubmission) / (slowest - fastest)
+      };
+      const score = Object.entries(weights)
+        .reduce((sum, [name, weight]) => sum + weight * metrics[name], 0) / totalWeight;
+      return { ...card, score: Number((score * 100).toFixed(1)) };
+    })
+    .sort((a, b) => b.score - a.score || b.profilesSubmitted - a.profilesSubmitted)
+    .map((card, index) => ({ rank: index + 1, ...card }));
+}
+
+async function buildRecruiterScorecards(filters, { weights = DEFAULT_WEIGHTS, minSubmissions = 1, recruiterId } = {}) {
+  const contests = await findContests(filters);
+  const scorecards = new Map();
+  for (const contest of contests) {
+    await collectContestStats(String(contest._id), scorecards);
+  }
+
+  const names = await loadRecruiterNames([...scorecards.keys()]);
+  let cards = [...scorecards.values()].map(card => finalizeScorecard(card, names));
+  const leaderboard = rankScorecards(cards, weights, minSubmissions);
+  if (recruiterId) {
+    cards = cards.filter(card => card.recruiterId === recruiterId);
+  }
+
+  return {
+    contestCount: contests.length,
+    weights,
+    minSubmissions,
+    scorecards: cards,
+    leaderboard: recruiterId
+      ? leaderboard.filter(card => card.recruiterId === recruiterId)
+      : leaderboard
+  };
+}
+
+function parseScorecardOptions(query) {
+  const minSubmissions = query.minSubmissions !== undefined ? Number(query.minSubmissions) : 1;
+  if (!Number.isInteger(minSubmissions) || minSubmissions < 0) {
+    const error = new Error('minSubmissions must be a non-negative integer');
+    error.statusCode = 400;
+    throw error;
+  }
+  return { weights: parseWeights(query.weights), minSubmissions };
+}
+
+router.get('/recruiters/scorecards', async (req, res) => {
+  try {
+    const filters = await scopeContestFilters(req.user, parsePortfolioFilters(req.query));
+    const options = parseScorecardOptions(req.query);
+    if (req.user.role === ROLES.RECRUITER) {
+      if (!req.user.recruiterId) {
+        return res.status(403).json({ error: 'Recruiter credentials do not carry a recruiterId.' });
+      }
+      options.recruiterId = req.user.recruiterId;
+    }
+    res.status(200).json(await buildRecruiterScorecards(filters, options));
+  } catch (error) {
+    console.error('Error building recruiter scorecards:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+router.get('/recruiters/:recruiterId/scorecard', async (req, res) => {
+  if (req.user.role === ROLES.RECRUITER && req.params.recruiterId !== req.user.recruiterId) {
+    return res.status(403).json({ error: 'Recruiters can only view their own scorecard.' });
+  }
+  try {
+    const filters = await scopeContestFilters(req.user, parsePortfolioFilters(req.query));
+    const options = parseScorecardOptions(req.query);
+    const result = await buildRecruiterScorecards(filters, { ...options, recruiterId: req.params.recruiterId });
+    if (!result.scorecards.length) {
+      return res.status(404).json({ error: 'No submissions found for this recruiter.' });
+    }
+    res.status(200).json({
+      contestCount: result.contestCount,
+      weights: result.weights,
+      scorecard: result.scorecards[0],
+      leaderboardPosition: result.leaderboard[0] || null
+    });
+  } catch (error) {
+    console.error('Error building recruiter scorecard:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  DEFAULT_WEIGHTS,
+  buildRecruiterScorecards,
+  rankScorecards,
+  endpoints: {
+    leaderboard: 'GET /recruiters/scorecards?weights=offerRate:0.5,shortlistRate:0.5&minSubmissions=&from=&to=&contestIds=',
+    scorecard: 'GET /recruiters/:recruiterId/scorecard'
+  }
+};
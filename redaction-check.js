@@ -0,0 +1,55 @@
+// Local check of the PII redactor used for LLM prompts:
+//
+//   node redaction-check.js
+//
+// Runs sample texts through createRedactor and compares the result with the
+// expected output. Exits non-zero when a case does not match.
+const { createRedactor } = require('./redaction');
+
+const CASES = [
+  {
+    name: 'phone number ending a sentence',
+    text: 'Call 9876543210.',
+    expected: 'Call [PHONE_1].'
+  },
+  {
+    name: 'formatted phone number',
+    text: 'Reach me on +91 98765-43210 after lunch.',
+    expected: 'Reach me on [PHONE_1] after lunch.'
+  },
+  {
+    name: 'date and time are kept',
+    text: 'Interview on 2024-01-15 10:30 and 15/01/2024 14:00.',
+    expected: 'Interview on 2024-01-15 10:30 and 15/01/2024 14:00.'
+  },
+  {
+    name: 'email address',
+    text: 'Mail priya.sharma@example.com for details.',
+    expected: 'Mail [EMAIL_1] for details.'
+  },
+  {
+    name: 'placeholder and role names are not registered',
+    names: [['Unknown Recruiter', 'RECRUITER'], ['Contest Admin', 'USER']],
+    text: 'Return {"recruiter-performance": "..."} for the contest.',
+    expected: 'Return {"recruiter-performance": "..."} for the contest.'
+  },
+  {
+    name: 'real names are still masked',
+    names: [['Priya Sharma', 'RECRUITER'], ['Unknown Recruiter', 'RECRUITER']],
+    text: 'Recruiter Priya Sharma closed 3 offers; Priya also screened 12.',
+    expected: 'Recruiter [RECRUITER_1] closed 3 offers; [RECRUITER_1] also screened 12.'
+  }
+];
+
+let failures = 0;
+CASES.forEach(({ name, names = [], text, expected }) => {
+  const redactor = createRedactor();
+  names.forEach(([fullName, kind]) => redactor.registerName(fullName, kind));
+  const actual = redactor.redactText(text);
+  const ok = actual === expected;
+  if (!ok) failures += 1;
+  console.log(`${ok ? 'ok  ' : 'FAIL'} ${name}${ok ? '' : `\n     expected: ${expected}\n     actual:   ${actual}`}`);
+});
+
+console.log(`${CASES.length - failures}/${CASES.length} cases passed`);
+if (failures) process.exitCode = 1;
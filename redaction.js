@@ -0,0 +1,141 @@
+// Masks personal data before it reaches the LLM, the logs or the debug
+// routes. Each redactor keeps its own token map so a report can be
+// restored to real names once the model has answered.
+
+const PII_KEYS = new Set([
+  'firstname', 'lastname', 'middlename', 'fullname', 'name', 'username', 'recruitername', 'candidatename',
+  'email', 'emailid', 'phone', 'mobile', 'phonenumber', 'mobilenumber', 'contactnumber', 'alternatenumber',
+  'address', 'currentaddress', 'permanentaddress', 'dob', 'dateofbirth',
+  'linkedin', 'linkedinurl', 'resume', 'resumeurl', 'resumelink', 'pannumber', 'pan', 'aadhaar', 'aadhaarnumber'
+]);
+
+const DATE_PATTERN = /\d{4}[-/.]\d{1,2}[-/.]\d{1,2}|\d{1,2}[-/.]\d{1,2}[-/.]\d{4}/;
+
+// Words that appear in placeholder names ("Unknown Recruiter") and role
+// names ("Contest Admin"). They are never masked on their own, and a name
+// made only of them is not registered, so prompt instructions stay intact.
+const GENERIC_NAME_WORDS = new Set([
+  'unknown', 'recruiter', 'candidate', 'contest', 'admin', 'administrator', 'user', 'employer', 'client',
+  'system', 'team', 'manager', 'hiring', 'support', 'account', 'test', 'demo', 'guest', 'not', 'available'
+]);
+
+const PATTERNS = [
+  { kind: 'EMAIL', regex: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi },
+  { kind: 'URL', regex: /\bhttps?:\/\/[^\s"'<>]*[^\s"'<>.,;)]/gi },
+  { kind: 'ID', regex: /\b[A-Z]{5}\d{4}[A-Z]\b/g },
+  {
+    // A number may end a sentence, but not run into a time ("10:30") or a
+    // decimal; dates such as 2024-01-15 are not phone numbers.
+    kind: 'PHONE',
+    regex: /(?<![\w.])\+?\d[\d\s().-]{8,16}\d(?![\w:]|\.\d)/g,
+    accept: match => {
+      const digits = match.replace(/\D/g, '').length;
+      return digits >= 10 && digits <= 13 && !DATE_PATTERN.test(match);
+    }
+  },
+  { kind: 'PERSON', regex: /\b(?:Mr|Mrs|Ms|Miss|Dr)\.?\s+[A-Z][a-z]+(?:\s+[A-Z][a-z]+)?/g }
+];
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function createRedactor() {
+  const tokensByValue = new Map();
+  const valuesByToken = new Map();
+  const counters = {};
+  const names = new Map();
+
+  function tokenFor(value, kind) {
+    const key = `${kind}:${value.toLowerCase()}`;
+    if (tokensByValue.has(key)) return tokensByValue.get(key);
+    counters[kind] = (counters[kind] || 0) + 1;
+    const token = `[${kind}_${counters[kind]}]`;
+    tokensByValue.set(key, token);
+    valuesByToken.set(token, { value, kind });
+    return token;
+  }
+
+  // Known names (candidates, recruiters, lifecycle users) are masked
+  // wherever they appear, including first or last name on their own.
+  function registerName(fullName, kind = 'PERSON') {
+    const name = String(fullName || '').trim();
+    if (name.length < 3) return null;
+    const parts = name.split(/\s+/);
+    if (parts.every(part => GENERIC_NAME_WORDS.has(part.toLowerCase()) || !/\p{L}/u.test(part))) return null;
+    const token = tokenFor(name, kind);
+    names.set(name.toLowerCase(), token);
+    parts.filter(part => part.length >= 3 && !GENERIC_NAME_WORDS.has(part.toLowerCase())).forEach(part => {
+      if (!names.has(part.toLowerCase())) names.set(part.toLowerCase(), token);
+    });
+    return token;
+  }
+
+  function redactText(text) {
+    if (typeof text !== 'string' || !text) return text;
+    let result = text;
+    PATTERNS.forEach(({ kind, regex, accept }) => {
+      result = result.replace(regex, match => (!accept || accept(match) ? tokenFor(match, kind) : match));
+    });
+    [...names.keys()]
+      .sort((a, b) => b.length - a.length)
+      .forEach(name => {
+        result = result.replace(new RegExp(`\\b${escapeRegex(name)}\\b`, 'gi'), names.get(name));
+      });
+    return result;
+  }
+
+  function redactValue(value, key = '') {
+    if (value === null || value === undefined) return value;
+    if (Array.isArray(value)) return value.map(item => redactValue(item));
+    if (value instanceof Date) return value;
+    if (typeof value === 'object') {
+      if (value._bsontype) return value;
+      // Redact identifying fields first so the names they register are
+      // also masked in free-text siblings such as remarks.
+      const entries = Object.entries(value);
+      const redacted = new Map();
+      entries
+        .filter(([k]) => PII_KEYS.has(k.toLowerCase()))
+        .forEach(([k, v]) => redacted.set(k, redactValue(v, k)));
+      entries
+        .filter(([k]) => !redacted.has(k))
+        .forEach(([k, v]) => redacted.set(k, redactValue(v, k)));
+      return Object.fromEntries(entries.map(([k]) => [k, redacted.get(k)]));
+    }
+    if (PII_KEYS.has(key.toLowerCase()) && (typeof value === 'string' || typeof value === 'number')) {
+      const kind = /mail/i.test(key) ? 'EMAIL' : /phone|mobile|number/i.test(key) ? 'PHONE' : /name/i.test(key) ? 'PERSON' : 'PII';
+      return kind === 'PERSON' ? registerName(String(value)) || tokenFor(String(value), kind) : tokenFor(String(value), kind);
+    }
+    return typeof value === 'string' ? redactText(value) : value;
+  }
+
+  function restore(value) {
+    if (typeof value === 'string') {
+      return value.replace(/\[[A-Z]+_\d+\]/g, token => valuesByToken.get(token)?.value ?? token);
+    }
+    if (Array.isArray(value)) return value.map(restore);
+    if (value && typeof value === 'object' && !(value instanceof Date)) {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, restore(v)]));
+    }
+    return value;
+  }
+
+  function summary() {
+    return {
+      counts: { ...counters },
+      tokens: [...valuesByToken.entries()].map(([token, { kind }]) => ({ token, kind }))
+    };
+  }
+
+  return { registerName, redactText, redactValue, restore, summary };
+}
+
+function redactForLog(value) {
+  return createRedactor().redactValue(value);
+}
+
+module.exports = {
+  createRedactor,
+  redactForLog
+};
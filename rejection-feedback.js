@@ -1,42 +1,88 @@
 const express = require('express');
-const { MongoClient, ObjectId } = require('mongodb');
-const dotenv = require('dotenv');
-const axios = require('axios');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { registerTemplate } = require('./llm-provider');
+const { generateValidatedReport, AI_ANALYSIS_STATUS } = require('./ai-report');
+const { summarizeRejections } = require('./rejection-taxonomy');
+const { clusterReasons, describeThemes } = require('./reason-clustering');
+const { getRejectedCandidates, LLM_CLASSIFICATION_DEFAULT } = require('./rejectionStats');
+const { getOrGenerateReport, wantsRefresh } = require('./report-cache');
+const { analyzeContestScores, describeScoreAnalytics } = require('./score-analytics');
+const { ROLES, requireRole, authorizeContest } = require('./auth');
+const { createRedactor, redactForLog } = require('./redaction');
+const { normalizeStatus, statusMatchExpression, getStatusReport } = require('./status-normalization');
+const { DEFAULT_LANGUAGE, resolveLanguage, getLanguage, languageInstruction, localize } = require('./localization');
+const translations = require('./report-translations');
+const { selectPromptVersion, renderPrompt } = require('./prompt-templates');
 
-dotenv.config();
+const router = express.Router();
 
-const app = express();
-app.use(express.json());
-
-const PORT = process.env.PORT || 3000;
-const MONGODB_URI = process.env.MONGODB_URI;
-const MISTRAL_API_KEY = process.env.MISTRAL_API_KEY;
-const API_URL = 'https://api.mistral.ai/v1/chat/completions';
-const DB_NAME = 'Marketplace-ifin';
+const REPORT_NAME = 'rejectionFeedbackObservation';
 const COLLECTION_NAME = 'recruiterAddProfiles';
 
-let db;
+const FALLBACK_ANALYSIS = {
+  "observation": "AI response could not be turned into a valid analysis in the expected format. The rejection data suggests systematic issues that need detailed analysis to understand root causes and develop comprehensive improvement strategies for the recruitment workflow.",
+  "recommendedAction": "Please retry the analysis or manually review the rejection data to implement targeted improvements in the recruitment process, focusing on systematic evaluation of rejection patterns and candidate feedback mechanisms."
+};
 
-async function connectToDatabase() {
-  try {
-    console.log('Connecting to MongoDB...');
-    const client = new MongoClient(MONGODB_URI);
-    await client.connect();
-    db = client.db(DB_NAME);
-    console.log('Connected to MongoDB successfully');
-  } catch (error) {
-    console.error('MongoDB connection error:', error.message);
-    process.exit(1);
-  }
+const NO_REJECTIONS_ANALYSIS = {
+  "observation": "No rejected candidates were found for this contest, indicating either successful candidate selection or insufficient data for analysis. This could suggest effective initial screening processes or a limited candidate pool that met all requirements.",
+  "recommendedAction": "Continue monitoring future contests for rejection patterns and maintain current screening standards while expanding candidate sourcing to increase applicant diversity and selection options."
+};
+
+const ERROR_ANALYSIS = {
+  "observation": "An error occurred during the rejection analysis process, preventing comprehensive insights generation. This may indicate data connectivity issues, database access problems, or service interruptions that need immediate technical attention to restore analytical capabilities.",
+  "recommendedAction": "Check system connectivity, verify database access permissions, ensure all required services are operational, and review error logs before retrying the rejection analysis process to maintain data-driven recruitment insights."
+};
+
+function renderRejectionTemplate({ totalRejected = 0, reasonAnalysis = [] }) {
+  const [top, ...others] = reasonAnalysis;
+  const followUps = others.slice(0, 2)
+    .map(item => `"${item.label}" at ${item.percentage}%`)
+    .join(' and ');
+  const concentration = top && Number(top.percentage) >= 50
+    ? 'heavily concentrated in a single cause, which points to a systemic gap between the brief shared with recruiters and the evaluation criteria applied by the panel'
+    : 'spread across several causes, which points to inconsistent pre-screening rather than one dominant mismatch between the brief and the evaluation criteria';
+
+  const observation = [
+    `This contest recorded ${totalRejected} rejected candidates across ${reasonAnalysis.length} rejection categories.`,
+    top ? `The leading category was "${top.label}", accounting for ${top.count} candidates or ${top.percentage}% of all rejections.` : '',
+    followUps ? `It was followed by ${followUps}.` : '',
+    `The rejection pattern is ${concentration}.`,
+    'Reducing the leading category would have the largest effect on overall hiring efficiency and time to fill for this role.'
+  ].filter(Boolean).join(' ');
+
+  const recommendedAction = [
+    top
+      ? `Address "${top.label}" first by adding an explicit screening checklist for it to the recruiter brief within the next week.`
+      : 'Capture a structured rejection reason for every candidate so future analysis is reliable.',
+    'Share this breakdown with participating recruiters, require a short pre-submission justification against the job requirements, and review the rejection mix again after the next thirty submissions to confirm improvement.'
+  ].join(' ');
+
+  return { observation, recommendedAction };
 }
 
-async function processRejectionFeedbackObservation(contestId) {
+registerTemplate(REPORT_NAME, renderRejectionTemplate);
+
+// Options that shape the report and therefore its cache entry. Throws a 400
+// error for an unknown language or prompt version.
+function rejectionFeedbackOptions(contestId, { useLlmClassification, language, promptVersion } = {}) {
+  return {
+    useLlmClassification: useLlmClassification ?? LLM_CLASSIFICATION_DEFAULT,
+    language: resolveLanguage(language),
+    promptVersion: selectPromptVersion(REPORT_NAME, { requested: promptVersion, seed: contestId })
+  };
+}
+
+async function processRejectionFeedbackObservation(contestId, options = {}) {
+  const language = options.language || DEFAULT_LANGUAGE;
   try {
+    const promptVersion = options.promptVersion || selectPromptVersion(REPORT_NAME, { seed: contestId });
     console.log('Searching for contestId:', contestId);
     
     const objectIdContestId = new ObjectId(contestId);
     
-    const contestCheck = await db.collection(COLLECTION_NAME)
+    const contestCheck = await getDb().collection(COLLECTION_NAME)
       .findOne({ contestId: objectIdContestId });
     
     if (!contestCheck) {
@@ -60,7 +106,7 @@ async function processRejectionFeedbackObservation(contestId) {
       }
     ];
     
-    const statusCounts = await db.collection(COLLECTION_NAME)
+    const statusCounts = await getDb().collection(COLLECTION_NAME)
       .aggregate(debugPipeline)
       .toArray();
     
@@ -69,30 +115,7 @@ async function processRejectionFeedbackObservation(contestId) {
       console.log(`   ${status._id}: ${status.count} candidates`);
     });
     
-    const pipeline = [
-      {
-        $match: { contestId: objectIdContestId }
-      },
-      {
-        $unwind: "$jobseekerDetails"
-      },
-      {
-        $match: {
-          "jobseekerDetails.empStatus": "Rejected"
-        }
-      },
-      {
-        $project: {
-          _id: 1,
-          contestId: 1,
-          "jobseekerDetails": 1
-        }
-      }
-    ];
-    
-    const rejectedProfiles = await db.collection(COLLECTION_NAME)
-      .aggregate(pipeline)
-      .toArray();
+    const rejectedProfiles = await getRejectedCandidates(contestId);
 
     console.log(`Found ${rejectedProfiles.length} rejected profiles`);
     
@@ -102,170 +125,109 @@ async function processRejectionFeedbackObservation(contestId) {
         contestId,
         message: 'No rejected candidates found for this contest',
         totalRejected: 0,
-        aiAnalysis: {
-          "observation": "No rejected candidates were found for this contest, indicating either successful candidate selection or insufficient data for analysis. This could suggest effective initial screening processes or a limited candidate pool that met all requirements.",
-          "recommendedAction": "Continue monitoring future contests for rejection patterns and maintain current screening standards while expanding candidate sourcing to increase applicant diversity and selection options."
-        }
+        language,
+        aiAnalysis: localize({ en: NO_REJECTIONS_ANALYSIS, ...translations.rejectionNoData }, language),
+        aiAnalysisStatus: AI_ANALYSIS_STATUS.FALLBACK
       };
     }
 
-    const reasonCounts = {};
     const totalRejected = rejectedProfiles.length;
     
     console.log('Analyzing rejection reasons for', totalRejected, 'profiles');
     
     if (rejectedProfiles.length > 0) {
-      console.log('Sample profile structure:', JSON.stringify(rejectedProfiles[0], null, 2));
+      console.log('Sample profile structure:', JSON.stringify(redactForLog(rejectedProfiles[0]), null, 2));
     }
     
-    const scores = rejectedProfiles.map(profile => profile.jobseekerDetails?.scores || null);
-    const scoresJson = JSON.stringify(scores);
-    
-    rejectedProfiles.forEach((profile, index) => {
-      let reason = 'Unknown';
-      
-      const possiblePaths = [
-        profile.jobseekerDetails?.remarks?.rejectedReason,
-        profile.jobseekerDetails?.rejectedReason,
-        profile.jobseekerDetails?.rejectionReason,
-        profile.jobseekerDetails?.remarks?.reason,
-        profile.jobseekerDetails?.reason,
-        profile.jobseekerDetails?.comments,
-        profile.jobseekerDetails?.feedback,
-        profile.rejectedReason,
-        profile.rejectionReason
-      ];
-      
-      for (const path of possiblePaths) {
-        if (path && path !== 'undefined' && path.trim() !== '') {
-          reason = path;
-          break;
-        }
-      }
-      
-      console.log(`Profile ${index + 1} - Found rejection reason:`, reason);
-      
-      reasonCounts[reason] = (reasonCounts[reason] || 0) + 1;
+    const redactor = createRedactor();
+    rejectedProfiles.forEach(profile => {
+      const { firstName, lastName } = profile.jobseekerDetails || {};
+      redactor.registerName(`${firstName || ''} ${lastName || ''}`, 'CANDIDATE');
     });
     
-    const reasonAnalysis = Object.entries(reasonCounts)
-      .map(([reason, count]) => ({
-        reason,
-        count,
-        percentage: ((count / totalRejected) * 100).toFixed(1)
-      }))
-      .sort((a, b) => b.count - a.count);
+    const scoreAnalytics = await analyzeContestScores(contestId);
+    const scoresText = redactor.redactText(describeScoreAnalytics(scoreAnalytics));
+    
+    const { categories, classified } = await summarizeRejections(rejectedProfiles, {
+      useLlm: options.useLlmClassification
+    });
+
+    // Similar free-text reasons ("lacks React experience", "React exp not
+    // enough") are grouped into themes within each category.
+    // A theme is listed under every category its reasons fall into, counted
+    // and illustrated with that category's reasons only.
+    const categoriesByReason = new Map(classified.map(item => [String(item.reason || '').trim(), item.categories]));
+    const clustering = await clusterReasons(classified.map(item => item.reason), {
+      redactor,
+      categoriesOf: reason => categoriesByReason.get(reason) || []
+    });
+    const reasonAnalysis = categories.map(category => ({
+      ...category,
+      themes: clustering.themes.flatMap(theme => {
+        const share = theme.categories.find(item => item.category === category.category);
+        if (!share) return [];
+        return [{
+          theme: theme.theme,
+          count: share.count,
+          percentage: category.count ? ((share.count / category.count) * 100).toFixed(1) : '0.0',
+          examples: share.examples
+        }];
+      })
+    }));
     
     const analysisData = {
       totalRejected,
       reasonAnalysis,
       topReasons: reasonAnalysis.slice(0, 5),
-      scores: scoresJson
+      themes: clustering.themes,
+      scores: scoresText
     };
 
     const { topReasons } = analysisData;
     
+    const themesText = describeThemes(clustering.themes);
     const reasonsText = topReasons
-      .map(item => `${item.reason}: ${item.count} candidates (${item.percentage}%)`)
-      .join('\n');
+      .map(item => `${item.label}: ${item.count} candidates (${item.percentage}%)`)
+      .join('\n') + (themesText ? `\n\nRECURRING THEMES IN THE WRITTEN REASONS:\n${themesText}` : '');
     
-    const prompt = `
-You are an expert HR analytics consultant. Analyze the following contest rejection data and provide comprehensive insights with actionable recommendations.
-
-CONTEST REJECTION ANALYSIS:
-Contest ID: ${contestId}
-Total Rejected Candidates: ${totalRejected}
-
-TOP REJECTION REASONS:
-${reasonsText}
-
-SCORES:
-${scoresJson}
-
-REQUIREMENTS:
-Provide analysis in this EXACT JSON format only, no additional text:
-
-{
-    "observation": "[Detailed analysis of rejection patterns with specific percentages, trends, and implications for the hiring process, Don't give the response in points  - MINIMUM 60-80 words]",
-    "recommendedAction": "[Comprehensive, actionable recommendations with specific steps, timelines, and implementation strategies, Don't give the response in points  - MINIMUM 40-50 words]"
-}
-
-OBSERVATION REQUIREMENTS (60-80 words minimum):
-- Include specific percentage breakdowns and statistical insights
-- Analyze patterns and trends in the rejection data
-- Reference score analysis if available
-- Discuss implications for recruitment strategy
-- Identify root causes and systemic issues
-- Compare against industry standards
-- Don't give the response in points 
-
-RECOMMENDED ACTION REQUIREMENTS (40-50 words minimum):
-- Provide specific, implementable steps
-- Suggest tools, technologies, or processes
-- Address both immediate fixes and long-term improvements
-- Don't give the response in points 
-
-Focus on:
-1. Most significant rejection reasons and their impact on hiring efficiency
-2. Score patterns and correlation with rejection outcomes
-3. Skills, experience, qualification, and communication mismatches
-4. Systematic improvements to reduce future rejections
-
-Keep analysis data-driven and actionable. Each recommendation should be specific and implementable.
-Return ONLY the JSON object, no other text.
-`;
-
-    const response = await axios.post(API_URL, {
-      model: 'mistral-small',
-      messages: [{
-        role: 'user',
-        content: prompt
-      }],
-      max_tokens: 800,
-      temperature: 0.4
-    }, {
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${MISTRAL_API_KEY}`
-      }
+    const { prompt, promptInput } = renderPrompt(REPORT_NAME, promptVersion, {
+      contestId,
+      totalRejected,
+      reasonsText,
+      scoresText,
+      languageInstruction: languageInstruction(language)
     });
 
-    const aiResponse = response.data.choices[0].message.content.trim();
-    
-    let mistralAnalysis;
-    
-    try {
-      mistralAnalysis = JSON.parse(aiResponse);
-    } catch (parseError) {
-      console.error('Error parsing AI response as JSON:', parseError);
-      console.log('Raw AI response:', aiResponse);
-      
-      const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-      if (jsonMatch) {
-        try {
-          mistralAnalysis = JSON.parse(jsonMatch[0]);
-        } catch (secondParseError) {
-          console.error('Second JSON parse attempt failed:', secondParseError);
-          mistralAnalysis = {
-            "observation": "Unable to parse AI analysis response due to formatting issues. The rejection analysis shows patterns that require manual review to identify specific improvement areas and understand the underlying causes affecting candidate selection processes.",
-            "recommendedAction": "Please retry the analysis or manually review the rejection data to implement targeted improvements in the recruitment process, focusing on systematic evaluation of rejection patterns and candidate feedback mechanisms."
-          };
-        }
-      } else {
-        mistralAnalysis = {
-          "observation": "AI response could not be parsed into the expected JSON format. The rejection data suggests systematic issues that need detailed analysis to understand root causes and develop comprehensive improvement strategies for the recruitment workflow.",
-          "recommendedAction": "Contact technical support to resolve AI parsing issues and manually analyze rejection patterns to implement immediate process improvements while ensuring data integrity and analysis accuracy."
-        };
-      }
-    }
+    const generation = await generateValidatedReport(REPORT_NAME, {
+      prompt,
+      promptInput,
+      data: { ...analysisData, language },
+      fallback: localize({ en: FALLBACK_ANALYSIS, ...translations.rejectionFallback }, language),
+      redactor,
+      contestId,
+      wordScale: getLanguage(language).wordScale
+    });
 
     // Return comprehensive result
     return {
       success: true,
       contestId,
       totalRejected: analysisData.totalRejected,
+      language,
       rejectionBreakdown: analysisData.reasonAnalysis,
-      aiAnalysis: mistralAnalysis,
+      rejectionThemes: clustering.themes,
+      themeClustering: {
+        method: clustering.method,
+        provider: clustering.provider,
+        fallback: clustering.fallback,
+        threshold: clustering.threshold,
+        withoutReason: clustering.withoutReason
+      },
+      aiAnalysis: generation.analysis,
+      aiAnalysisStatus: generation.status,
+      aiValidation: { attempts: generation.attempts, errors: generation.errors },
+      aiProvider: { provider: generation.provider, model: generation.model },
+      promptVersion: generation.promptVersion,
       generatedAt: new Date().toISOString()
     };
 
@@ -276,17 +238,16 @@ Return ONLY the JSON object, no other text.
       success: false,
       error: 'Failed to generate rejection feedback observation',
       details: error.message,
-      aiAnalysis: {
-        "observation": "An error occurred during the rejection analysis process, preventing comprehensive insights generation. This may indicate data connectivity issues, database access problems, or service interruptions that need immediate technical attention to restore analytical capabilities.",
-        "recommendedAction": "Check system connectivity, verify database access permissions, ensure all required services are operational, and review error logs before retrying the rejection analysis process to maintain data-driven recruitment insights."
-      }
+      language,
+      aiAnalysis: localize({ en: ERROR_ANALYSIS, ...translations.rejectionError }, language),
+      aiAnalysisStatus: AI_ANALYSIS_STATUS.FALLBACK
     };
   }
 }
 
-app.post('/rejectionFeedbackObservation', async (req, res) => {
+router.post('/rejectionFeedbackObservation', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), authorizeContest, async (req, res) => {
   try {
-    const { contestId } = req.body;
+    const { contestId, useLlmClassification } = req.body;
     
     if (!contestId) {
       return res.status(400).json({
@@ -295,7 +256,8 @@ app.post('/rejectionFeedbackObservation', async (req, res) => {
         aiAnalysis: {
           "observation": "Contest ID parameter is missing from the request, which is essential for performing rejection analysis and accessing candidate data. This prevents the system from retrieving specific contest information and generating meaningful feedback insights.",
           "recommendedAction": "Ensure the request includes a valid contestId parameter and verify the request format matches the API specification. Implement proper input validation to prevent similar issues in future requests."
-        }
+        },
+        aiAnalysisStatus: AI_ANALYSIS_STATUS.FALLBACK
       });
     }
 
@@ -306,11 +268,29 @@ app.post('/rejectionFeedbackObservation', async (req, res) => {
         aiAnalysis: {
           "observation": "The provided Contest ID does not match the expected MongoDB ObjectId format, indicating potential data entry errors or system integration issues that prevent proper data retrieval and analysis processing.",
           "recommendedAction": "Validate the Contest ID format using MongoDB ObjectId standards and ensure proper data validation is implemented at the input level to prevent similar formatting issues and maintain data integrity."
-        }
+        },
+        aiAnalysisStatus: AI_ANALYSIS_STATUS.FALLBACK
       });
     }
 
-    const result = await processRejectionFeedbackObservation(contestId);
+    let options;
+    try {
+      options = rejectionFeedbackOptions(contestId, {
+        useLlmClassification,
+        language: req.body.language ?? req.query.language,
+        promptVersion: req.body.promptVersion ?? req.query.promptVersion
+      });
+    } catch (error) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+
+    const result = await getOrGenerateReport({
+      report: REPORT_NAME,
+      contestId,
+      options,
+      refresh: wantsRefresh(req),
+      generate: () => processRejectionFeedbackObservation(contestId, options)
+    });
     res.json(result);
     
   } catch (error) {
@@ -322,12 +302,13 @@ app.post('/rejectionFeedbackObservation', async (req, res) => {
       aiAnalysis: {
         "observation": "A critical system error occurred during the rejection feedback observation process, indicating potential infrastructure issues, service connectivity problems, or resource limitations that require immediate technical intervention to restore functionality.",
         "recommendedAction": "Contact system administrators to investigate server status, check database connectivity, verify all dependent services are operational, and review system logs before attempting to retry the analysis process."
-      }
+      },
+      aiAnalysisStatus: AI_ANALYSIS_STATUS.FALLBACK
     });
   }
 });
 
-app.get('/debug-contest-check/:contestId', async (req, res) => {
+router.get('/debug-contest-check/:contestId', requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const { contestId } = req.params;
     
@@ -337,7 +318,7 @@ app.get('/debug-contest-check/:contestId', async (req, res) => {
     
     const objectIdContestId = new ObjectId(contestId);
     
-    const contest = await db.collection(COLLECTION_NAME)
+    const contest = await getDb().collection(COLLECTION_NAME)
       .findOne({ contestId: objectIdContestId });
     
     if (!contest) {
@@ -360,15 +341,23 @@ app.get('/debug-contest-check/:contestId', async (req, res) => {
       }
     ];
     
-    const statuses = await db.collection(COLLECTION_NAME)
+    const statuses = await getDb().collection(COLLECTION_NAME)
       .aggregate(statusPipeline)
       .toArray();
     
+    const redactor = createRedactor();
+    const statusReport = await getStatusReport(contestId);
+    
     res.json({
       found: true,
       contestId,
       totalCandidates: contest.jobseekerDetails?.length || 0,
-      empStatusBreakdown: statuses,
+      empStatusBreakdown: statuses.map(status => ({
+        ...status,
+        canonical: normalizeStatus(status._id),
+        samples: status.samples.map(name => redactor.redactValue(name, 'firstName'))
+      })),
+      unrecognisedStatuses: statusReport.unrecognised,
       sampleDocument: {
         _id: contest._id,
         contestId: contest.contestId,
@@ -381,7 +370,7 @@ app.get('/debug-contest-check/:contestId', async (req, res) => {
   }
 });
 
-app.get('/debug-rejected/:contestId', async (req, res) => {
+router.get('/debug-rejected/:contestId', requireRole(ROLES.ADMIN), async (req, res) => {
   try {
     const { contestId } = req.params;
     const objectIdContestId = new ObjectId(contestId);
@@ -389,18 +378,18 @@ app.get('/debug-rejected/:contestId', async (req, res) => {
     const pipeline = [
       { $match: { contestId: objectIdContestId } },
       { $unwind: "$jobseekerDetails" },
-      { $match: { "jobseekerDetails.empStatus": "Rejected" } },
+      { $match: { $expr: statusMatchExpression('$jobseekerDetails.empStatus', 'rejected') } },
       { $limit: 2 }
     ];
     
-    const rejected = await db.collection(COLLECTION_NAME)
+    const rejected = await getDb().collection(COLLECTION_NAME)
       .aggregate(pipeline)
       .toArray();
     
     res.json({
       contestId,
       count: rejected.length,
-      fullDocuments: rejected
+      fullDocuments: redactForLog(rejected)
     });
     
   } catch (error) {
@@ -408,24 +397,13 @@ app.get('/debug-rejected/:contestId', async (req, res) => {
   }
 });
 
-app.get('/health', (req, res) => {
-  res.json({
-    status: 'OK',
-    message: 'Rejection Feedback Observation API is running',
-    database: DB_NAME,
-    collection: COLLECTION_NAME,
-    endpoints: {
-      main: '/rejectionFeedbackObservation',
-      debug: ['/debug-contest-check/:contestId', '/debug-rejected/:contestId'],
-      health: '/health'
-    }
-  });
-});
-
-connectToDatabase();
-
-app.listen(PORT, () => {
-  console.log(`Rejection Feedback Observation API running on port ${PORT}`);
-  console.log(`Main endpoint: POST /rejectionFeedbackObservation`);
-  console.log(`Health check: GET /health`);
-});
+module.exports = {
+  router,
+  reportName: REPORT_NAME,
+  rejectionFeedbackOptions,
+  processRejectionFeedbackObservation,
+  endpoints: {
+    main: 'POST /rejectionFeedbackObservation?refresh=true',
+    debug: ['GET /debug-contest-check/:contestId', 'GET /debug-rejected/:contestId']
+  }
+};
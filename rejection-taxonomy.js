@@ -0,0 +1,252 @@
+const fs = require('fs');
+const dotenv = require('dotenv');
+const { registerTemplate } = require('./llm-provider');
+const { generateValidatedReport } = require('./ai-report');
+const { createRedactor } = require('./redaction');
+
+dotenv.config();
+
+const CLASSIFICATION_REPORT = 'rejectionClassification';
+const OTHER_CATEGORY = 'other';
+const UNSPECIFIED_CATEGORY = 'unspecified';
+
+// Keywords are matched case-insensitively on word boundaries, so "exp"
+// matches "React exp not enough" but not "expected".
+const DEFAULT_TAXONOMY = [
+  {
+    id: 'skills',
+    label: 'Skills mismatch',
+    keywords: ['skill', 'skills', 'skillset', 'skill set', 'technical', 'tech stack', 'coding', 'programming', 'knowledge', 'hands-on', 'hands on', 'proficiency', 'proficient', 'framework']
+  },
+  {
+    id: 'experience',
+    label: 'Experience',
+    keywords: ['experience', 'experienced', 'exp', 'years', 'yrs', 'seniority', 'junior', 'too senior', 'overqualified', 'relevant work']
+  },
+  {
+    id: 'compensation',
+    label: 'Compensation',
+    keywords: ['ctc', 'salary', 'budget', 'compensation', 'package', 'pay', 'lpa', 'hike', 'expected ctc', 'expected salary', 'salary expectation', 'salary expectations', 'ctc expectation', 'ctc expectations']
+  },
+  {
+    id: 'noticePeriod',
+    label: 'Notice period',
+    keywords: ['notice', 'notice period', 'joining date', 'immediate joiner', 'serving notice', 'buyout', 'availability', 'late joining']
+  },
+  {
+    id: 'location',
+    label: 'Location',
+    keywords: ['location', 'relocate', 'relocation', 'commute', 'remote', 'onsite', 'on-site', 'hybrid', 'work from office', 'city', 'distance']
+  },
+  {
+    id: 'communication',
+    label: 'Communication',
+    keywords: ['communication', 'english', 'articulation', 'articulate', 'verbal', 'written', 'fluency', 'fluent', 'language barrier', 'language skills', 'language proficiency']
+  },
+  {
+    id: 'cultureFit',
+    label: 'Culture fit',
+    keywords: ['culture', 'cultural', 'attitude', 'culture fit', 'team fit', 'values', 'behaviour', 'behavior', 'not a fit']
+  },
+  {
+    id: 'qualification',
+    label: 'Qualification',
+    keywords: ['qualification', 'qualified', 'degree', 'education', 'certification', 'certified', 'graduate', 'graduation']
+  },
+  {
+    id: 'duplicateProfile',
+    label: 'Duplicate profile',
+    keywords: ['duplicate', 'already submitted', 'already applied', 'already in pipeline', 'already in process', 'existing profile', 'submitted by another']
+  },
+  {
+    id: 'noShow',
+    label: 'No-show / unresponsive',
+    keywords: ['no show', 'no-show', 'did not attend', "didn't attend", 'did not join', "didn't join", 'absent', 'not reachable', 'unreachable', 'not responding', 'no response', 'dropped out', 'not interested']
+  }
+];
+
+const SYSTEM_LABELS = {
+  [OTHER_CATEGORY]: 'Other',
+  [UNSPECIFIED_CATEGORY]: 'No reason given'
+};
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function compileTaxonomy(categories) {
+  return categories.map(category => ({
+    ...category,
+    patterns: (category.keywords || []).map(keyword => new RegExp(`\\b${escapeRegex(keyword)}\\b`, 'i'))
+  }));
+}
+
+function loadTaxonomy() {
+  const taxonomyPath = process.env.REJECTION_TAXONOMY_PATH;
+  if (!taxonomyPath) return DEFAULT_TAXONOMY;
+  try {
+    const categories = JSON.parse(fs.readFileSync(taxonomyPath, 'utf8'));
+    if (!Array.isArray(categories) || categories.some(category => !category.id || !Array.isArray(category.keywords))) {
+      throw new Error('taxonomy must be an array of { id, label, keywords }');
+    }
+    return categories;
+  } catch (error) {
+    console.error(`Could not load rejection taxonomy from ${taxonomyPath}, using defaults:`, error.message);
+    return DEFAULT_TAXONOMY;
+  }
+}
+
+const taxonomy = compileTaxonomy(loadTaxonomy());
+
+function getCategoryLabel(id) {
+  const category = taxonomy.find(item => item.id === id);
+  return category ? (category.label || category.id) : (SYSTEM_LABELS[id] || id);
+}
+
+// The same candidate record has been seen with its reason under several
+// different field names, so probe them in order of preference.
+function extractRejectionReason(jobseeker = {}, profile = {}) {
+  const possiblePaths = [
+    jobseeker.remarks?.rejectedReason,
+    jobseeker.rejectedReason,
+    jobseeker.rejectionReason,
+    jobseeker.remarks?.reason,
+    jobseeker.reason,
+    jobseeker.comments,
+    jobseeker.feedback,
+    profile.rejectedReason,
+    profile.rejectionReason
+  ];
+
+  for (const path of possiblePaths) {
+    if (typeof path === 'string' && path !== 'undefined' && path.trim() !== '') {
+      return path.trim();
+    }
+  }
+  return null;
+}
+
+function classifyReason(reason) {
+  if (!reason) return [UNSPECIFIED_CATEGORY];
+  const matches = taxonomy
+    .filter(category => category.patterns.some(pattern => pattern.test(reason)))
+    .map(category => category.id);
+  return matches.length ? matches : [OTHER_CATEGORY];
+}
+
+registerTemplate(CLASSIFICATION_REPORT, ({ reasons = [] }) => ({
+  classifications: reasons.map((reason, index) => ({ index, categories: [OTHER_CATEGORY] }))
+}));
+
+async function classifyWithLlm(reasons, redactor) {
+  const categoryList = taxonomy
+    .map(category => `- ${category.id}: ${category.label || category.id}`)
+    .join('\n');
+  const reasonList = reasons.map((reason, index) => `${index}. ${reason}`).join('\n');
+
+  const prompt = `
+You are classifying candidate rejection reasons from a hiring process.
+
+CATEGORIES:
+${categoryList}
+- ${OTHER_CATEGORY}: none of the above
+
+REJECTION REASONS:
+${reasonList}
+
+Assign each reason one or more category ids from the list above.
+Return ONLY this JSON object, no other text:
+{"classifications": [{"index": 0, "categories": ["skills"]}]}
+`;
+
+  const generation = await generateValidatedReport(CLASSIFICATION_REPORT, {
+    prompt,
+    data: { reasons },
+    fallback: { classifications: [] },
+    redactor
+  });
+
+  const knownIds = new Set([...taxonomy.map(category => category.id), OTHER_CATEGORY]);
+  const byIndex = new Map();
+  generation.analysis.classifications.forEach(({ index, categories }) => {
+    const valid = categories.filter(id => knownIds.has(id));
+    if (reasons[index] !== undefined && valid.length) {
+      byIndex.set(index, [...new Set(valid)]);
+    }
+  });
+  return byIndex;
+}
+
+// Classifies every rejected candidate and counts them per category. A
+// candidate can carry several labels, so category percentages may add up to
+// more than 100%.
+async function summarizeRejections(candidates, { useLlm = false } = {}) {
+  const classified = candidates.map(candidate => {
+    const reason = extractRejectionReason(candidate.jobseekerDetails, candidate);
+    return { candidate, reason, categories: classifyReason(reason) };
+  });
+
+  if (useLlm) {
+    const unmatched = [...new Set(
+      classified
+        .filter(item => item.categories[0] === OTHER_CATEGORY)
+        .map(item => item.reason)
+    )];
+    if (unmatched.length) {
+      const redactor = createRedactor();
+      candidates.forEach(({ jobseekerDetails = {} }) => {
+        redactor.registerName(`${jobseekerDetails.firstName || ''} ${jobseekerDetails.lastName || ''}`, 'CANDIDATE');
+      });
+      const llmCategories = await classifyWithLlm(unmatched, redactor);
+      classified.forEach(item => {
+        if (item.categories[0] !== OTHER_CATEGORY) return;
+        const categories = llmCategories.get(unmatched.indexOf(item.reason));
+        if (categories) item.categories = categories;
+      });
+    }
+  }
+
+  const totalRejected = classified.length;
+  const counts = {};
+  const examples = {};
+  classified.forEach(({ reason, categories }) => {
+    categories.forEach(category => {
+      counts[category] = (counts[category] || 0) + 1;
+      if (reason) {
+        examples[category] = examples[category] || new Set();
+        if (examples[category].size < 3) examples[category].add(reason);
+      }
+    });
+  });
+
+  const categories = Object.entries(counts)
+    .map(([category, count]) => ({
+      category,
+      label: getCategoryLabel(category),
+      count,
+      percentage: ((count / totalRejected) * 100).toFixed(1),
+      examples: [...(examples[category] || [])]
+    }))
+    .sort((a, b) => b.count - a.count);
+
+  return {
+    totalRejected,
+    categories,
+    multiLabelCount: classified.filter(item => item.categories.length > 1).length,
+    classified
+  };
+}
+
+function getTaxonomy() {
+  return taxonomy.map(({ id, label, keywords }) => ({ id, label, keywords }));
+}
+
+module.exports = {
+  OTHER_CATEGORY,
+  UNSPECIFIED_CATEGORY,
+  getTaxonomy,
+  getCategoryLabel,
+  extractRejectionReason,
+  classifyReason,
+  summarizeRejections
+};
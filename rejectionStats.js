@@ -1,34 +1,48 @@
 const express = require('express');
-const { MongoClient, ObjectId } = require('mongodb');
+const { ObjectId } = require('mongodb');
 const dotenv = require('dotenv');
+const { getDb } = require('./db');
+const { getTaxonomy, summarizeRejections } = require('./rejection-taxonomy');
+const { ROLES, requireRole, authorizeContest } = require('./auth');
+const { statusMatchExpression } = require('./status-normalization');
 
 dotenv.config();
 
-const app = express();
-const port = process.env.PORT || 3000;
-app.use(express.json());
+const router = express.Router();
 
-const MONGODB_URI = process.env.MONGODB_URI;
-const DB_NAME = "Marketplace-ifin";
+const LLM_CLASSIFICATION_DEFAULT = process.env.REJECTION_LLM_CLASSIFICATION === 'true';
 
-let db;
-
-async function connectToDatabase() {
-    if (db) return db;
-    try {
-        const client = new MongoClient(MONGODB_URI);
-        await client.connect();
-        db = client.db(DB_NAME);
-        return db;
-    } catch (error) {
-        console.error('FATAL: Could not connect to MongoDB.', error);
-        process.exit(1);
-    }
+async function getRejectedCandidates(contestId) {
+    const collection = getDb().collection('recruiterAddProfiles');
+    const pipeline = [
+        {
+            $match: {
+                contestId: new ObjectId(contestId),
+            }
+        },
+        {
+            $unwind: "$jobseekerDetails"
+        },
+        {
+            $match: {
+                $expr: statusMatchExpression('$jobseekerDetails.empStatus', 'rejected')
+            }
+        },
+        {
+            $project: {
+                _id: 1,
+                contestId: 1,
+                recruiterId: 1,
+                jobseekerDetails: 1
+            }
+        }
+    ];
+    return collection.aggregate(pipeline).toArray();
 }
 
-async function analyzeRejectionReasons(contestId) {
+async function analyzeRejectionReasons(contestId, options = {}) {
     try {
-        const collection = db.collection('recruiterAddProfiles');
+        const collection = getDb().collection('recruiterAddProfiles');
         const contestObjectId = new ObjectId(contestId);
 
         const contestDocument = await collection.findOne({ contestId: contestObjectId });
@@ -40,63 +54,25 @@ async function analyzeRejectionReasons(contestId) {
 
         const totalParticipants = Array.isArray(contestDocument.jobseekerDetails) ? contestDocument.jobseekerDetails.length : 0;
 
-        const pipeline = [
-            {
-                $match: {
-                    contestId: contestObjectId,
-                }
-            },
-            {
-                $unwind: "$jobseekerDetails"
-            },
-            {
-                $match: {
-                    'jobseekerDetails.empStatus': { $in: ['rejected', 'Rejected'] }
-                }
-            },
-            {
-                $group: {
-                    _id: null,
-                    rejectionTotalCount: { $sum: 1 },
-                    primarySkillsCount: {
-                        $sum: { $cond: [{ $regexMatch: { input: '$jobseekerDetails.rejectedReason', regex: /skill/i } }, 1, 0] }
-                    },
-                    experienceYearsCount: {
-                        $sum: { $cond: [{ $regexMatch: { input: '$jobseekerDetails.rejectedReason', regex: /experience/i } }, 1, 0] }
-                    },
-                    expectedCTCCount: {
-                        $sum: { $cond: [{ $regexMatch: { input: '$jobseekerDetails.rejectedReason', regex: /ctc|salary|budget/i } }, 1, 0] }
-                    }
-                }
-            }
-        ];
+        const rejectedCandidates = await getRejectedCandidates(contestId);
+        const summary = await summarizeRejections(rejectedCandidates, {
+            useLlm: options.useLlmClassification
+        });
 
-        const aggregationResult = await collection.aggregate(pipeline).toArray();
-
-        let analysis = {
-            rejectionTotalCount: 0,
-            primarySkills: 0,
-            experienceYears: 0,
-            expectedCTC: 0,
-            recruiterRatingComments: 0
-        };
-
-        if (aggregationResult.length > 0) {
-            const result = aggregationResult[0];
-            const categorizedCount = result.primarySkillsCount + result.experienceYearsCount + result.expectedCTCCount;
-
-            analysis = {
-                rejectionTotalCount: result.rejectionTotalCount,
-                primarySkills: result.primarySkillsCount,
-                experienceYears: result.experienceYearsCount,
-                expectedCTC: result.expectedCTCCount,
-                recruiterRatingComments: result.rejectionTotalCount - categorizedCount
-            };
-        }
+        const countOf = category => summary.classified
+            .filter(item => item.categories.includes(category)).length;
+        const legacyCategories = ['skills', 'experience', 'compensation'];
 
         return {
             totalCandidatesParticipated: totalParticipants,
-            ...analysis
+            rejectionTotalCount: summary.totalRejected,
+            primarySkills: countOf('skills'),
+            experienceYears: countOf('experience'),
+            expectedCTC: countOf('compensation'),
+            recruiterRatingComments: summary.classified
+                .filter(item => !item.categories.some(category => legacyCategories.includes(category))).length,
+            categories: summary.categories,
+            multiLabelCount: summary.multiLabelCount
         };
 
     } catch (error) {
@@ -105,7 +81,7 @@ async function analyzeRejectionReasons(contestId) {
     }
 }
 
-app.get('/analysis/rejections/:contestId', async (req, res) => {
+router.get('/analysis/rejections/:contestId', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), authorizeContest, async (req, res) => {
     const { contestId } = req.params;
 
     if (!ObjectId.isValid(contestId)) {
@@ -113,7 +89,11 @@ app.get('/analysis/rejections/:contestId', async (req, res) => {
     }
 
     try {
-        const report = await analyzeRejectionReasons(contestId);
+        const report = await analyzeRejectionReasons(contestId, {
+            useLlmClassification: req.query.llmClassification !== undefined
+                ? req.query.llmClassification === 'true'
+                : LLM_CLASSIFICATION_DEFAULT
+        });
         res.status(200).json(report);
     } catch (error) {
         const statusCode = error.statusCode || 500;
@@ -121,15 +101,17 @@ app.get('/analysis/rejections/:contestId', async (req, res) => {
     }
 });
 
-async function startServer() {
-    if (!MONGODB_URI) {
-        console.error('Error: MONGODB_URI is not defined in the .env file.');
-        process.exit(1);
-    }
-    await connectToDatabase();
-    app.listen(port, () => {
-        console.log(`Server running at http://localhost:${port}`);
-    });
-}
+router.get('/analysis/rejection-taxonomy', (req, res) => {
+    res.status(200).json({ categories: getTaxonomy() });
+});
 
-startServer();
+module.exports = {
+    router,
+    analyzeRejectionReasons,
+    getRejectedCandidates,
+    LLM_CLASSIFICATION_DEFAULT,
+    endpoints: {
+        main: 'GET /analysis/rejections/:contestId',
+        taxonomy: 'GET /analysis/rejection-taxonomy'
+    }
+};
@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { AI_ANALYSIS_STATUS } = require('./ai-report');
+const { resolveProviderConfig } = require('./llm-provider');
+const { ROLES, requireRole, authorizeContest } = require('./auth');
+
+const router = express.Router();
+
+const COLLECTION_NAME = 'aiReports';
+const CACHED_REPORTS = ['rejectionFeedbackObservation', 'contestAnalytics'];
+const MAX_SAVE_ATTEMPTS = 5;
+const DUPLICATE_KEY_ERROR = 11000;
+
+let indexesReady;
+
+function reportsCollection() {
+  const collection = getDb().collection(COLLECTION_NAME);
+  if (!indexesReady) {
+    indexesReady = Promise.all([
+      // Unique so two concurrent saves cannot both take the same version.
+      collection.createIndex({ report: 1, contestId: 1, version: 1 }, { unique: true }),
+      collection.createIndex({ report: 1, contestId: 1, fingerprint: 1 })
+    ]).catch(error => {
+      indexesReady = undefined;
+      console.error('Could not create aiReports indexes:', error.message);
+    });
+  }
+  return collection;
+}
+
+function hash(value) {
+  return crypto.createHash('sha256').update(JSON.stringify(value)).digest('hex');
+}
+
+// Everything the AI reports are computed from: the candidate documents
+// (statuses, reasons, scores), the lifecycle events of the contest and the
+// LLM provider and model that write the text.
+async function computeFingerprint(report, contestId, options = {}) {
+  const objectIdContestId = new ObjectId(contestId);
+  const db = getDb();
+  const [profiles, lifecycle] = await Promise.all([
+    db.collection('recruiterAddProfiles')
+      .find({ contestId: objectIdContestId }, { projection: { recruiterId: 1, jobseekerDetails: 1 } })
+      .sort({ _id: 1 })
+      .toArray(),
+    db.collection('contestLifeCycle')
+      .find({ contestId: objectIdContestId })
+      .sort({ _id: 1 })
+      .toArray()
+  ]);
+  const { provider, model } = resolveProviderConfig(report);
+  return hash({ report, options, provider, model, profiles, lifecycle });
+}
+
+function wantsRefresh(req) {
+  return req.query.refresh === 'true' || req.body?.refresh === true || req.body?.refresh === 'true';
+}
+
+function withoutPayload(doc) {
+  return {
+    version: doc.version,
+    fingerprint: doc.fingerprint,
+    aiAnalysisStatus: doc.result?.aiAnalysisStatus,
+    createdAt: doc.createdAt
+  };
+}
+
+async function findCachedReport(report, contestId, fingerprint) {
+  return reportsCollection().findOne(
+    { report, contestId: new ObjectId(contestId), fingerprint },
+    { sort: { version: -1 } }
+  );
+}
+
+// Takes the next version number; when another request saved the same
+// version first, the unique index rejects the insert and the next number is
+// tried.
+async function saveReport(report, contestId, fingerprint, options, result) {
+  const collection = reportsCollection();
+  await indexesReady;
+  const objectIdContestId = new ObjectId(contestId);
+  for (let attempt = 1; ; attempt++) {
+    const latest = await collection.findOne(
+      { report, contestId: objectIdContestId },
+      { sort: { version: -1 }, projection: { version: 1 } }
+    );
+    const doc = {
+      report,
+      contestId: objectIdContestId,
+      version: (latest?.version || 0) + 1,
+      fingerprint,
+      options,
+      result,
+      createdAt: new Date()
+    };
+    try {
+      await collection.insertOne(doc);
+      return doc;
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY_ERROR || attempt >= MAX_SAVE_ATTEMPTS) throw error;
+    }
+  }
+}
+
+// Returns the stored report when the contest data has not changed since it
+// was generated, otherwise generates and stores a new version. Fallback
+// output is never stored so that the next request tries the model again.
+async function getOrGenerateReport({ report, contestId, options = {}, refresh = false, generate }) {
+  const fingerprint = await computeFingerprint(report, contestId, options);
+
+  if (!refresh) {
+    const cached = await findCachedReport(report, contestId, fingerprint);
+    if (cached) {
+      return {
+        ...cached.result,
+        cache: { hit: true, version: cached.version, fingerprint, cachedAt: cached.createdAt }
+      };
+    }
+  }
+
+  const result = await generate();
+  if (!result.success || result.aiAnalysisStatus === AI_ANALYSIS_STATUS.FALLBACK) {
+    return { ...result, cache: { hit: false, stored: false, fingerprint } };
+  }
+
+  const saved = await saveReport(report, contestId, fingerprint, options, result);
+  return { ...result, cache: { hit: false, stored: true, version: saved.version, fingerprint } };
+}
+
+async function listReportHistory(report, contestId) {
+  const docs = await reportsCollection()
+    .find({ report, contestId: new ObjectId(contestId) }, { projection: { result: 0 } })
+    .sort({ version: -1 })
+    .toArray();
+  return docs.map(withoutPayload);
+}
+
+async function getReportVersion(report, contestId, version) {
+  return reportsCollection().findOne({
+    report,
+    contestId: new ObjectId(contestId),
+    version
+  });
+}
+
+const IGNORED_DIFF_FIELDS = new Set(['generatedAt', 'cache']);
+
+function flatten(value, prefix = '', out = {}) {
+  if (value && typeof value === 'object' && !(value instanceof Date) && !(value instanceof ObjectId)) {
+    const entries = Array.isArray(value) ? value.map((item, index) => [index, item]) : Object.entries(value);
+    if (!entries.length) out[prefix] = value;
+    entries.forEach(([key, item]) => {
+      if (!prefix && IGNORED_DIFF_FIELDS.has(key)) return;
+      flatten(item, prefix ? `${prefix}.${key}` : String(key), out);
+    });
+    return out;
+  }
+  out[prefix] = value instanceof Date || value instanceof ObjectId ? String(value) : value;
+  return out;
+}
+
+function diffReports(before, after) {
+  const left = flatten(before);
+  const right = flatten(after);
+  const paths = [...new Set([...Object.keys(left), ...Object.keys(right)])].sort();
+  const changes = [];
+  paths.forEach(path => {
+    const inLeft = Object.prototype.hasOwnProperty.call(left, path);
+    const inRight = Object.prototype.hasOwnProperty.call(right, path);
+    if (inLeft && !inRight) {
+      changes.push({ path, type: 'removed', from: left[path] });
+    } else if (!inLeft && inRight) {
+      changes.push({ path, type: 'added', to: right[path] });
+    } else if (JSON.stringify(left[path]) !== JSON.stringify(right[path])) {
+      changes.push({ path, type: 'changed', from: left[path], to: right[path] });
+    }
+  });
+  return changes;
+}
+
+function validateReportParams(req, res) {
+  const { report, contestId } = req.params;
+  if (!CACHED_REPORTS.includes(report)) {
+    res.status(404).json({ success: false, error: `Unknown report "${report}"` });
+    return false;
+  }
+  if (!ObjectId.isValid(contestId)) {
+    res.status(400).json({ success: false, error: 'Invalid Contest ID format' });
+    return false;
+  }
+  return true;
+}
+
+router.get('/reports/:report/:contestId/history', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), authorizeContest, async (req, res) => {
+  if (!validateReportParams(req, res)) return;
+  try {
+    const { report, contestId } = req.params;
+    const versions = await listReportHistory(report, contestId);
+    res.json({ success: true, report, contestId, versions });
+  } catch (error) {
+    console.error('Report history error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/reports/:report/:contestId/versions/:version', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), authorizeContest, async (req, res) => {
+  if (!validateReportParams(req, res)) return;
+  try {
+    const { report, contestId } = req.params;
+    const doc = await getReportVersion(report, contestId, Number(req.params.version));
+    if (!doc) {
+      return res.status(404).json({ success: false, error: 'Report version not found' });
+    }
+    res.json({ success: true, ...withoutPayload(doc), report: doc.result });
+  } catch (error) {
+    console.error('Report version error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/reports/:report/:contestId/diff', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), authorizeContest, async (req, res) => {
+  if (!validateReportParams(req, res)) return;
+  const from = Number(req.query.from);
+  const to = Number(req.query.to);
+  if (!Number.isInteger(from) || !Number.isInteger(to)) {
+    return res.status(400).json({ success: false, error: 'Query parameters "from" and "to" must be version numbers' });
+  }
+  try {
+    const { report, contestId } = req.params;
+    const [before, after] = await Promise.all([
+      getReportVersion(report, contestId, from),
+      getReportVersion(report, contestId, to)
+    ]);
+    if (!before || !after) {
+      return res.status(404).json({ success: false, error: 'Report version not found' });
+    }
+    res.json({
+      success: true,
+      report,
+      contestId,
+      from: withoutPayload(before),
+      to: withoutPayload(after),
+      changes: diffReports(before.result, after.result)
+    });
+  } catch (error) {
+    console.error('Report diff error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  computeFingerprint,
+  getOrGenerateReport,
+  listReportHistory,
+  getReportVersion,
+  diffReports,
+  wantsRefresh,
+  endpoints: {
+    history: 'GET /reports/:report/:contestId/history',
+    version: 'GET /reports/:report/:contestId/versions/:version',
+    diff: 'GET /reports/:report/:contestId/diff?from=&to='
+  }
+};
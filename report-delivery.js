@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const dns = require('dns');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const os = require('os');
+const axios = require('axios');
+const nodemailer = require('nodemailer');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const WEBHOOK_TIMEOUT_MS = Number(process.env.REPORT_WEBHOOK_TIMEOUT_MS || 10000);
+// Hosts that may resolve to internal addresses, e.g. an in-house receiver.
+const WEBHOOK_ALLOWED_HOSTS = new Set(
+  (process.env.REPORT_WEBHOOK_ALLOWED_HOSTS || '').split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+);
+// Kept outside the source tree by default so reports never end up in git.
+const DROP_DIRECTORY = process.env.REPORT_DROP_DIR || path.join(os.tmpdir(), 'ifin-report-drop');
+
+const channels = new Map();
+
+// A channel is `{ validate(config), deliver(config, delivery) }`, where
+// `delivery` is `{ subject, text, payload }`. `validate` returns an error
+// message or null.
+function registerDeliveryChannel(type, channel) {
+  channels.set(type, channel);
+}
+
+function getDeliveryChannelTypes() {
+  return [...channels.keys()];
+}
+
+function validateChannelConfig(config) {
+  if (!config || typeof config !== 'object') return 'each channel must be an object';
+  const channel = channels.get(config.type);
+  if (!channel) return `channel type must be one of ${getDeliveryChannelTypes().join(', ')}`;
+  return channel.validate(config);
+}
+
+let transporter = null;
+
+// `SMTP_TRANSPORT=json` or `stream` builds messages without sending them,
+// for local checks.
+const LOCAL_TRANSPORTS = {
+  json: { jsonTransport: true },
+  stream: { streamTransport: true, buffer: true }
+};
+
+function getTransporter() {
+  const local = LOCAL_TRANSPORTS[process.env.SMTP_TRANSPORT];
+  if (local) {
+    if (!transporter) transporter = nodemailer.createTransport(local);
+    return transporter;
+  }
+  if (!process.env.SMTP_HOST) {
+    throw new Error('SMTP_HOST is not configured');
+  }
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT || 587),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+  return transporter;
+}
+
+registerDeliveryChannel('smtp', {
+  validate(config) {
+    const to = Array.isArray(config.to) ? config.to : [config.to];
+    if (!to.length || to.some(address => typeof address !== 'string' || !/^[^\s@]+@[^\s@]+$/.test(address))) {
+      return 'smtp channel needs "to" with one or more email addresses';
+    }
+    return null;
+  },
+  async deliver(config, { subject, text, payload }) {
+    const info = await getTransporter().sendMail({
+      from: process.env.SMTP_FROM || process.env.SMTP_USER,
+      to: config.to,
+      subject,
+      text,
+      attachments: [{ filename: 'report.json', content: JSON.stringify(payload, null, 2), contentType: 'application/json' }]
+    });
+    return info.message && process.env.SMTP_TRANSPORT
+      ? { messageId: info.messageId, message: info.message.toString() }
+      : { messageId: info.messageId };
+  }
+});
+
+// Webhook URLs come from employers, so they must not reach loopback,
+// private, link-local or other reserved addresses of the server's network.
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 128], ['::1', 128], ['::ffff:0:0', 96], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+function isBlockedAddress(address) {
+  const family = net.isIP(address);
+  return family === 0 || BLOCKED_ADDRESSES.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+function webhookHostError(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  if (WEBHOOK_ALLOWED_HOSTS.has(host)) return null;
+  if (host === 'localhost' || host.endsWith('.localhost') || (net.isIP(host) && isBlockedAddress(host))) {
+    return `webhook host ${host} is not a public address`;
+  }
+  return null;
+}
+
+// Checks the addresses a webhook host resolves to at connection time, so
+// the address that was checked is the one the request is sent to.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+    const blocked = !WEBHOOK_ALLOWED_HOSTS.has(hostname.toLowerCase()) &&
+      addresses.find(({ address }) => isBlockedAddress(address));
+    if (blocked) {
+      const lookupError = new Error(`webhook host ${hostname} resolves to non-public address ${blocked.address}`);
+      lookupError.code = 'EADDRNOTPUBLIC';
+      return callback(lookupError);
+    }
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+const webhookHttpAgent = new http.Agent({ lookup: publicLookup });
+const webhookHttpsAgent = new https.Agent({ lookup: publicLookup });
+
+// Webhook bodies are signed with HMAC-SHA256 when the channel has a
+// `secret`, so receivers can verify the `X-IFIN-Signature` header.
+registerDeliveryChannel('webhook', {
+  validate(config) {
+    try {
+      const url = new URL(config.url);
+      if (!['http:', 'https:'].includes(url.protocol)) throw new Error();
+      return webhookHostError(url.hostname);
+    } catch (error) {
+      return 'webhook channel needs an http(s) "url"';
+    }
+  },
+  async deliver(config, { subject, payload }) {
+    const body = JSON.stringify({ subject, ...payload });
+    const headers = { 'Content-Type': 'application/json' };
+    if (config.secret) {
+      headers['X-IFIN-Signature'] = `sha256=${crypto.createHmac('sha256', config.secret).update(body).digest('hex')}`;
+    }
+    // Literal IP hosts skip the lookup, so they are checked here as well.
+    const hostError = webhookHostError(new URL(config.url).hostname);
+    if (hostError) throw new Error(hostError);
+    const response = await axios.post(config.url, body, {
+      headers,
+      timeout: WEBHOOK_TIMEOUT_MS,
+      maxRedirects: 0,
+      httpAgent: webhookHttpAgent,
+      httpsAgent: webhookHttpsAgent,
+      proxy: false
+    });
+    return { status: response.status };
+  }
+});
+
+// Files are always written inside REPORT_DROP_DIR; a channel may only pick
+// a sub-directory of it.
+registerDeliveryChannel('file', {
+  validate(config) {
+    if (config.directory !== undefined && (typeof config.directory !== 'string' || !/^[\w-]+$/.test(config.directory))) {
+      return 'file channel "directory" must be a single folder name (letters, digits, "_" or "-")';
+    }
+    return null;
+  },
+  async deliver(config, { payload }) {
+    const directory = config.directory ? path.join(DROP_DIRECTORY, config.directory) : DROP_DIRECTORY;
+    await fs.promises.mkdir(directory, { recursive: true });
+    const fileName = `${payload.trigger || 'report'}-${payload.contestId || 'portfolio'}-${Date.now()}.json`;
+    const filePath = path.join(directory, fileName);
+    await fs.promises.writeFile(filePath, JSON.stringify(payload, null, 2));
+    return { filePath };
+  }
+});
+
+// Delivers to every channel independently; one failing channel does not
+// stop the others.
+async function deliverReport(channelConfigs, delivery) {
+  const results = [];
+  for (const config of channelConfigs) {
+    try {
+      const channel = channels.get(config.type);
+      if (!channel) throw new Error(`Unknown delivery channel "${config.type}"`);
+      const detail = await channel.deliver(config, delivery);
+      results.push({ type: config.type, status: 'delivered', detail, deliveredAt: new Date() });
+    } catch (error) {
+      console.error(`Report delivery via ${config.type} failed:`, error.message);
+      results.push({ type: config.type, status: 'failed', error: error.message, deliveredAt: new Date() });
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  registerDeliveryChannel,
+  getDeliveryChannelTypes,
+  validateChannelConfig,
+  deliverReport
+};
@@ -0,0 +1,336 @@
+const dotenv = require('dotenv');
+const { DEFAULT_LANGUAGE, formatNumber, formatDate } = require('./localization');
+
+dotenv.config();
+
+// `flag` only reports a mismatched number; `correct` also rewrites it when
+// the sentence names exactly one metric next to it.
+const GROUNDING_MODES = ['flag', 'correct'];
+const GROUNDING_MODE = GROUNDING_MODES.includes(process.env.AI_GROUNDING_MODE) ? process.env.AI_GROUNDING_MODE : 'flag';
+
+// Percentages are accepted within half a point, counts must match exactly.
+const PERCENT_TOLERANCE = 0.5;
+// How far (in characters) from a number a metric's term may appear for the
+// two to be linked.
+const CONTEXT_WINDOW = 40;
+// A number is only corrected when a metric's term is this close to it.
+const ADJACENT_WINDOW = 16;
+
+// Terms are matched as whole words; each is a regular expression fragment so
+// it can list the word forms it covers.
+const FUNNEL_COUNTS = [
+  ['totalSubmittedProfiles', 'submitted', ['submitted', 'submissions?', 'profiles?', 'applications?']],
+  ['totalApplied', 'applied', ['applied', 'applications?']],
+  ['totalShortlisted', 'shortlisted', ['shortlist(?:s|ed|ing)?']],
+  ['totalL1', 'at L1', ['l1', 'first[- ]rounds?']],
+  ['totalL2', 'at L2', ['l2', 'second[- ]rounds?']],
+  ['totalL3', 'at L3', ['l3', 'third[- ]rounds?']],
+  ['totalHR', 'at HR', ['hr']],
+  ['totalOfferSent', 'with an offer sent', ['offers?']]
+];
+
+const CONVERSION_TERM = 'conver(?:sions?|ted|ts?)';
+const REJECTION_TERM = 'reject(?:s|ed|ions?)?';
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function termPattern(term) {
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${term})(?![\\p{L}\\p{N}])`, 'gu');
+}
+
+const FUNNEL_STEPS = ['totalSubmittedProfiles', 'totalShortlisted', 'totalL1', 'totalL2', 'totalL3', 'totalHR', 'totalOfferSent'];
+
+function toPercent(part, whole) {
+  return whole > 0 ? (part / whole) * 100 : null;
+}
+
+function parseRatio(value) {
+  const number = parseFloat(String(value).replace('%', ''));
+  return Number.isFinite(number) ? number : null;
+}
+
+// Every figure the report may quote, each with an id, the unit it is quoted
+// in and the words that usually appear next to it.
+function buildContestMetrics({ lifecycleData = [], recruiterData = [], overallData = null, rejectionData = null }) {
+  const metrics = [];
+  const add = (id, label, value, unit, terms, extra = {}) => {
+    if (value === null || value === undefined || !Number.isFinite(Number(value))) return;
+    metrics.push({ id, label, value: Number(value), unit, terms: terms.map(termPattern), ...extra });
+  };
+
+  if (overallData) {
+    const submitted = overallData.totalSubmittedProfiles || 0;
+    FUNNEL_COUNTS.forEach(([field, label, terms]) => {
+      add(`funnel.${field}`, `Profiles ${label}`, overallData[field] || 0, 'count', terms);
+      if (field !== 'totalSubmittedProfiles') {
+        add(`funnel.${field}.rate`, `Share of submitted profiles ${label}`, toPercent(overallData[field] || 0, submitted), 'percent', terms);
+      }
+    });
+    add('funnel.interviewing', 'Profiles in interview rounds', (overallData.totalL1 || 0) + (overallData.totalL2 || 0) + (overallData.totalL3 || 0), 'count', ['interview(?:s|ing)?']);
+    add('funnel.interviewing.rate', 'Share of submitted profiles in interview rounds', toPercent((overallData.totalL1 || 0) + (overallData.totalL2 || 0) + (overallData.totalL3 || 0), submitted), 'percent', ['interview(?:s|ing)?']);
+    FUNNEL_STEPS.slice(1).forEach((field, index) => {
+      const from = FUNNEL_STEPS[index];
+      const [, fromLabel] = FUNNEL_COUNTS.find(([name]) => name === from);
+      const [, label, terms] = FUNNEL_COUNTS.find(([name]) => name === field);
+      add(`funnel.${from}->${field}`, `Conversion from profiles ${fromLabel} to profiles ${label}`, toPercent(overallData[field] || 0, overallData[from] || 0), 'percent', [...terms, CONVERSION_TERM]);
+    });
+    if (overallData.duplicateProfiles) {
+      add('funnel.duplicateProfiles', 'Duplicate submissions excluded', overallData.duplicateProfiles, 'count', ['duplicates?']);
+    }
+  }
+
+  add('recruiters.count', 'Participating recruiters', recruiterData.length, 'count', ['recruiters?']);
+  add('recruiters.totalSubmitted', 'Profiles submitted by recruiters', recruiterData.reduce((sum, r) => sum + (r.profilesSubmitted || 0), 0), 'count', ['recruiters?', 'submitted', 'profiles?']);
+  recruiterData.forEach((r, index) => {
+    const name = r.recruiterName && r.recruiterName !== 'Unknown Recruiter' ? r.recruiterName.toLowerCase() : null;
+    const extra = { subject: name };
+    add(`recruiters.${index}.profilesSubmitted`, `${r.recruiterName}: profiles submitted`, r.profilesSubmitted, 'count', ['submitted', 'submissions?', 'profiles?'], extra);
+    add(`recruiters.${index}.profilesShortlisted`, `${r.recruiterName}: profiles shortlisted`, r.profilesShortlisted, 'count', ['shortlist(?:s|ed|ing)?'], extra);
+    add(`recruiters.${index}.profilesL1`, `${r.recruiterName}: profiles at L1`, r.profilesL1, 'count', ['l1'], extra);
+    add(`recruiters.${index}.submissionRatio`, `${r.recruiterName}: L1 ratio`, parseRatio(r.submissionRatio), 'percent', ['ratios?', 'l1', CONVERSION_TERM], extra);
+    add(`recruiters.${index}.shortlistRate`, `${r.recruiterName}: shortlist rate`, toPercent(r.profilesShortlisted, r.profilesSubmitted), 'percent', ['shortlist(?:s|ed|ing)?'], extra);
+  });
+
+  const roles = new Set(lifecycleData.map(doc => doc.userRole).filter(Boolean));
+  add('lifecycle.events', 'Lifecycle events recorded', lifecycleData.length, 'count', ['events?', 'actions?', 'lifecycle']);
+  add('lifecycle.roles', 'Stakeholder roles involved', roles.size, 'count', ['stakeholders?', 'stakeholder roles?']);
+
+  if (rejectionData) {
+    add('rejections.total', 'Rejected candidates', rejectionData.rejectionTotalCount, 'count', [REJECTION_TERM]);
+    add('rejections.rate', 'Share of submitted profiles rejected', toPercent(rejectionData.rejectionTotalCount, overallData?.totalSubmittedProfiles || 0), 'percent', [REJECTION_TERM]);
+    (rejectionData.categories || []).forEach(category => {
+      const terms = [...new Set([
+        category.category.toLowerCase(),
+        ...String(category.label || '').toLowerCase().split(/[^a-z]+/).filter(word => word.length > 3)
+      ])].map(word => `${escapeRegex(word)}s?`);
+      terms.unshift(REJECTION_TERM);
+      add(`rejections.${category.category}`, `Rejections for ${category.label}`, category.count, 'count', terms);
+      add(`rejections.${category.category}.percentage`, `Share of rejections for ${category.label}`, parseRatio(category.percentage), 'percent', terms);
+    });
+  }
+
+  return metrics;
+}
+
+function buildEventSources(lifecycleData = [], language = DEFAULT_LANGUAGE) {
+  return lifecycleData.map((doc, index) => {
+    const date = doc.createdDate ? new Date(doc.createdDate) : null;
+    const valid = date && !Number.isNaN(date.getTime());
+    return {
+      id: `lifecycle.${index}`,
+      action: doc.action || null,
+      role: doc.userRole || null,
+      date: valid ? date.toISOString() : null,
+      dateTexts: valid ? [...new Set([formatDate(date, language), date.toLocaleDateString(), date.toISOString().slice(0, 10)])] : []
+    };
+  });
+}
+
+function splitSentences(text) {
+  return String(text)
+    .split(/(?<=[.!?।])\s+(?=[^a-z\s])/u)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+// Dates, stage names (L1), version tags (v2) and years are not claims.
+const DATE_PATTERNS = [
+  /\b\d{1,4}[/.-]\d{1,2}[/.-]\d{1,4}\b/g,
+  /\b\d{1,2}\s+\p{L}{3,}\.?,?\s+\d{4}\b/gu,
+  /\b\p{L}{3,}\.?\s+\d{1,2},?\s+\d{4}\b/gu
+];
+const NUMBER_PATTERN = /(?<![\p{L}\d.,])(\d{1,3}(?:[,\u00a0\u202f]\d{3})+|\d+)(?:([.,])(\d+))?(?![\p{L}\d])(\s?%)?/gu;
+
+function maskDates(sentence) {
+  return DATE_PATTERNS.reduce((text, pattern) => text.replace(pattern, match => ' '.repeat(match.length)), sentence);
+}
+
+function parseNumber(integerPart, separator, fraction) {
+  const integer = Number(integerPart.replace(/[,\u00a0\u202f]/g, ''));
+  if (!fraction) return integer;
+  // "1,234" is a thousands group, "12,5" a decimal comma.
+  if (separator === ',' && fraction.length === 3 && !/[,\u00a0\u202f]/.test(integerPart)) return Number(`${integer}${fraction}`);
+  return Number(`${integer}.${fraction}`);
+}
+
+function extractClaims(sentence) {
+  const masked = maskDates(sentence);
+  return [...masked.matchAll(NUMBER_PATTERN)]
+    .map(match => ({
+      text: match[0].trim(),
+      index: match.index,
+      end: match.index + match[0].length,
+      value: parseNumber(match[1], match[2], match[3]),
+      unit: match[4] ? 'percent' : 'count'
+    }))
+    .filter(claim => !(claim.unit === 'count' && claim.value >= 1900 && claim.value <= 2100 && !claim.text.includes(',')));
+}
+
+function matchesValue(metric, claim) {
+  if (metric.unit !== claim.unit) return false;
+  return metric.unit === 'percent'
+    ? Math.abs(metric.value - claim.value) <= PERCENT_TOLERANCE
+    : metric.value === claim.value;
+}
+
+// How many of the metric's terms appear near the number and how close the
+// nearest one is; null when none is near (or the metric belongs to a
+// recruiter the sentence does not name).
+function termMatch(metric, claim, lowered) {
+  if (metric.subject && !lowered.includes(metric.subject)) return null;
+  let terms = 0;
+  let distance = Infinity;
+  metric.terms.forEach(pattern => {
+    let found = false;
+    for (const match of lowered.matchAll(pattern)) {
+      const end = match.index + match[0].length;
+      const gap = match.index >= claim.end ? match.index - claim.end : claim.index - end;
+      if (gap < 0 || gap > CONTEXT_WINDOW) continue;
+      found = true;
+      distance = Math.min(distance, gap);
+    }
+    if (found) terms += 1;
+  });
+  return terms ? { subject: metric.subject ? 1 : 0, terms, distance } : null;
+}
+
+// The metric a number can only be about: every metric with a term right next
+// to it has the same value. Null when the sentence is ambiguous.
+function namedMetric(candidates, claim, lowered) {
+  const adjacent = candidates.filter(metric => {
+    const match = termMatch(metric, claim, lowered);
+    return match && match.distance <= ADJACENT_WINDOW;
+  });
+  const values = new Set(adjacent.map(metric => metric.value));
+  return values.size === 1 ? adjacent[0] : null;
+}
+
+// The metric the sentence most likely talks about at this number: one about a
+// named recruiter first, then the most matching terms, then the nearest.
+// Returns null when two different values are equally likely.
+function closestMetric(candidates, claim, lowered) {
+  const ranked = candidates
+    .map(metric => ({ metric, match: termMatch(metric, claim, lowered) }))
+    .filter(item => item.match)
+    .sort((a, b) => (b.match.subject - a.match.subject) || (b.match.terms - a.match.terms) || (a.match.distance - b.match.distance));
+  if (!ranked.length) return null;
+  const [first, second] = ranked;
+  const tied = second && first.match.subject === second.match.subject && first.match.terms === second.match.terms &&
+    first.match.distance === second.match.distance && first.metric.value !== second.metric.value;
+  return tied ? null : first.metric;
+}
+
+function formatClaimValue(metric, language) {
+  return metric.unit === 'percent'
+    ? `${formatNumber(Number(metric.value.toFixed(1)), language)}%`
+    : formatNumber(metric.value, language);
+}
+
+function checkSentence(sentence, metrics, events, { mode, language }) {
+  const lowered = sentence.toLowerCase();
+  const claims = extractClaims(sentence).map(claim => {
+    const sameUnit = metrics.filter(item => item.unit === claim.unit);
+    const sameValue = sameUnit.filter(metric => matchesValue(metric, claim) && (!metric.subject || lowered.includes(metric.subject)));
+    const metric = closestMetric(sameUnit, claim, lowered);
+    if (metric && matchesValue(metric, claim)) return { ...claim, status: 'verified', metric };
+    // A number that fits another metric mentioned nearby, or that the
+    // sentence gives no context for, is taken as that metric.
+    const mentioned = sameUnit.some(item => termMatch(item, claim, lowered));
+    const alternative = closestMetric(sameValue, claim, lowered) || (!mentioned && sameValue[0]);
+    if (alternative) return { ...claim, status: 'verified', metric: alternative };
+    const named = namedMetric(sameUnit, claim, lowered);
+    if (named && mode === 'correct') {
+      return { ...claim, status: 'corrected', metric: named, replacement: formatClaimValue(named, language) };
+    }
+    return { ...claim, status: 'unverified', metric: named };
+  });
+
+  let text = sentence;
+  [...claims].reverse().filter(claim => claim.status === 'corrected').forEach(claim => {
+    text = `${text.slice(0, claim.index)}${text.slice(claim.index, claim.end).replace(claim.text, claim.replacement)}${text.slice(claim.end)}`;
+  });
+
+  const cited = events.filter(event =>
+    (event.action && event.action.length >= 3 && lowered.includes(event.action.toLowerCase())) ||
+    event.dateTexts.some(date => sentence.includes(date))
+  );
+
+  return { text, claims, events: cited };
+}
+
+function describeMetric(metric) {
+  return { id: metric.id, label: metric.label, value: Number(metric.value.toFixed(2)), unit: metric.unit };
+}
+
+function describeClaim(claim) {
+  const described = { text: claim.text, value: claim.value, unit: claim.unit, status: claim.status };
+  if (claim.metric) {
+    described.metric = claim.metric.id;
+    if (claim.status !== 'verified') described.expected = Number(claim.metric.value.toFixed(2));
+  }
+  if (claim.replacement) described.correctedTo = claim.replacement;
+  return described;
+}
+
+// Checks every numeric claim in the report's text fields against the computed
+// metrics and links each sentence to the metrics and lifecycle events it draws
+// on. Returns the (possibly corrected) analysis, the per-sentence evidence and
+// claim totals.
+function groundReport(analysis, { metrics, events = [], mode = GROUNDING_MODE, language = DEFAULT_LANGUAGE }) {
+  const evidence = [];
+  const totals = { claims: 0, verified: 0, corrected: 0, unverified: 0 };
+
+  const visit = (value, path) => {
+    if (typeof value === 'string') {
+      const sentences = splitSentences(value).map(sentence => {
+        const checked = checkSentence(sentence, metrics, events, { mode, language });
+        const cited = new Map();
+        checked.claims.forEach(claim => {
+          totals.claims += 1;
+          totals[claim.status] += 1;
+          if (claim.metric && claim.status !== 'unverified') cited.set(claim.metric.id, claim.metric);
+        });
+        evidence.push({
+          field: path.join('.'),
+          sentence: checked.text,
+          metrics: [...cited.values()].map(describeMetric),
+          events: checked.events.map(({ id, action, role, date }) => ({ id, action, role, date })),
+          claims: checked.claims.map(describeClaim),
+          grounded: checked.claims.every(claim => claim.status !== 'unverified') && (cited.size > 0 || checked.events.length > 0)
+        });
+        return checked.text;
+      });
+      // Text without corrections keeps its original spacing.
+      return sentences.some((sentence, index) => sentence !== splitSentences(value)[index]) ? sentences.join(' ') : value;
+    }
+    if (Array.isArray(value)) return value.map((item, index) => visit(item, [...path, index]));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, visit(item, [...path, key])]));
+    }
+    return value;
+  };
+
+  const grounded = visit(analysis, []);
+  return {
+    analysis: grounded,
+    evidence,
+    summary: {
+      mode,
+      ...totals,
+      sentences: evidence.length,
+      groundedSentences: evidence.filter(item => item.grounded).length
+    }
+  };
+}
+
+module.exports = {
+  GROUNDING_MODES,
+  GROUNDING_MODE,
+  buildContestMetrics,
+  buildEventSources,
+  splitSentences,
+  extractClaims,
+  groundReport
+};
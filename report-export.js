@@ -0,0 +1,333 @@
+const fs = require('fs');
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const dotenv = require('dotenv');
+const PDFDocument = require('pdfkit');
+const ExcelJS = require('exceljs');
+const {
+  getContestLifeCycleData,
+  getRecruiterStatsData,
+  contestAnalyticsOptions,
+  processContestAnalytics,
+  reportName: CONTEST_REPORT
+} = require('./final_report');
+const { analyzeRejectionReasons } = require('./rejectionStats');
+const { analyzeFunnel } = require('./funnel');
+const { getOrGenerateReport, wantsRefresh } = require('./report-cache');
+const { ROLES, requireRole, authorizeContest } = require('./auth');
+
+dotenv.config();
+
+const router = express.Router();
+
+const BRAND = {
+  name: process.env.REPORT_BRAND_NAME || 'IFIN',
+  color: process.env.REPORT_BRAND_COLOR || '#1f4e79',
+  logoPath: process.env.REPORT_LOGO_PATH
+};
+
+// The built-in Helvetica only draws Latin-1 text. PDF_FONT_PATH (and
+// PDF_BOLD_FONT_PATH) embed a Unicode TrueType font such as Noto Sans for
+// reports in other scripts; without one those reports are refused as PDF.
+const PDF_FONTS = process.env.PDF_FONT_PATH
+  ? { regular: process.env.PDF_FONT_PATH, bold: process.env.PDF_BOLD_FONT_PATH || process.env.PDF_FONT_PATH, unicode: true }
+  : { regular: 'Helvetica', bold: 'Helvetica-Bold', unicode: false };
+const HELVETICA_TEXT = /^[\u0000-\u00ff\u2013\u2014\u2018\u2019\u201c\u201d\u2022\u2026\u20ac]*$/;
+
+const AI_SECTIONS = [
+  ['contest-lifecycle', 'Contest Lifecycle'],
+  ['candidate-funnel-analysis', 'Candidate Funnel Analysis'],
+  ['recruiter-performance', 'Recruiter Performance'],
+  ['overall-ai-powered-insights-and-recommendations', 'AI-Powered Insights and Recommendations']
+];
+
+function formatDate(value) {
+  if (!value) return '';
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toISOString().slice(0, 10);
+}
+
+const EXPORT_TABLES = {
+  lifecycle: {
+    title: 'Lifecycle Timeline',
+    columns: [
+      { key: 'date', header: 'Date', width: 70 },
+      { key: 'action', header: 'Action', width: 110 },
+      { key: 'userName', header: 'By', width: 90 },
+      { key: 'userRole', header: 'Role', width: 70 },
+      { key: 'comment', header: 'Comment', width: 175 }
+    ],
+    rows: data => data.lifecycle.map(doc => ({
+      date: formatDate(doc.createdDate),
+      action: doc.action,
+      userName: doc.userName,
+      userRole: doc.userRole,
+      comment: doc.comment
+    }))
+  },
+  funnel: {
+    title: 'Candidate Funnel',
+    columns: [
+      { key: 'stage', header: 'Stage', width: 80 },
+      { key: 'reached', header: 'Reached', width: 65 },
+      { key: 'currentlyIn', header: 'Currently In', width: 75 },
+      { key: 'conversionFromPrevious', header: 'Conversion %', width: 80 },
+      { key: 'dropOff', header: 'Dropped Off', width: 75 },
+      { key: 'medianHours', header: 'Median Hours', width: 70 },
+      { key: 'p90Hours', header: 'P90 Hours', width: 70 }
+    ],
+    rows: data => data.funnel.funnel.stages.map((stage, index) => ({
+      ...stage,
+      medianHours: data.funnel.timeInStage[index]?.medianHours,
+      p90Hours: data.funnel.timeInStage[index]?.p90Hours
+    }))
+  },
+  recruiters: {
+    title: 'Recruiter Performance',
+    columns: [
+      { key: 'recruiterName', header: 'Recruiter', width: 165 },
+      { key: 'profilesSubmitted', header: 'Submitted', width: 85 },
+      { key: 'profilesShortlisted', header: 'Shortlisted', width: 85 },
+      { key: 'profilesL1', header: 'L1', width: 85 },
+      { key: 'submissionRatio', header: 'L1 Ratio', width: 95 }
+    ],
+    rows: data => data.recruiters
+  },
+  rejections: {
+    title: 'Rejection Breakdown',
+    columns: [
+      { key: 'label', header: 'Category', width: 165 },
+      { key: 'count', header: 'Candidates', width: 90 },
+      { key: 'percentage', header: 'Share %', width: 90 },
+      { key: 'examples', header: 'Examples', width: 170 }
+    ],
+    rows: data => (data.rejections?.categories || []).map(item => ({
+      ...item,
+      examples: item.examples.join('; ')
+    }))
+  }
+};
+
+async function buildExportData(contestId, { refresh = false } = {}) {
+  const analyticsOptions = contestAnalyticsOptions(contestId);
+  const [lifecycle, recruiters, funnel, analytics] = await Promise.all([
+    getContestLifeCycleData(contestId),
+    getRecruiterStatsData(contestId),
+    analyzeFunnel(contestId),
+    getOrGenerateReport({
+      report: CONTEST_REPORT,
+      contestId,
+      options: analyticsOptions,
+      refresh,
+      generate: () => processContestAnalytics(contestId, analyticsOptions)
+    })
+  ]);
+
+  let rejections = null;
+  try {
+    rejections = await analyzeRejectionReasons(contestId);
+  } catch (error) {
+    if (error.statusCode !== 404) throw error;
+  }
+
+  return {
+    contestId,
+    generatedAt: new Date(),
+    lifecycle,
+    recruiters,
+    funnel,
+    rejections,
+    aiAnalysis: analytics.success ? analytics.aiAnalysis : null,
+    aiAnalysisStatus: analytics.aiAnalysisStatus || null
+  };
+}
+
+// Text starting with =, +, -, @, tab or CR is prefixed with ' so
+// spreadsheets do not run it as a formula.
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const raw = String(value);
+  const text = typeof value !== 'number' && /^[=+\-@\t\r]/.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function renderCsv(data, tableName) {
+  const table = EXPORT_TABLES[tableName];
+  const lines = [table.columns.map(column => csvCell(column.header)).join(',')];
+  table.rows(data).forEach(row => {
+    lines.push(table.columns.map(column => csvCell(row[column.key])).join(','));
+  });
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+async function renderXlsx(data) {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = BRAND.name;
+  workbook.created = data.generatedAt;
+
+  const summary = workbook.addWorksheet('AI Summary');
+  summary.columns = [
+    { header: 'Section', key: 'section', width: 40 },
+    { header: 'Field', key: 'field', width: 20 },
+    { header: 'Text', key: 'text', width: 120 }
+  ];
+  AI_SECTIONS.forEach(([key, title]) => {
+    Object.entries(data.aiAnalysis?.[key] || {}).forEach(([field, text]) => {
+      summary.addRow({ section: title, field, text });
+    });
+  });
+
+  Object.values(EXPORT_TABLES).forEach(table => {
+    const sheet = workbook.addWorksheet(table.title);
+    sheet.columns = table.columns.map(column => ({
+      header: column.header,
+      key: column.key,
+      width: Math.round(column.width / 6)
+    }));
+    table.rows(data).forEach(row => sheet.addRow(row));
+  });
+
+  workbook.worksheets.forEach(sheet => {
+    const header = sheet.getRow(1);
+    header.font = { bold: true, color: { argb: 'FFFFFFFF' } };
+    header.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: `FF${BRAND.color.replace('#', '')}` } };
+  });
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+}
+
+function drawTable(doc, table, rows) {
+  const rowHeight = 18;
+  const left = doc.page.margins.left;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+
+  const drawRow = (values, { header = false } = {}) => {
+    const height = Math.max(rowHeight, ...table.columns.map((column, i) =>
+      doc.heightOfString(String(values[i] ?? ''), { width: column.width - 6 }) + 6));
+    if (doc.y + height > bottom) doc.addPage();
+    const top = doc.y;
+    if (header) {
+      doc.rect(left, top, table.columns.reduce((sum, column) => sum + column.width, 0), height).fill(BRAND.color);
+    }
+    let x = left;
+    doc.fillColor(header ? 'white' : 'black').font(header ? PDF_FONTS.bold : PDF_FONTS.regular);
+    table.columns.forEach((column, i) => {
+      doc.text(String(values[i] ?? ''), x + 3, top + 3, { width: column.width - 6 });
+      x += column.width;
+    });
+    doc.y = top + height;
+    doc.x = left;
+  };
+
+  doc.fontSize(13).fillColor(BRAND.color).font(PDF_FONTS.bold).text(table.title);
+  doc.moveDown(0.3).fontSize(8);
+  drawRow(table.columns.map(column => column.header), { header: true });
+  if (!rows.length) {
+    drawRow(['No data available']);
+  }
+  rows.forEach(row => drawRow(table.columns.map(column => row[column.key])));
+  doc.moveDown(1);
+}
+
+function assertPdfFont(data) {
+  if (PDF_FONTS.unicode) return;
+  const { contestId, lifecycle, recruiters, funnel, rejections, aiAnalysis } = data;
+  if (HELVETICA_TEXT.test(JSON.stringify({ contestId, lifecycle, recruiters, funnel, rejections, aiAnalysis }))) return;
+  const error = new Error('The report contains text the built-in PDF font cannot draw; set PDF_FONT_PATH to a Unicode TrueType font or export as xlsx or csv');
+  error.statusCode = 422;
+  throw error;
+}
+
+function renderPdf(data) {
+  assertPdfFont(data);
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 40, info: { Title: `${BRAND.name} Contest Report`, Author: BRAND.name } });
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    if (BRAND.logoPath && fs.existsSync(BRAND.logoPath)) {
+      doc.image(BRAND.logoPath, doc.page.margins.left, 30, { height: 36 });
+      doc.moveDown(2);
+    }
+    doc.fontSize(20).fillColor(BRAND.color).font(PDF_FONTS.bold).text(`${BRAND.name} Contest Final Report`);
+    doc.fontSize(9).fillColor('gray').font(PDF_FONTS.regular)
+      .text(`Contest ${data.contestId} - generated ${data.generatedAt.toISOString().slice(0, 16).replace('T', ' ')} UTC`);
+    doc.moveDown(1);
+
+    if (data.aiAnalysis) {
+      AI_SECTIONS.forEach(([key, title]) => {
+        const section = data.aiAnalysis[key];
+        if (!section) return;
+        doc.fontSize(13).fillColor(BRAND.color).font(PDF_FONTS.bold).text(title);
+        doc.fontSize(10).fillColor('black').font(PDF_FONTS.regular);
+        Object.values(section).forEach(text => doc.text(text, { align: 'justify' }).moveDown(0.4));
+        doc.moveDown(0.6);
+      });
+      if (data.aiAnalysisStatus && data.aiAnalysisStatus !== 'generated') {
+        doc.fontSize(8).fillColor('gray').text(`AI summary status: ${data.aiAnalysisStatus}`).moveDown(1);
+      }
+    }
+
+    ['lifecycle', 'funnel', 'recruiters', 'rejections'].forEach(name => {
+      drawTable(doc, EXPORT_TABLES[name], EXPORT_TABLES[name].rows(data));
+    });
+
+    doc.end();
+  });
+}
+
+const CONTENT_TYPES = {
+  pdf: 'application/pdf',
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+router.get('/contestAnalytics/:contestId/export', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), authorizeContest, async (req, res) => {
+  const { contestId } = req.params;
+  const format = String(req.query.format || 'pdf').toLowerCase();
+  const tableName = String(req.query.table || 'funnel');
+
+  if (!ObjectId.isValid(contestId)) {
+    return res.status(400).json({ success: false, error: 'Invalid Contest ID format' });
+  }
+  if (!CONTENT_TYPES[format]) {
+    return res.status(400).json({ success: false, error: 'format must be one of pdf, csv, xlsx' });
+  }
+  if (format === 'csv' && !EXPORT_TABLES[tableName]) {
+    return res.status(400).json({ success: false, error: `table must be one of ${Object.keys(EXPORT_TABLES).join(', ')}` });
+  }
+
+  try {
+    const data = await buildExportData(contestId, { refresh: wantsRefresh(req) });
+    let body;
+    let filename = `contest-${contestId}-report`;
+    if (format === 'pdf') {
+      body = await renderPdf(data);
+    } else if (format === 'xlsx') {
+      body = await renderXlsx(data);
+    } else {
+      body = renderCsv(data, tableName);
+      filename = `contest-${contestId}-${tableName}`;
+    }
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+    res.send(body);
+  } catch (error) {
+    console.error('Export error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: 'Failed to export contest report', details: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  EXPORT_TABLES,
+  buildExportData,
+  renderCsv,
+  renderXlsx,
+  renderPdf,
+  endpoints: {
+    main: 'GET /contestAnalytics/:contestId/export?format=pdf|xlsx|csv&table=lifecycle|funnel|recruiters|rejections'
+  }
+};
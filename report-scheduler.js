@@ -0,0 +1,505 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const dotenv = require('dotenv');
+const { getDb } = require('./db');
+const { getOrGenerateReport } = require('./report-cache');
+const { contestAnalyticsOptions, processContestAnalytics } = require('./final_report');
+const { rejectionFeedbackOptions, processRejectionFeedbackObservation } = require('./rejection-feedback');
+const { analyzeFunnel } = require('./funnel');
+const { findContests } = require('./portfolio');
+const { isContestOwnedBy, isClosedAction, findOpenContestIds } = require('./contests');
+const { statusMatchExpression } = require('./status-normalization');
+const { validateChannelConfig, deliverReport } = require('./report-delivery');
+const { ROLES, requireRole, scopeContestFilters } = require('./auth');
+
+dotenv.config();
+
+const router = express.Router();
+
+const SCHEDULES_COLLECTION = 'reportSchedules';
+const RUNS_COLLECTION = 'scheduledReports';
+
+const SCHEDULER_ENABLED = process.env.REPORT_SCHEDULER_ENABLED === 'true';
+const TICK_MINUTES = Number(process.env.REPORT_SCHEDULER_INTERVAL_MINUTES || 5);
+const DIGEST_MAX_CONTESTS = Number(process.env.REPORT_DIGEST_MAX_CONTESTS || 20);
+
+const TRIGGERS = ['contestClosed', 'digest', 'rejections'];
+const DIGEST_INTERVALS = { daily: 24 * 60 * 60 * 1000, weekly: 7 * 24 * 60 * 60 * 1000 };
+const CONTEST_REPORTS = {
+  contestAnalytics: contestId => {
+    const options = contestAnalyticsOptions(contestId);
+    return getOrGenerateReport({
+      report: 'contestAnalytics',
+      contestId,
+      options,
+      generate: () => processContestAnalytics(contestId, options)
+    });
+  },
+  rejectionFeedbackObservation: contestId => {
+    const options = rejectionFeedbackOptions(contestId);
+    return getOrGenerateReport({
+      report: 'rejectionFeedbackObservation',
+      contestId,
+      options,
+      generate: () => processRejectionFeedbackObservation(contestId, options)
+    });
+  },
+  funnel: contestId => analyzeFunnel(contestId)
+};
+const DEFAULT_CONTEST_REPORTS = ['contestAnalytics', 'rejectionFeedbackObservation'];
+
+// Next digest time after `from`: daily at `hour` (UTC) or weekly on
+// `weekday` (0 = Sunday) at `hour`.
+function nextDigestAt(trigger, from = new Date()) {
+  const next = new Date(from);
+  next.setUTCMinutes(0, 0, 0);
+  next.setUTCHours(trigger.hour ?? 8);
+  if (trigger.interval === 'weekly') {
+    const days = ((trigger.weekday ?? 1) - next.getUTCDay() + 7) % 7;
+    next.setUTCDate(next.getUTCDate() + days);
+  }
+  while (next <= from) {
+    next.setTime(next.getTime() + DIGEST_INTERVALS[trigger.interval]);
+  }
+  return next;
+}
+
+function validateSchedule(body = {}) {
+  const { name, trigger, reports, channels } = body;
+  if (!name || typeof name !== 'string') return 'name is required';
+  if (!trigger || !TRIGGERS.includes(trigger.type)) {
+    return `trigger.type must be one of ${TRIGGERS.join(', ')}`;
+  }
+  if (trigger.type === 'digest') {
+    if (!DIGEST_INTERVALS[trigger.interval]) return 'trigger.interval must be "daily" or "weekly"';
+    if (trigger.hour !== undefined && !(Number.isInteger(trigger.hour) && trigger.hour >= 0 && trigger.hour <= 23)) {
+      return 'trigger.hour must be an integer between 0 and 23';
+    }
+    if (trigger.weekday !== undefined && !(Number.isInteger(trigger.weekday) && trigger.weekday >= 0 && trigger.weekday <= 6)) {
+      return 'trigger.weekday must be an integer between 0 (Sunday) and 6';
+    }
+  }
+  if (trigger.type === 'rejections' && !(Number.isInteger(trigger.threshold) && trigger.threshold > 0)) {
+    return 'trigger.threshold must be a positive integer';
+  }
+  if (reports !== undefined && reports !== null) {
+    if (!Array.isArray(reports) || !reports.length || reports.some(report => !CONTEST_REPORTS[report])) {
+      return `reports must be a non-empty array of ${Object.keys(CONTEST_REPORTS).join(', ')}`;
+    }
+  }
+  if (!Array.isArray(channels) || !channels.length) return 'channels must be a non-empty array';
+  for (const channel of channels) {
+    const error = validateChannelConfig(channel);
+    if (error) return error;
+  }
+  if (body.contestIds !== undefined && (!Array.isArray(body.contestIds) || body.contestIds.some(id => !ObjectId.isValid(id)))) {
+    return 'contestIds must be an array of Contest IDs';
+  }
+  return null;
+}
+
+// Webhook secrets are write-only.
+function scheduleView(schedule) {
+  return {
+    ...schedule,
+    channels: schedule.channels.map(channel => (
+      channel.secret ? { ...channel, secret: '[hidden]' } : channel
+    ))
+  };
+}
+
+async function contestInScope(schedule, contestId) {
+  const { scope = {} } = schedule;
+  if (scope.contestIds?.length) return scope.contestIds.includes(String(contestId));
+  if (scope.employerId) return isContestOwnedBy(String(contestId), scope.employerId);
+  return true;
+}
+
+async function runContestReports(reportNames, contestId) {
+  const reports = {};
+  for (const report of reportNames) {
+    try {
+      reports[report] = await CONTEST_REPORTS[report](contestId);
+    } catch (error) {
+      console.error(`Scheduled ${report} for contest ${contestId} failed:`, error.message);
+      reports[report] = { success: false, error: error.message };
+    }
+  }
+  return reports;
+}
+
+// Open contests in the schedule's scope, most recently active first.
+async function findDigestContests(schedule) {
+  const { scope = {} } = schedule;
+  const contestIds = scope.contestIds?.length || scope.employerId
+    ? (await findContests(scope)).map(doc => String(doc._id))
+    : null;
+  return findOpenContestIds({ contestIds, limit: DIGEST_MAX_CONTESTS });
+}
+
+// Contest schedules report on one contest; digests run the same reports for
+// every open contest in scope, keyed by contest id.
+async function runSchedule(schedule, { contestId = null, reason, period = null } = {}) {
+  const reportNames = schedule.reports || DEFAULT_CONTEST_REPORTS;
+  const contestIdString = contestId ? String(contestId) : null;
+  let reports = {};
+
+  if (schedule.trigger.type === 'digest') {
+    for (const id of await findDigestContests(schedule)) {
+      reports[id] = await runContestReports(reportNames, id);
+    }
+  } else {
+    reports = await runContestReports(reportNames, contestIdString);
+  }
+
+  const payload = {
+    scheduleId: String(schedule._id),
+    scheduleName: schedule.name,
+    trigger: schedule.trigger.type,
+    reason,
+    contestId: contestIdString,
+    period,
+    generatedAt: new Date().toISOString(),
+    reports
+  };
+  const subject = schedule.trigger.type === 'digest'
+    ? `${schedule.name}: ${schedule.trigger.interval} hiring digest`
+    : `${schedule.name}: contest ${contestIdString} (${reason})`;
+  const text = [
+    subject,
+    '',
+    `Trigger: ${reason}`,
+    schedule.trigger.type === 'digest'
+      ? `Open contests: ${Object.keys(reports).length} (${reportNames.join(', ')})`
+      : `Reports: ${Object.keys(reports).join(', ')}`,
+    'The full report is attached as JSON.'
+  ].join('\n');
+
+  const deliveries = await deliverReport(schedule.channels, { subject, text, payload });
+  const run = {
+    scheduleId: schedule._id,
+    trigger: schedule.trigger.type,
+    reason,
+    contestId: contestIdString ? new ObjectId(contestIdString) : null,
+    period,
+    reports,
+    deliveries,
+    createdAt: new Date()
+  };
+  const { insertedId } = await getDb().collection(RUNS_COLLECTION).insertOne(run);
+  return { runId: insertedId, ...run };
+}
+
+// Runs a contest-triggered report without letting one contest stop the
+// others. A failure is stored as a run with `error`, so it shows up in the
+// run history and the trigger is not retried on every tick.
+async function runContestTrigger(schedule, contestId, reason) {
+  try {
+    await runSchedule(schedule, { contestId, reason });
+  } catch (error) {
+    console.error(`Report schedule "${schedule.name}" failed for contest ${contestId}:`, error.message);
+    await getDb().collection(RUNS_COLLECTION).insertOne({
+      scheduleId: schedule._id,
+      trigger: schedule.trigger.type,
+      reason,
+      contestId: ObjectId.isValid(contestId) ? new ObjectId(contestId) : null,
+      period: null,
+      reports: {},
+      deliveries: [],
+      error: error.message,
+      createdAt: new Date()
+    }).catch(recordError => console.error('Could not record failed report run:', recordError.message));
+  }
+}
+
+async function checkContestClosed(schedule, now) {
+  const since = schedule.state?.lastEventAt || schedule.createdAt;
+  const events = await getDb().collection('contestLifeCycle')
+    .find({ createdDate: { $gt: since, $lte: now } })
+    .sort({ createdDate: 1 })
+    .toArray();
+  const closed = events.filter(event => isClosedAction(event.action));
+  const seen = new Set();
+  for (const event of closed) {
+    const contestId = String(event.contestId);
+    if (seen.has(contestId) || !(await contestInScope(schedule, contestId))) continue;
+    seen.add(contestId);
+    await runContestTrigger(schedule, contestId, `contest closed (${event.action})`);
+  }
+  const lastEventAt = events.length ? events[events.length - 1].createdDate : since;
+  return { 'state.lastEventAt': lastEventAt };
+}
+
+async function checkDigest(schedule, now) {
+  const dueAt = schedule.state?.nextRunAt || nextDigestAt(schedule.trigger, schedule.createdAt);
+  if (now < dueAt) return { 'state.nextRunAt': dueAt };
+  const from = schedule.lastRunAt || new Date(dueAt.getTime() - DIGEST_INTERVALS[schedule.trigger.interval]);
+  await runSchedule(schedule, { reason: `${schedule.trigger.interval} digest`, period: { from, to: now } });
+  return { 'state.nextRunAt': nextDigestAt(schedule.trigger, now), lastRunAt: now };
+}
+
+// Compares each contest's rejected count with the count at the last report.
+// The first check only records a baseline so enabling a schedule does not
+// report every existing rejection.
+async function checkRejections(schedule) {
+  const match = schedule.scope?.contestIds?.length
+    ? { contestId: { $in: schedule.scope.contestIds.map(id => new ObjectId(id)) } }
+    : {};
+  const counts = await getDb().collection('recruiterAddProfiles').aggregate([
+    { $match: match },
+    { $unwind: '$jobseekerDetails' },
+    { $match: { $expr: statusMatchExpression('$jobseekerDetails.empStatus', 'rejected') } },
+    { $group: { _id: '$contestId', rejected: { $sum: 1 } } }
+  ]).toArray();
+
+  const baseline = schedule.state?.rejectionCounts || null;
+  const next = { ...(baseline || {}) };
+  for (const { _id, rejected } of counts) {
+    const contestId = String(_id);
+    if (!baseline) {
+      next[contestId] = rejected;
+      continue;
+    }
+    const previous = baseline[contestId] || 0;
+    if (rejected - previous < schedule.trigger.threshold) continue;
+    if (!(await contestInScope(schedule, contestId))) continue;
+    await runContestTrigger(schedule, contestId, `${rejected - previous} new rejections`);
+    next[contestId] = rejected;
+  }
+  return { 'state.rejectionCounts': next };
+}
+
+const CHECKS = {
+  contestClosed: checkContestClosed,
+  digest: checkDigest,
+  rejections: checkRejections
+};
+
+let running = false;
+
+async function runDueSchedules(now = new Date()) {
+  if (running) return;
+  running = true;
+  try {
+    const schedules = await getDb().collection(SCHEDULES_COLLECTION).find({ enabled: true }).toArray();
+    for (const schedule of schedules) {
+      try {
+        const update = await CHECKS[schedule.trigger.type](schedule, now);
+        await getDb().collection(SCHEDULES_COLLECTION).updateOne(
+          { _id: schedule._id },
+          { $set: { ...update, 'state.checkedAt': now } }
+        );
+      } catch (error) {
+        console.error(`Report schedule "${schedule.name}" failed:`, error.message);
+      }
+    }
+  } finally {
+    running = false;
+  }
+}
+
+let timer = null;
+
+function startScheduler() {
+  if (!SCHEDULER_ENABLED || timer) return;
+  timer = setInterval(() => {
+    runDueSchedules().catch(error => console.error('Report scheduler tick failed:', error.message));
+  }, TICK_MINUTES * 60 * 1000);
+  timer.unref();
+  console.log(`Report scheduler checking every ${TICK_MINUTES} minute(s)`);
+}
+
+function stopScheduler() {
+  clearInterval(timer);
+  timer = null;
+}
+
+function ownerFilter(user) {
+  if (user.role === ROLES.ADMIN) return {};
+  if (!user.employerId) {
+    const error = new Error('Employer credentials do not carry an employerId');
+    error.statusCode = 403;
+    throw error;
+  }
+  return { 'scope.employerId': user.employerId };
+}
+
+async function findOwnedSchedule(req, res) {
+  const { scheduleId } = req.params;
+  if (!ObjectId.isValid(scheduleId)) {
+    res.status(400).json({ success: false, error: 'Invalid schedule ID format' });
+    return null;
+  }
+  const schedule = await getDb().collection(SCHEDULES_COLLECTION)
+    .findOne({ _id: new ObjectId(scheduleId), ...ownerFilter(req.user) });
+  if (!schedule) {
+    res.status(404).json({ success: false, error: 'Schedule not found' });
+    return null;
+  }
+  return schedule;
+}
+
+router.post('/schedules', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), async (req, res) => {
+  const error = validateSchedule(req.body);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  try {
+    const { name, trigger, reports, channels, contestIds } = req.body;
+    const scope = await scopeContestFilters(req.user, contestIds?.length ? { contestIds } : {});
+    if (req.user.role === ROLES.EMPLOYER) scope.employerId = req.user.employerId;
+    const now = new Date();
+    const schedule = {
+      name,
+      trigger,
+      reports: reports || DEFAULT_CONTEST_REPORTS,
+      channels,
+      scope,
+      enabled: req.body.enabled !== false,
+      state: trigger.type === 'digest' ? { nextRunAt: nextDigestAt(trigger, now) } : {},
+      lastRunAt: null,
+      createdBy: req.user.id,
+      createdAt: now
+    };
+    const { insertedId } = await getDb().collection(SCHEDULES_COLLECTION).insertOne(schedule);
+    res.status(201).json({ success: true, schedule: scheduleView({ _id: insertedId, ...schedule }) });
+  } catch (err) {
+    console.error('Schedule creation error:', err);
+    res.status(err.statusCode || 500).json({ success: false, error: err.message });
+  }
+});
+
+router.get('/schedules', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), async (req, res) => {
+  try {
+    const schedules = await getDb().collection(SCHEDULES_COLLECTION)
+      .find(ownerFilter(req.user))
+      .sort({ createdAt: -1 })
+      .toArray();
+    res.json({ success: true, schedulerEnabled: SCHEDULER_ENABLED, schedules: schedules.map(scheduleView) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.patch('/schedules/:scheduleId', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), async (req, res) => {
+  try {
+    const schedule = await findOwnedSchedule(req, res);
+    if (!schedule) return;
+    const merged = { ...schedule, ...req.body, contestIds: req.body.contestIds ?? schedule.scope.contestIds };
+    const error = validateSchedule(merged);
+    if (error) {
+      return res.status(400).json({ success: false, error });
+    }
+    const update = { updatedAt: new Date() };
+    ['name', 'reports', 'channels', 'enabled'].forEach(field => {
+      if (req.body[field] !== undefined) update[field] = req.body[field];
+    });
+    if (req.body.trigger) {
+      update.trigger = req.body.trigger;
+      update.state = req.body.trigger.type === 'digest' ? { nextRunAt: nextDigestAt(req.body.trigger, new Date()) } : {};
+    }
+    if (req.body.contestIds) {
+      update.scope = await scopeContestFilters(req.user, { contestIds: req.body.contestIds });
+      if (req.user.role === ROLES.EMPLOYER) update.scope.employerId = req.user.employerId;
+    }
+    const updated = await getDb().collection(SCHEDULES_COLLECTION).findOneAndUpdate(
+      { _id: schedule._id },
+      { $set: update },
+      { returnDocument: 'after' }
+    );
+    res.json({ success: true, schedule: scheduleView(updated) });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.delete('/schedules/:scheduleId', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), async (req, res) => {
+  try {
+    const schedule = await findOwnedSchedule(req, res);
+    if (!schedule) return;
+    await getDb().collection(SCHEDULES_COLLECTION).deleteOne({ _id: schedule._id });
+    res.json({ success: true, deleted: schedule._id });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+// Runs a schedule now, regardless of its trigger. Contest schedules need a
+// `contestId`; digests cover the last interval.
+router.post('/schedules/:scheduleId/run', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), async (req, res) => {
+  try {
+    const schedule = await findOwnedSchedule(req, res);
+    if (!schedule) return;
+    const now = new Date();
+    if (schedule.trigger.type === 'digest') {
+      const from = new Date(now.getTime() - DIGEST_INTERVALS[schedule.trigger.interval]);
+      const run = await runSchedule(schedule, { reason: 'manual run', period: { from, to: now } });
+      return res.json({ success: true, run });
+    }
+    const { contestId } = req.body || {};
+    if (!contestId || !ObjectId.isValid(contestId)) {
+      return res.status(400).json({ success: false, error: 'A valid contestId is required for contest schedules' });
+    }
+    if (!(await contestInScope(schedule, contestId))) {
+      return res.status(403).json({ success: false, error: 'Contest is outside this schedule\'s scope' });
+    }
+    const run = await runSchedule(schedule, { contestId, reason: 'manual run' });
+    res.json({ success: true, run });
+  } catch (error) {
+    console.error('Manual schedule run error:', error);
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/schedules/:scheduleId/runs', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), async (req, res) => {
+  try {
+    const schedule = await findOwnedSchedule(req, res);
+    if (!schedule) return;
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const runs = await getDb().collection(RUNS_COLLECTION)
+      .find({ scheduleId: schedule._id }, { projection: { reports: 0 } })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
+    res.json({ success: true, scheduleId: schedule._id, runs });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+router.get('/schedules/:scheduleId/runs/:runId', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), async (req, res) => {
+  try {
+    const schedule = await findOwnedSchedule(req, res);
+    if (!schedule) return;
+    if (!ObjectId.isValid(req.params.runId)) {
+      return res.status(400).json({ success: false, error: 'Invalid run ID format' });
+    }
+    const run = await getDb().collection(RUNS_COLLECTION)
+      .findOne({ _id: new ObjectId(req.params.runId), scheduleId: schedule._id });
+    if (!run) {
+      return res.status(404).json({ success: false, error: 'Run not found' });
+    }
+    res.json({ success: true, run });
+  } catch (error) {
+    res.status(error.statusCode || 500).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  nextDigestAt,
+  validateSchedule,
+  runSchedule,
+  runDueSchedules,
+  startScheduler,
+  stopScheduler,
+  endpoints: {
+    create: 'POST /schedules',
+    list: 'GET /schedules',
+    update: 'PATCH /schedules/:scheduleId',
+    remove: 'DELETE /schedules/:scheduleId',
+    run: 'POST /schedules/:scheduleId/run',
+    runs: 'GET /schedules/:scheduleId/runs',
+    runDetail: 'GET /schedules/:scheduleId/runs/:runId'
+  }
+};
@@ -0,0 +1,102 @@
+// Expected shape of each AI report. `wordCount` mirrors the length rules
+// given to the model in the prompt and is enforced by ai-report.js.
+
+function textField(min, max) {
+  return { type: 'string', minLength: 1, wordCount: { min, max } };
+}
+
+function section(fields) {
+  return {
+    type: 'object',
+    required: Object.keys(fields),
+    properties: fields,
+    additionalProperties: false
+  };
+}
+
+const rejectionFeedbackObservationSchema = section({
+  observation: textField(60, 80),
+  recommendedAction: textField(40, 50)
+});
+
+const contestAnalyticsSchema = section({
+  'contest-lifecycle': section({
+    summary: textField(30, 40),
+    detailedAnalysis: textField(80, 100),
+    currentStatus: textField(15, 20)
+  }),
+  'candidate-funnel-analysis': section({
+    summary: textField(30, 40),
+    detailedAnalysis: textField(80, 100)
+  }),
+  'recruiter-performance': section({
+    summary: textField(30, 40),
+    detailedAnalysis: textField(80, 100)
+  }),
+  'overall-ai-powered-insights-and-recommendations': section({
+    summary: textField(40, 50),
+    recommendations: textField(60, 80)
+  })
+});
+
+const rejectionClassificationSchema = {
+  type: 'object',
+  required: ['classifications'],
+  properties: {
+    classifications: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['index', 'categories'],
+        properties: {
+          index: { type: 'integer', minimum: 0 },
+          categories: { type: 'array', minItems: 1, items: { type: 'string' } }
+        }
+      }
+    }
+  }
+};
+
+// One schema per requested letter length.
+function feedbackLetter(min, max) {
+  return section({
+    subject: textField(4, 12),
+    body: textField(min, max)
+  });
+}
+
+const contestAlertSummarySchema = section({
+  summary: textField(40, 80),
+  recommendedActions: textField(30, 60)
+});
+
+const nlQueryPlanSchema = {
+  type: 'object',
+  required: ['collection', 'pipeline', 'explanation'],
+  properties: {
+    collection: { type: 'string', enum: ['recruiterAddProfiles', 'recruiterProfile', 'contestLifeCycle'] },
+    pipeline: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 12,
+      items: { type: 'object', minProperties: 1, maxProperties: 1 }
+    },
+    explanation: textField(5, 40)
+  }
+};
+
+const nlQueryAnswerSchema = section({
+  answer: textField(10, 120)
+});
+
+module.exports = {
+  rejectionFeedbackObservation: rejectionFeedbackObservationSchema,
+  contestAnalytics: contestAnalyticsSchema,
+  rejectionClassification: rejectionClassificationSchema,
+  'candidateFeedbackLetter.short': feedbackLetter(70, 100),
+  'candidateFeedbackLetter.medium': feedbackLetter(130, 170),
+  'candidateFeedbackLetter.long': feedbackLetter(200, 260),
+  contestAlertSummary: contestAlertSummarySchema,
+  nlQueryPlan: nlQueryPlanSchema,
+  nlQueryAnswer: nlQueryAnswerSchema
+};
@@ -0,0 +1,149 @@
+// Translations of the canned texts returned when an AI report cannot be
+// generated. English originals live next to each report; see localization.js.
+
+function rejectionTexts(observation, recommendedAction) {
+  return { observation, recommendedAction };
+}
+
+function contestTexts([lifecycleSummary, lifecycleAnalysis, currentStatus, funnelSummary, funnelAnalysis, recruiterSummary, recruiterAnalysis, overallSummary, recommendations]) {
+  return {
+    'contest-lifecycle': { summary: lifecycleSummary, detailedAnalysis: lifecycleAnalysis, currentStatus },
+    'candidate-funnel-analysis': { summary: funnelSummary, detailedAnalysis: funnelAnalysis },
+    'recruiter-performance': { summary: recruiterSummary, detailedAnalysis: recruiterAnalysis },
+    'overall-ai-powered-insights-and-recommendations': { summary: overallSummary, recommendations }
+  };
+}
+
+const rejectionFallback = {
+  hi: rejectionTexts(
+    'एआई प्रतिक्रिया को अपेक्षित प्रारूप में एक मान्य विश्लेषण में नहीं बदला जा सका। अस्वीकृति डेटा व्यवस्थित समस्याओं की ओर संकेत करता है, जिनके मूल कारणों को समझने और भर्ती प्रक्रिया के लिए व्यापक सुधार रणनीतियाँ बनाने हेतु विस्तृत विश्लेषण आवश्यक है।',
+    'कृपया विश्लेषण फिर से चलाएँ या अस्वीकृति डेटा की मैन्युअल समीक्षा करें, ताकि भर्ती प्रक्रिया में लक्षित सुधार किए जा सकें। अस्वीकृति के पैटर्न और उम्मीदवार फ़ीडबैक तंत्र के व्यवस्थित मूल्यांकन पर ध्यान दें।'
+  ),
+  ta: rejectionTexts(
+    'AI பதிலை எதிர்பார்த்த வடிவத்தில் சரியான பகுப்பாய்வாக மாற்ற முடியவில்லை. நிராகரிப்புத் தரவு அமைப்பு ரீதியான சிக்கல்களைச் சுட்டிக்காட்டுகிறது; அவற்றின் மூல காரணங்களைப் புரிந்துகொள்ளவும் ஆட்சேர்ப்பு செயல்முறைக்கான விரிவான மேம்பாட்டு உத்திகளை உருவாக்கவும் விரிவான பகுப்பாய்வு தேவை.',
+    'பகுப்பாய்வை மீண்டும் இயக்கவும் அல்லது நிராகரிப்புத் தரவை நேரடியாக மதிப்பாய்வு செய்து ஆட்சேர்ப்பு செயல்முறையில் இலக்கு மேம்பாடுகளைச் செயல்படுத்தவும். நிராகரிப்பு முறைகள் மற்றும் வேட்பாளர் கருத்து வழிமுறைகளின் முறையான மதிப்பீட்டில் கவனம் செலுத்தவும்.'
+  ),
+  te: rejectionTexts(
+    'AI ప్రతిస్పందనను ఆశించిన ఫార్మాట్‌లో సరైన విశ్లేషణగా మార్చలేకపోయాము. తిరస్కరణ డేటా వ్యవస్థాగత సమస్యలను సూచిస్తోంది; వాటి మూల కారణాలను అర్థం చేసుకోవడానికి మరియు నియామక ప్రక్రియకు సమగ్ర మెరుగుదల వ్యూహాలను రూపొందించడానికి వివరమైన విశ్లేషణ అవసరం.',
+    'దయచేసి విశ్లేషణను మళ్లీ అమలు చేయండి లేదా తిరస్కరణ డేటాను మాన్యువల్‌గా సమీక్షించి నియామక ప్రక్రియలో లక్ష్యిత మెరుగుదలలు చేయండి. తిరస్కరణ నమూనాలు మరియు అభ్యర్థుల ఫీడ్‌బ్యాక్ విధానాల క్రమబద్ధమైన మూల్యాంకనంపై దృష్టి పెట్టండి.'
+  ),
+  es: rejectionTexts(
+    'La respuesta de la IA no pudo convertirse en un análisis válido con el formato esperado. Los datos de rechazo sugieren problemas sistemáticos que requieren un análisis detallado para comprender sus causas y desarrollar estrategias de mejora integrales para el proceso de selección.',
+    'Vuelva a ejecutar el análisis o revise manualmente los datos de rechazo para aplicar mejoras específicas en el proceso de selección, centrándose en una evaluación sistemática de los patrones de rechazo y de los mecanismos de retroalimentación a los candidatos.'
+  ),
+  fr: rejectionTexts(
+    "La réponse de l'IA n'a pas pu être transformée en une analyse valide au format attendu. Les données de rejet suggèrent des problèmes systémiques qui nécessitent une analyse détaillée pour en comprendre les causes profondes et élaborer des stratégies d'amélioration globales du processus de recrutement.",
+    "Veuillez relancer l'analyse ou examiner manuellement les données de rejet afin d'apporter des améliorations ciblées au processus de recrutement, en vous concentrant sur une évaluation systématique des motifs de rejet et des mécanismes de retour aux candidats."
+  )
+};
+
+const rejectionNoData = {
+  hi: rejectionTexts(
+    'इस प्रतियोगिता में कोई अस्वीकृत उम्मीदवार नहीं मिला, जो या तो सफल उम्मीदवार चयन या विश्लेषण के लिए अपर्याप्त डेटा को दर्शाता है। यह प्रभावी प्रारंभिक स्क्रीनिंग या सभी आवश्यकताओं को पूरा करने वाले सीमित उम्मीदवार समूह का संकेत हो सकता है।',
+    'आगामी प्रतियोगिताओं में अस्वीकृति के पैटर्न पर नज़र रखते रहें और वर्तमान स्क्रीनिंग मानकों को बनाए रखें, साथ ही आवेदकों की विविधता और चयन के विकल्प बढ़ाने के लिए उम्मीदवार सोर्सिंग का विस्तार करें।'
+  ),
+  ta: rejectionTexts(
+    'இந்தப் போட்டியில் நிராகரிக்கப்பட்ட வேட்பாளர்கள் யாரும் இல்லை. இது வெற்றிகரமான தேர்வையோ அல்லது பகுப்பாய்வுக்குப் போதுமான தரவு இல்லாததையோ குறிக்கலாம். பயனுள்ள ஆரம்பத் திரையிடலோ அல்லது அனைத்துத் தேவைகளையும் பூர்த்தி செய்த குறைந்த எண்ணிக்கையிலான வேட்பாளர்களோ இதற்குக் காரணமாக இருக்கலாம்.',
+    'எதிர்வரும் போட்டிகளில் நிராகரிப்பு முறைகளைத் தொடர்ந்து கண்காணிக்கவும், தற்போதைய திரையிடல் தரங்களைப் பராமரிக்கவும், விண்ணப்பதாரர்களின் பன்முகத்தன்மையையும் தேர்வு வாய்ப்புகளையும் அதிகரிக்க வேட்பாளர் தேடலை விரிவுபடுத்தவும்.'
+  ),
+  te: rejectionTexts(
+    'ఈ పోటీలో తిరస్కరించబడిన అభ్యర్థులు ఎవరూ లేరు. ఇది విజయవంతమైన ఎంపికను లేదా విశ్లేషణకు తగినంత డేటా లేకపోవడాన్ని సూచించవచ్చు. ప్రభావవంతమైన ప్రాథమిక స్క్రీనింగ్ లేదా అన్ని అవసరాలను తీర్చిన పరిమిత అభ్యర్థుల సమూహం దీనికి కారణం కావచ్చు.',
+    'రాబోయే పోటీలలో తిరస్కరణ నమూనాలను పర్యవేక్షిస్తూ ఉండండి, ప్రస్తుత స్క్రీనింగ్ ప్రమాణాలను కొనసాగించండి, దరఖాస్తుదారుల వైవిధ్యం మరియు ఎంపిక అవకాశాలను పెంచడానికి అభ్యర్థుల సోర్సింగ్‌ను విస్తరించండి.'
+  ),
+  es: rejectionTexts(
+    'No se encontraron candidatos rechazados en este concurso, lo que indica una selección exitosa o datos insuficientes para el análisis. Esto podría reflejar un filtrado inicial eficaz o un grupo reducido de candidatos que cumplía todos los requisitos.',
+    'Siga supervisando los patrones de rechazo en futuros concursos y mantenga los criterios de filtrado actuales, ampliando a la vez las fuentes de candidatos para aumentar la diversidad de postulantes y las opciones de selección.'
+  ),
+  fr: rejectionTexts(
+    "Aucun candidat rejeté n'a été trouvé pour ce concours, ce qui indique soit une sélection réussie, soit des données insuffisantes pour l'analyse. Cela peut refléter une présélection efficace ou un vivier restreint de candidats répondant à toutes les exigences.",
+    "Continuez à suivre les motifs de rejet lors des prochains concours et maintenez les critères de présélection actuels, tout en élargissant le sourcing afin d'accroître la diversité des candidats et les possibilités de sélection."
+  )
+};
+
+const rejectionError = {
+  hi: rejectionTexts(
+    'अस्वीकृति विश्लेषण प्रक्रिया के दौरान एक त्रुटि हुई, जिससे विस्तृत अंतर्दृष्टि तैयार नहीं हो सकी। यह डेटा कनेक्टिविटी, डेटाबेस एक्सेस या सेवा में रुकावट की समस्या हो सकती है, जिस पर विश्लेषण क्षमता बहाल करने के लिए तुरंत तकनीकी ध्यान देना आवश्यक है।',
+    'सिस्टम कनेक्टिविटी जाँचें, डेटाबेस एक्सेस अनुमतियों की पुष्टि करें, सुनिश्चित करें कि सभी आवश्यक सेवाएँ चालू हैं, और अस्वीकृति विश्लेषण दोबारा चलाने से पहले त्रुटि लॉग की समीक्षा करें ताकि डेटा-आधारित भर्ती अंतर्दृष्टि बनी रहे।'
+  ),
+  ta: rejectionTexts(
+    'நிராகரிப்புப் பகுப்பாய்வின் போது பிழை ஏற்பட்டதால் விரிவான நுண்ணறிவுகளை உருவாக்க முடியவில்லை. இது தரவு இணைப்பு, தரவுத்தள அணுகல் அல்லது சேவைத் தடங்கல் சிக்கலாக இருக்கலாம்; பகுப்பாய்வுத் திறனை மீட்டெடுக்க உடனடி தொழில்நுட்பக் கவனம் தேவை.',
+    'கணினி இணைப்பைச் சரிபார்க்கவும், தரவுத்தள அணுகல் அனுமதிகளை உறுதிப்படுத்தவும், தேவையான அனைத்துச் சேவைகளும் இயங்குகின்றனவா என்பதை உறுதிசெய்யவும், நிராகரிப்புப் பகுப்பாய்வை மீண்டும் இயக்கும் முன் பிழைப் பதிவுகளை மதிப்பாய்வு செய்யவும்.'
+  ),
+  te: rejectionTexts(
+    'తిరస్కరణ విశ్లేషణ సమయంలో లోపం సంభవించడంతో సమగ్ర అంతర్దృష్టులను రూపొందించలేకపోయాము. ఇది డేటా కనెక్టివిటీ, డేటాబేస్ యాక్సెస్ లేదా సేవా అంతరాయ సమస్య కావచ్చు; విశ్లేషణ సామర్థ్యాన్ని పునరుద్ధరించడానికి తక్షణ సాంకేతిక శ్రద్ధ అవసరం.',
+    'సిస్టమ్ కనెక్టివిటీని తనిఖీ చేయండి, డేటాబేస్ యాక్సెస్ అనుమతులను నిర్ధారించండి, అవసరమైన అన్ని సేవలు పనిచేస్తున్నాయని నిర్ధారించుకోండి, తిరస్కరణ విశ్లేషణను మళ్లీ అమలు చేసే ముందు లోప లాగ్‌లను సమీక్షించండి.'
+  ),
+  es: rejectionTexts(
+    'Se produjo un error durante el análisis de rechazos que impidió generar conclusiones completas. Puede deberse a problemas de conectividad de datos, de acceso a la base de datos o a interrupciones del servicio que requieren atención técnica inmediata para restablecer la capacidad de análisis.',
+    'Compruebe la conectividad del sistema, verifique los permisos de acceso a la base de datos, asegúrese de que todos los servicios necesarios estén operativos y revise los registros de errores antes de volver a ejecutar el análisis de rechazos.'
+  ),
+  fr: rejectionTexts(
+    "Une erreur s'est produite pendant l'analyse des rejets et a empêché la production d'une analyse complète. Il peut s'agir de problèmes de connectivité des données, d'accès à la base de données ou d'interruptions de service nécessitant une intervention technique immédiate.",
+    "Vérifiez la connectivité du système et les droits d'accès à la base de données, assurez-vous que tous les services nécessaires fonctionnent et consultez les journaux d'erreurs avant de relancer l'analyse des rejets."
+  )
+};
+
+const contestFallback = {
+  hi: contestTexts([
+    'प्रतियोगिता जीवनचक्र विश्लेषण पूरा हुआ; हितधारकों की गतिविधियाँ दर्ज हैं और सक्रिय प्रबंधन के साथ कई चरणों में प्रगति दिखाई देती है।',
+    'एआई विश्लेषण अपेक्षित प्रारूप में तैयार नहीं हो सका। प्रतियोगिता में कई हितधारकों की गतिविधि और विभिन्न दर्ज कार्रवाइयाँ दिखाई देती हैं।',
+    'एआई विश्लेषण उपलब्ध नहीं है - मैन्युअल समीक्षा आवश्यक है',
+    'उम्मीदवार फ़नल कई साक्षात्कार स्तरों पर रूपांतरण ट्रैकिंग के साथ भर्ती चरणों में प्रगति दिखाता है।',
+    'फ़नल विश्लेषण प्रत्येक चरण पर मापने योग्य रूपांतरण दरों के साथ आवेदन से ऑफ़र चरण तक उम्मीदवारों के प्रवाह को दर्शाता है।',
+    'रिक्रूटर का प्रदर्शन सबमिशन के अनुसार अलग-अलग है, जिसमें भिन्न दक्षता अनुपात और योगदान के पैटर्न दिखाई देते हैं।',
+    'व्यक्तिगत रिक्रूटर विश्लेषण सबमिशन गुणवत्ता और रूपांतरण दरों में अंतर दिखाता है, जिसके लिए लक्षित प्रदर्शन सुधार आवश्यक है।',
+    'प्रतियोगिता में हितधारकों की भागीदारी के साथ सक्रिय प्रबंधन और संरचित भर्ती फ़नल में उम्मीदवारों की प्रगति दिखाई देती है।',
+    'मानकीकृत प्रदर्शन मापदंड लागू करें, फ़नल रूपांतरण दरों को बेहतर बनाएँ और रिक्रूटर प्रशिक्षण कार्यक्रमों को सुदृढ़ करें।'
+  ]),
+  ta: contestTexts([
+    'போட்டி வாழ்க்கைச் சுழற்சி பகுப்பாய்வு நிறைவடைந்தது; பங்குதாரர் செயல்பாடுகள் பதிவாகியுள்ளன, செயலில் உள்ள நிர்வாகத்துடன் பல கட்டங்களில் முன்னேற்றம் காணப்படுகிறது.',
+    'AI பகுப்பாய்வை எதிர்பார்த்த வடிவத்தில் உருவாக்க முடியவில்லை. போட்டியில் பல பங்குதாரர்களின் செயல்பாடுகளும் பல்வேறு பதிவான நடவடிக்கைகளும் காணப்படுகின்றன.',
+    'AI பகுப்பாய்வு கிடைக்கவில்லை - நேரடி மதிப்பாய்வு தேவை',
+    'வேட்பாளர் புனல் பல நேர்காணல் நிலைகளில் மாற்ற விகிதக் கண்காணிப்புடன் ஆட்சேர்ப்புக் கட்டங்களின் வழியான முன்னேற்றத்தைக் காட்டுகிறது.',
+    'ஒவ்வொரு கட்டத்திலும் அளவிடக்கூடிய மாற்ற விகிதங்களுடன், விண்ணப்பத்திலிருந்து வேலை வாய்ப்புக் கட்டம் வரை வேட்பாளர்களின் ஓட்டத்தை புனல் பகுப்பாய்வு காட்டுகிறது.',
+    'சமர்ப்பிப்புகளுக்கு ஏற்ப ஆட்சேர்ப்பாளர் செயல்திறன் வேறுபடுகிறது; வெவ்வேறு திறன் விகிதங்களும் பங்களிப்பு முறைகளும் காணப்படுகின்றன.',
+    'தனிப்பட்ட ஆட்சேர்ப்பாளர் பகுப்பாய்வு சமர்ப்பிப்புத் தரத்திலும் மாற்ற விகிதங்களிலும் வேறுபாடுகளைக் காட்டுகிறது; இலக்கு செயல்திறன் மேம்பாடு தேவை.',
+    'பங்குதாரர்களின் ஈடுபாட்டுடன் செயலில் உள்ள நிர்வாகமும், கட்டமைக்கப்பட்ட ஆட்சேர்ப்புப் புனலில் வேட்பாளர்களின் முன்னேற்றமும் போட்டியில் காணப்படுகின்றன.',
+    'தரப்படுத்தப்பட்ட செயல்திறன் அளவீடுகளைச் செயல்படுத்தவும், புனல் மாற்ற விகிதங்களை மேம்படுத்தவும், ஆட்சேர்ப்பாளர் பயிற்சித் திட்டங்களை வலுப்படுத்தவும்.'
+  ]),
+  te: contestTexts([
+    'పోటీ జీవితచక్ర విశ్లేషణ పూర్తయింది; భాగస్వాముల చర్యలు నమోదయ్యాయి, చురుకైన నిర్వహణతో అనేక దశల్లో పురోగతి కనిపిస్తోంది.',
+    'AI విశ్లేషణను ఆశించిన ఫార్మాట్‌లో రూపొందించలేకపోయాము. పోటీలో అనేక భాగస్వాముల కార్యకలాపాలు మరియు వివిధ నమోదైన చర్యలు కనిపిస్తున్నాయి.',
+    'AI విశ్లేషణ అందుబాటులో లేదు - మాన్యువల్ సమీక్ష అవసరం',
+    'అభ్యర్థుల ఫన్నెల్ అనేక ఇంటర్వ్యూ స్థాయిలలో మార్పిడి ట్రాకింగ్‌తో నియామక దశల ద్వారా పురోగతిని చూపుతుంది.',
+    'ప్రతి దశలో కొలవగల మార్పిడి రేట్లతో, దరఖాస్తు నుండి ఆఫర్ దశ వరకు అభ్యర్థుల ప్రవాహాన్ని ఫన్నెల్ విశ్లేషణ చూపుతుంది.',
+    'సమర్పణలను బట్టి రిక్రూటర్ల పనితీరు మారుతుంది; వేర్వేరు సామర్థ్య నిష్పత్తులు మరియు సహకార నమూనాలు కనిపిస్తున్నాయి.',
+    'వ్యక్తిగత రిక్రూటర్ విశ్లేషణ సమర్పణ నాణ్యత మరియు మార్పిడి రేట్లలో తేడాలను చూపుతుంది; లక్ష్యిత పనితీరు మెరుగుదల అవసరం.',
+    'భాగస్వాముల ప్రమేయంతో చురుకైన నిర్వహణ మరియు నిర్మాణాత్మక నియామక ఫన్నెల్‌లో అభ్యర్థుల పురోగతి పోటీలో కనిపిస్తున్నాయి.',
+    'ప్రామాణిక పనితీరు కొలమానాలను అమలు చేయండి, ఫన్నెల్ మార్పిడి రేట్లను మెరుగుపరచండి, రిక్రూటర్ శిక్షణా కార్యక్రమాలను బలోపేతం చేయండి.'
+  ]),
+  es: contestTexts([
+    'Análisis del ciclo de vida del concurso completado, con acciones de las partes interesadas registradas y un avance por varias etapas con gestión activa.',
+    'El análisis de IA no pudo generarse con el formato esperado. El concurso muestra actividad de varias partes interesadas y diversas acciones registradas.',
+    'Análisis de IA no disponible: se requiere revisión manual',
+    'El embudo de candidatos muestra el avance por las etapas de selección con seguimiento de la conversión en varios niveles de entrevista.',
+    'El análisis del embudo muestra el flujo de candidatos desde la postulación hasta la oferta, con tasas de conversión medibles en cada etapa.',
+    'El rendimiento de los reclutadores varía según los envíos, con distintos índices de eficiencia y patrones de contribución.',
+    'El análisis individual de los reclutadores muestra diferencias en la calidad de los envíos y en las tasas de conversión que requieren mejoras de rendimiento específicas.',
+    'El concurso muestra una gestión activa con participación de las partes interesadas y avance de los candidatos a través de un embudo de selección estructurado.',
+    'Implemente métricas de rendimiento estandarizadas, optimice las tasas de conversión del embudo y refuerce los programas de formación de los reclutadores.'
+  ]),
+  fr: contestTexts([
+    "Analyse du cycle de vie du concours terminée : les actions des parties prenantes sont enregistrées et la progression sur plusieurs étapes témoigne d'une gestion active.",
+    "L'analyse IA n'a pas pu être produite au format attendu. Le concours montre l'activité de plusieurs parties prenantes et diverses actions enregistrées.",
+    'Analyse IA indisponible - examen manuel nécessaire',
+    "L'entonnoir des candidats montre la progression à travers les étapes de recrutement, avec un suivi de la conversion sur plusieurs niveaux d'entretien.",
+    "L'analyse de l'entonnoir montre le parcours des candidats de la candidature à l'offre, avec des taux de conversion mesurables à chaque étape.",
+    "La performance des recruteurs varie selon les soumissions, avec des ratios d'efficacité et des schémas de contribution différents.",
+    "L'analyse individuelle des recruteurs révèle des écarts de qualité des soumissions et de taux de conversion qui appellent des actions ciblées d'amélioration.",
+    "Le concours montre une gestion active, avec l'implication des parties prenantes et la progression des candidats dans un entonnoir de recrutement structuré.",
+    "Mettez en place des indicateurs de performance standardisés, optimisez les taux de conversion de l'entonnoir et renforcez les programmes de formation des recruteurs."
+  ])
+};
+
+module.exports = {
+  rejectionFallback,
+  rejectionNoData,
+  rejectionError,
+  contestFallback
+};
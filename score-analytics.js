@@ -0,0 +1,225 @@
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const { getDb } = require('./db');
+const { FUNNEL_STAGES } = require('./funnel');
+const { normalizeStatus } = require('./status-normalization');
+const { ROLES, requireRole, authorizeContest } = require('./auth');
+
+const router = express.Router();
+
+const DEFAULT_BINS = 10;
+const MAX_BINS = 50;
+const ADVANCED_FROM = FUNNEL_STAGES.indexOf('shortlisted');
+
+// Scores arrive either as an array of `{ name|skill|parameter, score|rating,
+// outOf|maxScore }` entries or as a plain `{ dimension: score }` map. Every
+// score is also expressed as a percentage so dimensions on different scales
+// can be compared.
+function normalizeScores(scores) {
+  if (!scores) return [];
+  const entries = Array.isArray(scores)
+    ? scores
+    : typeof scores === 'object'
+      ? Object.entries(scores).map(([name, value]) => (
+        value && typeof value === 'object' ? { name, ...value } : { name, score: value }
+      ))
+      : [];
+  return entries
+    .map(item => {
+      const score = Number(item?.score ?? item?.rating ?? item?.value);
+      const max = Number(item?.outOf ?? item?.maxScore ?? item?.max ?? 10);
+      const outOf = max > 0 ? max : 10;
+      const name = item?.name || item?.skill || item?.parameter || item?.dimension;
+      if (!name || !Number.isFinite(score)) return null;
+      return { name: String(name).trim(), score, outOf, ratio: score / outOf, percent: (score / outOf) * 100 };
+    })
+    .filter(Boolean);
+}
+
+function round(value, digits = 1) {
+  return Number.isFinite(value) ? Number(value.toFixed(digits)) : null;
+}
+
+function median(sorted) {
+  if (!sorted.length) return null;
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+function describe(values) {
+  if (!values.length) return { count: 0, mean: null, median: null, min: null, max: null, stdDev: null };
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+  return {
+    count: values.length,
+    mean: round(mean),
+    median: round(median(sorted)),
+    min: round(sorted[0]),
+    max: round(sorted[sorted.length - 1]),
+    stdDev: round(Math.sqrt(variance))
+  };
+}
+
+function histogram(values, bins) {
+  const width = 100 / bins;
+  const counts = new Array(bins).fill(0);
+  values.forEach(value => {
+    const index = Math.min(bins - 1, Math.max(0, Math.floor(value / width)));
+    counts[index]++;
+  });
+  return counts.map((count, index) => ({
+    from: round(index * width),
+    to: round((index + 1) * width),
+    count
+  }));
+}
+
+function outcomeOf(empStatus) {
+  const stage = normalizeStatus(empStatus);
+  if (stage === 'rejected') return 'rejected';
+  if (stage && FUNNEL_STAGES.indexOf(stage) >= ADVANCED_FROM) return 'shortlisted';
+  return null;
+}
+
+// Probability that a random shortlisted candidate outscores a random
+// rejected one (ties count half). 0.5 means the dimension does not separate
+// the groups at all.
+function separationAuc(positives, negatives) {
+  if (!positives.length || !negatives.length) return null;
+  let wins = 0;
+  positives.forEach(p => negatives.forEach(n => {
+    if (p > n) wins += 1;
+    else if (p === n) wins += 0.5;
+  }));
+  return wins / (positives.length * negatives.length);
+}
+
+function cohensD(a, b) {
+  if (a.length < 2 || b.length < 2) return null;
+  const mean = values => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const variance = (values, m) => values.reduce((sum, value) => sum + (value - m) ** 2, 0) / (values.length - 1);
+  const meanA = mean(a);
+  const meanB = mean(b);
+  const pooled = Math.sqrt(((a.length - 1) * variance(a, meanA) + (b.length - 1) * variance(b, meanB)) / (a.length + b.length - 2));
+  return pooled > 0 ? (meanA - meanB) / pooled : null;
+}
+
+// `candidates` are `{ empStatus, scores }` records (a `jobseekerDetails`
+// entry is enough).
+function computeScoreAnalytics(candidates, { bins = DEFAULT_BINS } = {}) {
+  const dimensions = new Map();
+  let scoredCandidates = 0;
+
+  candidates.forEach(candidate => {
+    const scores = normalizeScores(candidate.scores);
+    if (!scores.length) return;
+    scoredCandidates++;
+    const status = normalizeStatus(candidate.empStatus) || 'unknown';
+    const outcome = outcomeOf(candidate.empStatus);
+    scores.forEach(({ name, percent }) => {
+      const key = name.toLowerCase();
+      if (!dimensions.has(key)) {
+        dimensions.set(key, { name, values: [], byStatus: new Map(), byOutcome: { shortlisted: [], rejected: [] } });
+      }
+      const dimension = dimensions.get(key);
+      dimension.values.push(percent);
+      if (!dimension.byStatus.has(status)) dimension.byStatus.set(status, []);
+      dimension.byStatus.get(status).push(percent);
+      if (outcome) dimension.byOutcome[outcome].push(percent);
+    });
+  });
+
+  const results = [...dimensions.values()].map(dimension => {
+    const { shortlisted, rejected } = dimension.byOutcome;
+    const auc = separationAuc(shortlisted, rejected);
+    const shortlistedStats = describe(shortlisted);
+    const rejectedStats = describe(rejected);
+    return {
+      dimension: dimension.name,
+      ...describe(dimension.values),
+      histogram: histogram(dimension.values, bins),
+      byStatus: [...dimension.byStatus.entries()]
+        .map(([status, values]) => {
+          const { count, mean, median: med } = describe(values);
+          return { status, count, mean, median: med };
+        })
+        .sort((a, b) => b.count - a.count),
+      separation: {
+        shortlisted: { count: shortlistedStats.count, mean: shortlistedStats.mean, median: shortlistedStats.median },
+        rejected: { count: rejectedStats.count, mean: rejectedStats.mean, median: rejectedStats.median },
+        meanGap: shortlisted.length && rejected.length ? round(shortlistedStats.mean - rejectedStats.mean) : null,
+        auc: round(auc, 3),
+        effectSize: round(cohensD(shortlisted, rejected), 2)
+      }
+    };
+  });
+
+  const separators = results
+    .filter(result => result.separation.auc !== null)
+    .sort((a, b) => Math.abs(b.separation.auc - 0.5) - Math.abs(a.separation.auc - 0.5))
+    .map(result => ({ dimension: result.dimension, ...result.separation }));
+
+  return {
+    totalCandidates: candidates.length,
+    scoredCandidates,
+    dimensions: results.sort((a, b) => b.count - a.count),
+    separators
+  };
+}
+
+async function analyzeContestScores(contestId, options = {}) {
+  const docs = await getDb().collection('recruiterAddProfiles')
+    .find({ contestId: new ObjectId(contestId) }, { projection: { jobseekerDetails: 1 } })
+    .toArray();
+  const candidates = docs.flatMap(doc => doc.jobseekerDetails || []);
+  return { contestId, ...computeScoreAnalytics(candidates, options) };
+}
+
+// Compact text version of the analytics for LLM prompts: computed figures
+// only, never individual candidates' scores.
+function describeScoreAnalytics(analytics, { limit = 5 } = {}) {
+  if (!analytics?.scoredCandidates) return 'No assessment scores were recorded for this contest.';
+  const lines = [`${analytics.scoredCandidates} of ${analytics.totalCandidates} candidates have assessment scores (all figures are percentages of the maximum score).`];
+  analytics.dimensions.slice(0, limit).forEach(dimension => {
+    const { shortlisted, rejected, auc } = dimension.separation;
+    const parts = [`${dimension.dimension}: mean ${dimension.mean}%, median ${dimension.median}% (n=${dimension.count})`];
+    if (rejected.count) parts.push(`rejected mean ${rejected.mean}%, median ${rejected.median}% (n=${rejected.count})`);
+    if (shortlisted.count) parts.push(`shortlisted or later mean ${shortlisted.mean}%, median ${shortlisted.median}% (n=${shortlisted.count})`);
+    if (auc !== null) parts.push(`separation AUC ${auc}`);
+    lines.push(`- ${parts.join('; ')}`);
+  });
+  const [best] = analytics.separators;
+  if (best) {
+    lines.push(`Dimension that best separates shortlisted from rejected candidates: ${best.dimension} (AUC ${best.auc}, mean gap ${best.meanGap} points).`);
+  }
+  return lines.join('\n');
+}
+
+router.get('/analysis/scores/:contestId', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), authorizeContest, async (req, res) => {
+  const { contestId } = req.params;
+  if (!ObjectId.isValid(contestId)) {
+    return res.status(400).json({ error: 'Invalid Contest ID format.' });
+  }
+  const bins = req.query.bins === undefined ? DEFAULT_BINS : Number(req.query.bins);
+  if (!Number.isInteger(bins) || bins < 1 || bins > MAX_BINS) {
+    return res.status(400).json({ error: `bins must be an integer between 1 and ${MAX_BINS}.` });
+  }
+  try {
+    res.status(200).json(await analyzeContestScores(contestId, { bins }));
+  } catch (error) {
+    console.error('Error during score analysis:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  normalizeScores,
+  computeScoreAnalytics,
+  analyzeContestScores,
+  describeScoreAnalytics,
+  endpoints: {
+    main: 'GET /analysis/scores/:contestId?bins='
+  }
+};
@@ -0,0 +1,103 @@
+const express = require('express');
+const dotenv = require('dotenv');
+const { connectToDatabase, getDatabaseStatus } = require('./db');
+const { getProviderStatus } = require('./llm-provider');
+const { authenticate, AUTH_DISABLED } = require('./auth');
+const rejectionStats = require('./rejectionStats');
+const rejectionFeedback = require('./rejection-feedback');
+const finalReport = require('./final_report');
+const reportCache = require('./report-cache');
+const funnel = require('./funnel');
+const portfolio = require('./portfolio');
+const recruiterScorecard = require('./recruiter-scorecard');
+const reportExport = require('./report-export');
+const llmAudit = require('./llm-audit');
+const candidateFeedback = require('./candidate-feedback');
+const scoreAnalytics = require('./score-analytics');
+const statusNormalization = require('./status-normalization');
+const reportScheduler = require('./report-scheduler');
+const liveUpdates = require('./live-updates');
+const contestAlerts = require('./contest-alerts');
+const nlQuery = require('./nl-query');
+const promptTemplates = require('./prompt-templates');
+const contestTimeline = require('./contest-timeline');
+const candidateDuplicates = require('./candidate-duplicates');
+const hiringForecast = require('./hiring-forecast');
+
+dotenv.config();
+
+const app = express();
+app.use(express.json());
+
+const PORT = process.env.PORT || 3000;
+
+const services = {
+  rejectionStats,
+  rejectionFeedbackObservation: rejectionFeedback,
+  contestAnalytics: finalReport,
+  reports: reportCache,
+  funnel,
+  portfolio,
+  recruiterScorecards: recruiterScorecard,
+  export: reportExport,
+  llmAudit,
+  candidateFeedbackLetters: candidateFeedback,
+  scoreAnalytics,
+  statuses: statusNormalization,
+  schedules: reportScheduler,
+  live: liveUpdates,
+  alerts: contestAlerts,
+  ask: nlQuery,
+  prompts: promptTemplates,
+  timeline: contestTimeline,
+  duplicates: candidateDuplicates,
+  forecast: hiringForecast
+};
+
+app.get('/health', async (req, res) => {
+  const database = await getDatabaseStatus();
+  const llm = getProviderStatus(
+    Object.values(services).map(service => service.reportName).filter(Boolean)
+  );
+  const healthy = database.status === 'connected';
+
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? 'OK' : 'DEGRADED',
+    message: 'IFIN Analytics API is running',
+    database,
+    llm,
+    endpoints: Object.fromEntries(
+      Object.entries(services).map(([name, service]) => [name, service.endpoints])
+    ),
+    uptimeSeconds: Math.round(process.uptime())
+  });
+});
+
+// Everything except the health check requires credentials.
+app.use(authenticate);
+Object.values(services).forEach(service => app.use(service.router));
+
+async function startServer() {
+  try {
+    await connectToDatabase();
+  } catch (error) {
+    console.error('FATAL: Could not connect to MongoDB.', error.message);
+    process.exit(1);
+  }
+  if (AUTH_DISABLED) {
+    console.warn('WARNING: AUTH_MODE=disabled - every request is treated as an admin.');
+  }
+  app.listen(PORT, () => {
+    console.log(`IFIN Analytics API running on port ${PORT}`);
+    console.log('Health check: GET /health');
+  });
+  reportScheduler.startScheduler();
+  contestAlerts.startAlertMonitor();
+  candidateFeedback.recoverFeedbackJobs();
+}
+
+if (require.main === module) {
+  startServer();
+}
+
+module.exports = { app, startServer };
@@ -0,0 +1,190 @@
+const fs = require('fs');
+const express = require('express');
+const { ObjectId } = require('mongodb');
+const dotenv = require('dotenv');
+const { getDb } = require('./db');
+const { ROLES, requireRole, authorizeContest } = require('./auth');
+
+dotenv.config();
+
+const router = express.Router();
+
+const CANONICAL_STATUSES = ['submitted', 'shortlisted', 'l1', 'l2', 'l3', 'hr', 'offersent', 'rejected'];
+
+// Aliases are compared after lower-casing and dropping spaces, "_", "-",
+// "." and "/", so "Offer Sent", "offer_sent" and "offer-sent" are all the
+// same key and only need listing once.
+const DEFAULT_STATUS_ALIASES = {
+  submitted: ['applied', 'profile submitted', 'new', 'sourced', 'pending', 'in review', 'under review'],
+  shortlisted: ['shortlist', 'screened', 'screening cleared', 'cv shortlisted', 'profile shortlisted'],
+  l1: ['level 1', 'round 1', 'l1 scheduled', 'l1 cleared', 'l1 selected', 'technical round 1'],
+  l2: ['level 2', 'round 2', 'l2 scheduled', 'l2 cleared', 'l2 selected', 'technical round 2'],
+  l3: ['level 3', 'round 3', 'l3 scheduled', 'l3 cleared', 'l3 selected', 'managerial round'],
+  hr: ['hr round', 'hr scheduled', 'hr cleared', 'hr discussion'],
+  offersent: ['offer', 'offer sent', 'offered', 'offer released', 'offer accepted', 'hired', 'joined'],
+  rejected: ['reject', 'not selected', 'declined', 'dropped', 'l1 rejected', 'l2 rejected', 'l3 rejected', 'hr rejected', 'screen rejected', 'not shortlisted']
+};
+
+// Characters ignored when comparing statuses; the Mongo expression below
+// strips the same set.
+const IGNORED_CHARACTERS = [' ', '_', '-', '.', '/'];
+
+function statusKey(value) {
+  if (value === null || value === undefined) return '';
+  let key = String(value).trim().toLowerCase();
+  IGNORED_CHARACTERS.forEach(character => {
+    key = key.split(character).join('');
+  });
+  return key;
+}
+
+function loadAliases() {
+  const aliases = Object.fromEntries(
+    Object.entries(DEFAULT_STATUS_ALIASES).map(([status, list]) => [status, [...list]])
+  );
+  const aliasPath = process.env.STATUS_ALIASES_PATH;
+  if (!aliasPath) return aliases;
+  try {
+    const configured = JSON.parse(fs.readFileSync(aliasPath, 'utf8'));
+    if (!configured || typeof configured !== 'object' || Array.isArray(configured)) {
+      throw new Error('status aliases must be an object of { canonicalStatus: [aliases] }');
+    }
+    Object.entries(configured).forEach(([status, list]) => {
+      if (!CANONICAL_STATUSES.includes(status) || !Array.isArray(list)) {
+        throw new Error(`"${status}" is not a canonical status with an array of aliases`);
+      }
+      aliases[status].push(...list);
+    });
+  } catch (error) {
+    console.error(`Could not load status aliases from ${aliasPath}, using defaults:`, error.message);
+    return Object.fromEntries(
+      Object.entries(DEFAULT_STATUS_ALIASES).map(([status, list]) => [status, [...list]])
+    );
+  }
+  return aliases;
+}
+
+const statusAliases = loadAliases();
+
+const aliasIndex = new Map();
+CANONICAL_STATUSES.forEach(status => {
+  [status, ...statusAliases[status]].forEach(alias => {
+    const key = statusKey(alias);
+    if (aliasIndex.has(key) && aliasIndex.get(key) !== status) {
+      console.error(`Status alias "${alias}" maps to both ${aliasIndex.get(key)} and ${status}; keeping ${aliasIndex.get(key)}`);
+      return;
+    }
+    aliasIndex.set(key, status);
+  });
+});
+
+function normalizeStatus(value) {
+  return aliasIndex.get(statusKey(value)) || null;
+}
+
+function isRejectedStatus(value) {
+  return normalizeStatus(value) === 'rejected';
+}
+
+function statusKeysFor(status) {
+  return [...aliasIndex.entries()]
+    .filter(([, canonical]) => canonical === status)
+    .map(([key]) => key);
+}
+
+// Aggregation expression producing the same key as `statusKey` for a field
+// path such as "$jobseekerDetails.empStatus".
+function statusKeyExpression(path) {
+  return IGNORED_CHARACTERS.reduce(
+    (expression, character) => ({ $replaceAll: { input: expression, find: character, replacement: '' } }),
+    { $toLower: { $trim: { input: { $ifNull: [{ $toString: path }, ''] } } } }
+  );
+}
+
+function statusMatchExpression(path, status) {
+  return { $in: [statusKeyExpression(path), statusKeysFor(status)] };
+}
+
+async function getStatusReport(contestId) {
+  const values = await getDb().collection('recruiterAddProfiles').aggregate([
+    { $match: { contestId: new ObjectId(contestId) } },
+    { $unwind: '$jobseekerDetails' },
+    {
+      $group: {
+        _id: { empStatus: '$jobseekerDetails.empStatus', status: '$jobseekerDetails.status' },
+        count: { $sum: 1 }
+      }
+    }
+  ]).toArray();
+
+  const fields = { empStatus: new Map(), status: new Map() };
+  let totalCandidates = 0;
+  values.forEach(({ _id, count }) => {
+    totalCandidates += count;
+    Object.keys(fields).forEach(field => {
+      const raw = _id[field] ?? null;
+      const key = raw === null ? null : String(raw);
+      fields[field].set(key, (fields[field].get(key) || 0) + count);
+    });
+  });
+
+  const describeField = counts => [...counts.entries()]
+    .map(([value, count]) => ({ value, canonical: normalizeStatus(value), count }))
+    .sort((a, b) => b.count - a.count);
+
+  const empStatus = describeField(fields.empStatus);
+  const status = describeField(fields.status);
+  const unrecognised = [
+    ...empStatus.filter(item => !item.canonical).map(item => ({ field: 'empStatus', value: item.value, count: item.count })),
+    ...status.filter(item => !item.canonical && item.value !== null).map(item => ({ field: 'status', value: item.value, count: item.count }))
+  ];
+
+  return {
+    contestId,
+    totalCandidates,
+    canonicalCounts: CANONICAL_STATUSES.map(canonical => ({
+      status: canonical,
+      count: empStatus.filter(item => item.canonical === canonical).reduce((sum, item) => sum + item.count, 0)
+    })),
+    empStatus,
+    status,
+    unrecognised,
+    unrecognisedCount: unrecognised
+      .filter(item => item.field === 'empStatus')
+      .reduce((sum, item) => sum + item.count, 0)
+  };
+}
+
+router.get('/analysis/statuses', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), (req, res) => {
+  res.status(200).json({
+    canonicalStatuses: CANONICAL_STATUSES,
+    aliases: statusAliases
+  });
+});
+
+router.get('/analysis/statuses/:contestId', requireRole(ROLES.ADMIN, ROLES.EMPLOYER), authorizeContest, async (req, res) => {
+  const { contestId } = req.params;
+  if (!ObjectId.isValid(contestId)) {
+    return res.status(400).json({ error: 'Invalid Contest ID format.' });
+  }
+  try {
+    res.status(200).json(await getStatusReport(contestId));
+  } catch (error) {
+    console.error('Error during status report:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+});
+
+module.exports = {
+  router,
+  CANONICAL_STATUSES,
+  statusKey,
+  normalizeStatus,
+  isRejectedStatus,
+  statusMatchExpression,
+  getStatusReport,
+  endpoints: {
+    aliases: 'GET /analysis/statuses',
+    report: 'GET /analysis/statuses/:contestId'
+  }
+};